@@ -0,0 +1,312 @@
+// public/js/api.js
+// The one client for the JSON API; pages call the server only through CVApi.
+// - Sends the session cookie and the page language (validation messages come back in it)
+// - Always resolves with the JSON body. Failures resolve too, as
+//   { ok:false, status, code?, msg, errors? }, so callers only check `ok`
+//   (and hand VALIDATION_FAILED bodies to CVErrors.show)
+// - An ended session (401 SESSION_EXPIRED) goes to the login page, a pending
+//   password change or 2FA enrollment (403) to the page that completes it;
+//   a wrong password or code is an ordinary 401 and comes back to the caller
+// - Network errors and server failures (5xx, non-JSON) also show a toast,
+//   unless the call passes { quiet: true }
+// Usage:
+//   const j = await CVApi.voters.list({ search: 'علي', size: 20 });
+//   if (!j.ok) return CVApi.toast(j.msg);
+//   CVApi.toast(CVI18n.t('common.saved'), true);
+//   location.href = CVApi.voters.exportUrl({ format: 'csv', candidate_id: 3 });
+(function () {
+  /**
+   * @typedef {Object} RequestOptions
+   * @property {Object} [query]     query string values; empty ones are left out
+   * @property {Object|FormData} [body]
+   * @property {boolean} [quiet]    no toast on network/server failures
+   * @property {boolean} [redirect] false: stay on the page even when the session ended
+   *
+   * @typedef {Object} Failure
+   * @property {false} ok
+   * @property {number} status      HTTP status, 0 when the server was not reached
+   * @property {string} [code]      e.g. VALIDATION_FAILED, ACCOUNT_LOCKED, NETWORK_ERROR
+   * @property {string} msg
+   * @property {{field:string, code:string, msg:string}[]} [errors]
+   *
+   * @typedef {Object} User         the `user` of /api/auth/me
+   * @property {number} uid
+   * @property {'admin'|'candidate'|'assistant'} role
+   * @property {string} email
+   * @property {string} full_name
+   * @property {number|null} cid    candidate of a candidate / assistant account
+   * @property {number|null} aid    assistant of an assistant account
+   * @property {boolean} must_change_password
+   * @property {boolean} must_enroll_2fa
+   * @property {boolean} two_factor
+   * @property {string} language
+   * @property {string} numerals
+   *
+   * @typedef {Object} Voter
+   * @property {number} id
+   * @property {string} full_name
+   * @property {string|null} dob
+   * @property {string|null} electoral_card
+   * @property {number} candidate_id
+   * @property {number|null} assistant_id
+   * @property {number|null} district_id
+   * @property {string|null} polling_center
+   * @property {number|null} polling_center_id
+   * @property {string|null} verified_at
+   * @property {string|null} voted_at
+   * @property {string} created_at
+   * @property {string|null} candidate_name
+   * @property {string|null} assistant_name
+   * @property {string|null} district_name
+   *
+   * @typedef {Object} VoterPage    /api/voters and /api/admin/voters
+   * @property {true} ok
+   * @property {string} sort
+   * @property {'asc'|'desc'} order
+   * @property {number} size
+   * @property {number|null} page   null when the page was asked for by cursor
+   * @property {number} total       all matches, not just this page
+   * @property {string|null} next_cursor  pass as `cursor` for the next page
+   * @property {Voter[]} items
+   */
+
+  // Every page loads js/i18n.js first
+  const t = key => CVI18n.t(key);
+  const seg = encodeURIComponent;
+
+  function url(path, params) {
+    const qs = new URLSearchParams();
+    for (const [k, v] of Object.entries(params || {})) {
+      if (v === undefined || v === null || v === '') continue;
+      if (Array.isArray(v)) v.forEach(x => qs.append(k, x));
+      else qs.set(k, v);
+    }
+    const s = qs.toString();
+    return s ? `${path}?${s}` : path;
+  }
+
+  // ---------- toast
+  let toastEl = null;
+
+  function toast(msg, ok = false) {
+    if (!toastEl) {
+      toastEl = document.createElement('div');
+      toastEl.className = 'toast';
+      toastEl.setAttribute('role', 'status');
+      document.body.appendChild(toastEl);
+    }
+    toastEl.textContent = msg;
+    toastEl.classList.toggle('ok', !!ok);
+    toastEl.classList.add('show');
+    clearTimeout(toastEl._h);
+    toastEl._h = setTimeout(() => toastEl.classList.remove('show'), ok ? 2500 : 4000);
+  }
+
+  // ---------- core
+
+  // Leave for another page; the caller's promise never settles
+  function leave(to) {
+    if (location.pathname + location.search === to) return null;
+    location.replace(to);
+    return new Promise(() => {});
+  }
+
+  function failure(out, quiet) {
+    if (!quiet) toast(out.msg || t('common.action_failed'));
+    return out;
+  }
+
+  /**
+   * @param {string} method
+   * @param {string} path
+   * @param {RequestOptions} [options]
+   * @returns {Promise<any|Failure>}
+   */
+  async function request(method, path, { query, body, quiet = false, redirect = true } = {}) {
+    const headers = { 'Accept-Language': document.documentElement.lang };
+    let payload;
+    if (body instanceof FormData) payload = body;
+    else if (body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+      payload = JSON.stringify(body);
+    }
+
+    let res;
+    try {
+      res = await fetch(url(path, query), { method, credentials: 'include', headers, body: payload });
+    } catch {
+      return failure({ ok: false, status: 0, code: 'NETWORK_ERROR', msg: t('common.network_error') }, quiet);
+    }
+    const data = await res.json().catch(() => null);
+    if (!data || typeof data !== 'object') {
+      return failure({ ok: false, status: res.status, code: 'BAD_RESPONSE', msg: t('common.bad_response') }, quiet);
+    }
+
+    if (redirect) {
+      const to = res.status === 401 && data.code === 'SESSION_EXPIRED' ? '/login.html'
+        : res.status === 403 && data.code === 'PASSWORD_CHANGE_REQUIRED' ? '/login.html?change=1'
+        : res.status === 403 && data.code === 'TWO_FACTOR_SETUP_REQUIRED' ? '/security.html'
+        : null;
+      const left = to && leave(to);
+      if (left) return left;
+    }
+    if (res.ok && data.ok !== false) return data;
+    const out = { ...data, ok: false, status: res.status };
+    return res.status >= 500 ? failure(out, quiet) : out;
+  }
+
+  const get = (path, query, opts) => request('GET', path, { ...opts, query });
+  const post = (path, body, opts) => request('POST', path, { ...opts, body });
+  const put = (path, body, opts) => request('PUT', path, { ...opts, body });
+  const del = (path, query, opts) => request('DELETE', path, { ...opts, query });
+
+  // Generic CRUD for the simple lists (governorates, districts, candidates...)
+  function crud(path) {
+    return {
+      create: (body, opts) => post(path, body, opts),
+      update: (id, body, opts) => put(`${path}/${id}`, body, opts),
+      remove: (id, query, opts) => del(`${path}/${id}`, query, opts)
+    };
+  }
+
+  // ---------- endpoints
+  // Every wrapper takes an optional RequestOptions last (e.g. { quiet: true })
+
+  const auth = {
+    /** @returns {Promise<{ok:true, user:User}|Failure>} */
+    me: opts => get('/api/auth/me', null, opts),
+    // Wrong credentials come back as 401; never a reason to leave the login page
+    login: (body, opts) => post('/api/auth/login', body, { redirect: false, ...opts }),
+    login2fa: (body, opts) => post('/api/auth/login/2fa', body, { redirect: false, ...opts }),
+    logout: opts => post('/api/auth/logout', {}, { quiet: true, redirect: false, ...opts }),
+    logoutAll: opts => post('/api/auth/logout-all', {}, opts),
+    refresh: opts => post('/api/auth/refresh', {}, opts),
+    preferences: (body, opts) => put('/api/auth/preferences', body, opts),
+    changePassword: (body, opts) => post('/api/auth/change-password', body, opts),
+    sessions: opts => get('/api/auth/sessions', null, opts),
+    endSession: (sid, opts) => del(`/api/auth/sessions/${seg(sid)}`, null, opts),
+    twoFactor: {
+      status: opts => get('/api/auth/2fa', null, opts),
+      setup: (body, opts) => post('/api/auth/2fa/setup', body, opts),
+      enable: (body, opts) => post('/api/auth/2fa/enable', body, opts),
+      disable: (body, opts) => post('/api/auth/2fa/disable', body, opts),
+      recoveryCodes: (body, opts) => post('/api/auth/2fa/recovery-codes', body, opts)
+    }
+  };
+
+  const admin = {
+    users: {
+      list: opts => get('/api/admin/users', null, opts),
+      create: (body, opts) => post('/api/admin/users', body, opts),
+      update: (id, body, opts) => put(`/api/admin/users/${id}`, body, opts),
+      remove: (id, opts) => del(`/api/admin/users/${id}`, null, opts),
+      // action: 'disable' | 'enable' | 'reset-password' | 'reset-2fa' | 'unlock' | 'logout-all'
+      action: (id, action, opts) => post(`/api/admin/users/${id}/${action}`, {}, opts)
+    },
+    sessions: {
+      list: (query, opts) => get('/api/admin/sessions', query, opts),
+      end: (sid, opts) => del(`/api/admin/sessions/${seg(sid)}`, null, opts)
+    },
+    loginAttempts: (query, opts) => get('/api/admin/login-attempts', query, opts),
+    audit: {
+      list: (query, opts) => get('/api/admin/audit', query, opts),
+      restore: (id, opts) => post(`/api/admin/audit/${id}/restore`, {}, opts)
+    },
+    security: {
+      get: opts => get('/api/admin/security', null, opts),
+      update: (body, opts) => put('/api/admin/security', body, opts)
+    },
+    /** @returns {Promise<VoterPage|Failure>} */
+    voters: (query, opts) => get('/api/admin/voters', query, opts),
+    purgeTrash: (body, opts) => post('/api/admin/voters/trash/purge', body, opts),
+    duplicates: {
+      list: (query, opts) => get('/api/admin/duplicates', query, opts),
+      scan: opts => post('/api/admin/duplicates/scan', {}, opts),
+      merge: (id, body, opts) => post(`/api/admin/duplicates/${id}/merge`, body, opts),
+      dismiss: (id, opts) => post(`/api/admin/duplicates/${id}/dismiss`, {}, opts)
+    },
+    centers: {
+      clusters: (query, opts) => get('/api/admin/polling-centers/clusters', query, opts),
+      map: (body, opts) => post('/api/admin/polling-centers/map', body, opts)
+    },
+    backups: {
+      list: opts => get('/api/admin/backups', null, opts),
+      create: opts => post('/api/admin/backups', {}, opts),
+      verify: (name, opts) => post(`/api/admin/backups/${seg(name)}/verify`, {}, opts),
+      restore: (name, body, opts) => post(`/api/admin/backups/${seg(name)}/restore`, body, opts),
+      downloadUrl: name => `/api/admin/backups/${seg(name)}/download`
+    }
+  };
+
+  const party = {
+    progress: opts => get('/api/party-progress', null, opts),
+    setThreshold: (body, opts) => post('/api/party-progress', body, opts)
+  };
+
+  const analytics = {
+    series: (query, opts) => get('/api/analytics/series', query, opts),
+    breakdown: (query, opts) => get('/api/analytics/breakdown', query, opts),
+    assistants: (query, opts) => get('/api/analytics/assistants', query, opts),
+    reportUrl: query => url('/api/analytics/assistants/report', query)
+  };
+
+  const governorates = { list: opts => get('/api/governorates', null, opts), ...crud('/api/governorates') };
+  const districts = { list: (query, opts) => get('/api/districts', query, opts), ...crud('/api/districts') };
+  const pollingCenters = { list: (query, opts) => get('/api/polling-centers', query, opts), ...crud('/api/polling-centers') };
+
+  const candidates = {
+    list: opts => get('/api/candidates', null, opts),
+    // Candidate card with assistants and voter_count (GET /api/candidate/:id)
+    get: (id, opts) => get(`/api/candidate/${id}`, null, opts),
+    // With district / governorate columns, for the admin editor
+    listAdmin: opts => get('/api/candidates-admin', null, opts),
+    ...crud('/api/candidates')
+  };
+
+  const assistants = {
+    list: (query, opts) => get('/api/assistants', query, opts),
+    create: (body, opts) => post('/api/assistants', body, opts)
+  };
+
+  const voters = {
+    // Filters, sort/order and cursor are described at listVoters in server/app.js
+    /** @returns {Promise<VoterPage|Failure>} */
+    list: (query, opts) => get('/api/voters', query, opts),
+    create: (body, opts) => post('/api/voters', body, opts),
+    update: (id, body, opts) => put(`/api/voters/${id}`, body, opts),
+    remove: (id, opts) => del(`/api/voters/${id}`, null, opts),
+    trash: (query, opts) => get('/api/voters/trash', query, opts),
+    restore: (id, opts) => post(`/api/voters/${id}/restore`, {}, opts),
+    exportUrl: query => url('/api/voters/export', query)
+  };
+
+  const turnout = {
+    mark: (body, opts) => post('/api/turnout/mark', body, opts),
+    summary: (query, opts) => get('/api/turnout/summary', query, opts),
+    callList: (query, opts) => get('/api/turnout/call-list', query, opts),
+    callListUrl: query => url('/api/turnout/call-list', query)
+  };
+
+  const imports = {
+    list: opts => get('/api/imports', null, opts),
+    get: (id, opts) => get(`/api/imports/${id}`, null, opts),
+    // form: FormData with file, mapping (JSON text), candidate_id, assistant_id
+    upload: (form, opts) => post('/api/imports', form, opts),
+    commit: (id, opts) => post(`/api/imports/${id}/commit`, {}, opts),
+    rollback: (id, opts) => post(`/api/imports/${id}/rollback`, {}, opts),
+    remove: (id, opts) => del(`/api/imports/${id}`, null, opts)
+  };
+
+  // No sign-in needed
+  const lookup = {
+    find: (body, opts) => post('/api/public/lookup', body, { redirect: false, ...opts }),
+    verify: (body, opts) => post('/api/public/verify', body, { redirect: false, ...opts })
+  };
+
+  window.CVApi = {
+    request, url, toast,
+    auth, admin, party, analytics, governorates, districts, pollingCenters,
+    candidates, assistants, voters, turnout, imports, lookup,
+    health: opts => get('/api/health', null, opts)
+  };
+})();
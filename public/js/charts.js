@@ -0,0 +1,116 @@
+// public/js/charts.js
+// Small dependency-free SVG charts for the /api/analytics/series payload.
+// Usage: CVCharts.growth(element, series, { height })
+// Text and numbers follow the page language (js/i18n.js).
+(function () {
+  const NS = 'http://www.w3.org/2000/svg';
+  const COLORS = { bar: '#2a4866', line: '#4aa3ff', projection: '#28c281', target: '#e0a83a', grid: '#1b2a3a', text: '#9fb2c7' };
+  const DAY_MS = 86400000;
+
+  function el(name, attrs, parent) {
+    const n = document.createElementNS(NS, name);
+    for (const k in attrs) n.setAttribute(k, attrs[k]);
+    if (parent) parent.appendChild(n);
+    return n;
+  }
+
+  function label(parent, x, y, text, anchor = 'middle') {
+    const t = el('text', { x, y, fill: COLORS.text, 'font-size': 11, 'text-anchor': anchor }, parent);
+    t.textContent = text;
+    return t;
+  }
+
+  // Future points at the run rate, until the target (or a few periods ahead)
+  function projectPoints(series, maxPeriods = 8) {
+    const pts = series.points || [];
+    const p = series.projection || {};
+    if (!pts.length || !(p.rate_per_day > 0)) return [];
+    const step = series.interval === 'week' ? 7 : 1;
+    const perPeriod = p.rate_per_day * step;
+    const last = pts[pts.length - 1];
+    const out = [];
+    let value = last.cumulative;
+    for (let i = 1; i <= maxPeriods; i++) {
+      value += perPeriod;
+      const day = new Date(Date.parse(last.period + 'T00:00:00Z') + i * step * DAY_MS).toISOString().slice(0, 10);
+      out.push({ period: day, cumulative: p.target ? Math.min(value, p.target) : value });
+      if (p.target && value >= p.target) break;
+    }
+    return out;
+  }
+
+  /**
+   * Render a growth chart: bars = new supporters per period, line = running
+   * total, dashed line = run-rate projection, horizontal line = target.
+   */
+  function growth(container, series, opts = {}) {
+    container.innerHTML = '';
+    const pts = series.points || [];
+    if (!pts.length) { container.textContent = CVI18n.t('common.no_data'); return; }
+
+    const W = opts.width || container.clientWidth || 520;
+    const H = opts.height || 220;
+    const pad = { l: 44, r: 12, t: 12, b: 28 };
+    const future = projectPoints(series);
+    const all = pts.concat(future);
+    const target = series.projection?.target || 0;
+    const topCum = Math.max(1, ...all.map(p => p.cumulative));
+    // Only scale to the target when it is near enough not to flatten the line
+    const maxCum = target && target <= 3 * topCum ? Math.max(topCum, target) : topCum;
+    const maxBar = Math.max(1, ...pts.map(p => p.count));
+    const slot = (W - pad.l - pad.r) / all.length;
+    const x = i => pad.l + slot * i + slot / 2;
+    const y = v => pad.t + (H - pad.t - pad.b) * (1 - v / maxCum);
+    const yBar = v => (H - pad.t - pad.b) * (v / maxBar) * 0.5;
+
+    const svg = el('svg', { viewBox: `0 0 ${W} ${H}`, width: '100%', height: H, direction: 'ltr', role: 'img' }, container);
+
+    for (let i = 0; i <= 4; i++) {
+      const v = Math.round((maxCum * i) / 4);
+      el('line', { x1: pad.l, x2: W - pad.r, y1: y(v), y2: y(v), stroke: COLORS.grid }, svg);
+      label(svg, pad.l - 6, y(v) + 4, CVI18n.num(v), 'end');
+    }
+    if (target && target <= maxCum) {
+      el('line', { x1: pad.l, x2: W - pad.r, y1: y(target), y2: y(target), stroke: COLORS.target, 'stroke-dasharray': '2 3' }, svg);
+    }
+
+    pts.forEach((p, i) => {
+      const h = yBar(p.count);
+      const bar = el('rect', { x: x(i) - slot * 0.3, y: H - pad.b - h, width: slot * 0.6, height: h, fill: COLORS.bar }, svg);
+      el('title', {}, bar).textContent = `${CVI18n.date(p.period)}: +${CVI18n.num(p.count)} (${CVI18n.num(p.cumulative)})`;
+    });
+
+    el('polyline', {
+      points: pts.map((p, i) => `${x(i)},${y(p.cumulative)}`).join(' '),
+      fill: 'none', stroke: COLORS.line, 'stroke-width': 2
+    }, svg);
+    if (future.length) {
+      const start = pts.length - 1;
+      el('polyline', {
+        points: [pts[start]].concat(future).map((p, i) => `${x(start + i)},${y(p.cumulative)}`).join(' '),
+        fill: 'none', stroke: COLORS.projection, 'stroke-width': 2, 'stroke-dasharray': '5 4'
+      }, svg);
+    }
+
+    const every = Math.ceil(all.length / 6);
+    all.forEach((p, i) => {
+      if (i % every === 0) label(svg, x(i), H - 8, CVI18n.digits(p.period.slice(5)));
+    });
+  }
+
+  // One-line summary of the projection
+  function projectionText(series) {
+    const p = series.projection || {};
+    const t = CVI18n.t;
+    const parts = [t('charts.rate', { n: p.rate_per_week ?? 0 })];
+    if (p.target) {
+      parts.push(t('charts.remaining', { n: p.remaining ?? 0 }));
+      if (p.remaining === 0) parts.push(t('charts.reached'));
+      else if (p.eta) parts.push(t('charts.eta', { date: CVI18n.date(p.eta) }));
+      else parts.push(t('charts.no_eta'));
+    }
+    return parts.join(' — ');
+  }
+
+  window.CVCharts = { growth, projectionText };
+})();
@@ -0,0 +1,57 @@
+// public/js/form-errors.js
+// Shows the field errors of a VALIDATION_FAILED response next to the inputs.
+// An error for `field` goes under the first match inside the container of
+// [data-field~="field"], [name="field"] or #<prefix><field>.
+// Usage:
+//   CVErrors.show(form, json, 'v_')   → number of errors placed next to an input
+//   CVErrors.clear(form)
+(function () {
+  function find(container, field, prefix) {
+    // "records[3].dob" → "dob"
+    const key = String(field || '').replace(/^.*\./, '').replace(/\[\d+\]$/, '');
+    if (!key) return null;
+    return container.querySelector(`[data-field~="${key}"]`)
+      || container.querySelector(`[name="${key}"]`)
+      || container.querySelector(`#${CSS.escape(prefix + key)}`);
+  }
+
+  function unmark(input) {
+    input.classList.remove('is-invalid');
+    input.removeAttribute('aria-invalid');
+    const next = input.nextElementSibling;
+    if (next && next.classList.contains('field-error')) next.remove();
+  }
+
+  function clear(container) {
+    if (!container) return;
+    container.querySelectorAll('.is-invalid').forEach(unmark);
+  }
+
+  function show(container, json, prefix = '') {
+    clear(container);
+    if (!container || !json || !Array.isArray(json.errors)) return 0;
+    let placed = 0;
+    for (const e of json.errors) {
+      const input = find(container, e.field, prefix);
+      // One message per input: the first problem is the one to fix
+      if (!input || input.classList.contains('is-invalid')) continue;
+      input.classList.add('is-invalid');
+      input.setAttribute('aria-invalid', 'true');
+      const note = document.createElement('small');
+      note.className = 'field-error';
+      note.textContent = e.msg;
+      input.insertAdjacentElement('afterend', note);
+      placed++;
+    }
+    // Editing a field hides its message
+    if (!container._cvErrors) {
+      container._cvErrors = true;
+      const onEdit = ev => { if (ev.target.classList && ev.target.classList.contains('is-invalid')) unmark(ev.target); };
+      container.addEventListener('input', onEdit);
+      container.addEventListener('change', onEdit);
+    }
+    return placed;
+  }
+
+  window.CVErrors = { show, clear };
+})();
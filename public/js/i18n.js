@@ -0,0 +1,844 @@
+// public/js/i18n.js
+// Arabic/English UI: translation catalog, page direction and number/date formatting.
+// Load it in <head> so the direction is set before the page paints.
+// Markup:
+//   <h1 data-i18n="dash.title">…</h1>                 text
+//   <input data-i18n-placeholder="common.search">      placeholder (also -title, -aria-label)
+//   <span data-i18n-switcher></span>                   language / digits picker
+// Usage:
+//   CVI18n.t('voters.count', { n: 12 })   → text in the active language (numbers formatted)
+//   CVI18n.num(1234.5, 1) / CVI18n.pct(42.5) / CVI18n.date('2026-01-31') / CVI18n.dateTime(ts)
+//   CVI18n.digits('01-31')                → Western digits in text, in the chosen style
+//   CVI18n.adopt(user)                    → apply the preferences saved on the account (/api/auth/me)
+//   CVI18n.setLanguage('en')              → switch, remember (on the account too) and reload
+(function () {
+  const LANGUAGES = ['ar', 'en'];
+  const NUMERALS = ['latn', 'arab'];
+  const STORE_LANG = 'cv.lang';
+  const STORE_NUMERALS = 'cv.numerals';
+
+  // key -> [English, Arabic]
+  const CATALOG = {
+    // ---- shared
+    'app.name': ['CitizenVote', 'CitizenVote'],
+    'lang.label': ['Language', 'اللغة'],
+    'lang.ar': ['العربية', 'العربية'],
+    'lang.en': ['English', 'English'],
+    'numerals.label': ['Digits', 'الأرقام'],
+    'numerals.latn': ['0123', '0123'],
+    'numerals.arab': ['٠١٢٣', '٠١٢٣'],
+    'nav.dashboard': ['Dashboard', 'لوحة المتابعة'],
+    'nav.admin': ['Admin', 'الإدارة'],
+    'nav.candidates': ['Candidates', 'المرشحون'],
+    'nav.turnout': ['Election day', 'يوم الاقتراع'],
+    'nav.security': ['Account security', 'أمان الحساب'],
+    'nav.assistant': ['Add supporter', 'إضافة مؤيد'],
+    'nav.voters': ['Voters', 'الناخبون'],
+    'nav.logout': ['Logout', 'تسجيل الخروج'],
+    'common.save': ['Save', 'حفظ'],
+    'common.clear': ['Clear', 'مسح'],
+    'common.edit': ['Edit', 'تحرير'],
+    'common.delete': ['Delete', 'حذف'],
+    'common.search': ['Search', 'بحث'],
+    'common.prev': ['Previous', 'السابق'],
+    'common.next': ['Next', 'التالي'],
+    'common.page': ['Page', 'صفحة'],
+    'common.total': ['Total', 'الإجمالي'],
+    'common.actions': ['Actions', 'إجراءات'],
+    'common.id': ['ID', 'المعرّف'],
+    'common.name': ['Name', 'الاسم'],
+    'common.yes': ['Yes', 'نعم'],
+    'common.no': ['No', 'لا'],
+    'common.all': ['All', 'الكل'],
+    'common.none': ['—', '—'],
+    'common.saved': ['Saved', 'تم الحفظ'],
+    'common.deleted': ['Deleted', 'تم الحذف'],
+    'common.save_failed': ['Could not save', 'تعذّر الحفظ'],
+    'common.delete_failed': ['Delete failed', 'فشل الحذف'],
+    'common.action_failed': ['The action could not be completed', 'تعذّر تنفيذ العملية'],
+    'common.load_failed': ['Could not load', 'تعذّر التحميل'],
+    'common.network_error': ['Network error. Make sure the server is running.', 'خطأ في الشبكة. تأكد من أن الخادم يعمل.'],
+    'common.bad_response': ['Invalid response from the server', 'استجابة غير صالحة من الخادم'],
+    'common.no_data': ['No data yet.', 'لا توجد بيانات بعد.'],
+    'common.unspecified': ['Unspecified', 'غير محددة'],
+    'common.live': ['Live', 'مباشر'],
+    'common.live_title': ['Live updates', 'تحديث مباشر'],
+    'common.reconnecting': ['Reconnecting…', 'جارٍ إعادة الاتصال…'],
+    'common.optional': ['optional', 'اختياري'],
+    'common.link_copied': ['Link copied to clipboard', 'تم نسخ الرابط'],
+    'common.copy_link': ['Copy this link:', 'انسخ هذا الرابط:'],
+    'common.from': ['From', 'من'],
+    'common.to': ['To', 'إلى'],
+    'common.show': ['Show', 'عرض'],
+    'common.list_sep': [', ', '، '],
+
+    // ---- charts (js/charts.js)
+    'charts.weekly': ['Weekly', 'أسبوعي'],
+    'charts.daily': ['Daily', 'يومي'],
+    'charts.rate': ['Rate: {n} a week', 'المعدل: {n} أسبوعيًا'],
+    'charts.remaining': ['Remaining: {n}', 'المتبقي: {n}'],
+    'charts.reached': ['Target reached', 'تم بلوغ الهدف'],
+    'charts.eta': ['Expected: {date}', 'الوصول المتوقع: {date}'],
+    'charts.no_eta': ['Cannot estimate at the current rate', 'لا يمكن التقدير بالمعدل الحالي'],
+
+    // ---- dashboard (index.html)
+    'dash.page_title': ['CitizenVote — Dashboard', 'CitizenVote — لوحة التحكم'],
+    'dash.party_progress': ['Party progress toward the threshold', 'تقدم الحزب نحو العتبة'],
+    'dash.threshold': ['Threshold:', 'العَتبة:'],
+    'dash.supporters': ['Supporters:', 'المؤيدون:'],
+    'dash.progress': ['Progress:', 'التقدم:'],
+    'dash.growth': ['Party growth', 'نمو الحزب'],
+    'dash.by_district': ['Supporters by district', 'المؤيدون حسب الدائرة'],
+    'dash.col.district': ['District', 'الدائرة'],
+    'dash.col.supporters': ['Supporters', 'المؤيدون'],
+    'dash.col.last_7_days': ['Last 7 days', 'آخر 7 أيام'],
+    'dash.col.official_voters': ['Official voters', 'الناخبون الرسميون'],
+    'dash.col.share': ['% of voters', '٪ من الناخبين'],
+    'dash.col.target': ['Target', 'الهدف'],
+    'dash.candidates': ['Candidates (progress)', 'المرشحون (التقدم)'],
+    'dash.candidates_hint': ['Click a candidate row for details.', 'انقر على صف المرشح لعرض التفاصيل.'],
+
+    // ---- candidate page (candidate.html)
+    'cand.page_title': ['CitizenVote — Candidate', 'CitizenVote — المرشح'],
+    'cand.title': ['Candidate #{id} — {name}', 'المرشح #{id} — {name}'],
+    'cand.district': ['District:', 'الدائرة:'],
+    'cand.target': ['Target:', 'الهدف:'],
+    'cand.assistant_count': ['Assistants:', 'عدد المساعدين:'],
+    'cand.assistants': ['Assistants', 'المساعدون'],
+    'cand.voter_count': ['Supporters:', 'عدد المؤيدين:'],
+    'cand.voters': ['Supporters', 'المؤيدون'],
+    'cand.voters_search': ['Search by name or card…', 'ابحث بالاسم أو البطاقة…'],
+    'cand.voters_missing': ['Show only supporters missing a field', 'عرض المؤيدين الناقصة بياناتهم فقط'],
+    'cand.voters_range': ['{from}–{to} of {total}', '{from}–{to} من {total}'],
+    'cand.no_dob': ['No date of birth', 'بلا تاريخ ميلاد'],
+    'cand.col.supporters': ['Supporters', 'عدد المؤيدين'],
+    'cand.performance': ['Assistant performance', 'لوحة أداء المعاونين'],
+    'cand.col.assistant': ['Assistant', 'المُعاون'],
+    'cand.col.per_day': ['Entries/day', 'تسجيلات/يوم'],
+    'cand.col.duplicates': ['Duplicate rate', 'نسبة التكرار'],
+    'cand.col.no_card': ['No card', 'بلا بطاقة'],
+    'cand.col.no_center': ['No center', 'بلا مركز'],
+    'cand.col.coverage': ['Area coverage', 'تغطية المناطق'],
+    'cand.areas_without': ['No supporters in: {areas}', 'بلا مؤيدين: {areas}'],
+    'cand.download_report': ['Download report:', 'تنزيل التقرير:'],
+    'cand.weekly_growth': ['Weekly growth', 'النمو الأسبوعي'],
+    'cand.pick': ['Choose a candidate', 'اختر مرشحًا'],
+    'cand.open': ['Open', 'فتح'],
+    'cand.open_title': ['Open the candidate by number', 'فتح المرشح بالرقم'],
+    'cand.or_search': ['Or search by name', 'أو ابحث بالاسم'],
+    'cand.search_placeholder': ['Search by name…', 'ابحث بالاسم…'],
+    'cand.copy_link': ['Copy link', 'نسخ الرابط'],
+    'cand.copy_link_title': ['Copy a shareable link', 'نسخ رابط المشاركة'],
+    'cand.export': ["Export the candidate's supporters", 'تصدير مؤيدي المرشح'],
+
+    // ---- assistant data entry (assistant.html)
+    'asst.page_title': ['Assistant portal – Add supporter', 'بوابة المُعاون – إضافة مؤيد'],
+    'asst.candidate': ['Candidate', 'المرشّح'],
+    'asst.full_name': ['Full name', 'الاسم الكامل'],
+    'asst.full_name_placeholder': ['Type the full name', 'اكتب الاسم الكامل'],
+    'asst.dob': ['Date of birth (optional)', 'تاريخ الميلاد (اختياري)'],
+    'asst.card': ['Electoral card number (optional – prevents duplicates)', 'رقم البطاقة الانتخابية (اختياري – يُستَخدم لمنع التكرار)'],
+    'asst.center': ['Polling center (optional)', 'المركز الانتخابي (اختياري)'],
+    'asst.center_placeholder': ['Search by center name or code', 'ابحث باسم المركز أو رمزه'],
+    'asst.save': ['Save supporter', 'حفظ المؤيد'],
+    'asst.pending': ['Waiting to send:', 'بانتظار الإرسال:'],
+    'asst.sync_now': ['Sync now', 'مزامنة الآن'],
+    'asst.online': ['Online', 'متصل'],
+    'asst.offline': ['Offline', 'غير متصل'],
+    'asst.col.card': ['Card', 'البطاقة'],
+    'asst.col.result': ['Result', 'النتيجة'],
+    'asst.session_expired': ['Session expired – sign in again; the records are kept on this device.', 'انتهت الجلسة – سجّل الدخول مجددًا؛ السجلات محفوظة على الجهاز.'],
+    'asst.required': ['Candidate and full name are required', 'المرشّح والاسم الكامل حقول مطلوبة'],
+    'asst.queued': ['Saved on this device; it will be sent when the connection is back.', 'حُفظ على الجهاز وسيُرسل تلقائيًا عند عودة الاتصال.'],
+    'asst.saved': ['Saved.', 'تم الحفظ بنجاح.'],
+    'asst.duplicate': ['Duplicate electoral card – not added.', 'تم العثور على بطاقة انتخابية مكررة – لم يتم الإضافة.'],
+    'sync.status.created': ['Added', 'أُضيف'],
+    'sync.status.already_synced': ['Already sent', 'أُرسل سابقًا'],
+    'sync.status.duplicate': ['Duplicate card – not added', 'بطاقة مكررة – لم يُضف'],
+    'sync.status.invalid': ['Invalid data', 'بيانات غير صالحة'],
+    'sync.status.error': ['Server error', 'خطأ في الخادم'],
+
+    // ---- file import (assistant.html)
+    'imp.title': ['Import supporters from a file (CSV / Excel)', 'استيراد مؤيدين من ملف (CSV / Excel)'],
+    'imp.help': [
+      'The first row must hold the column names. Known columns (full name, date of birth, electoral card, polling center, district, candidate, assistant) are matched automatically, and you can type a column name below. The candidate and assistant chosen above are the defaults.',
+      'الصف الأول يجب أن يحتوي أسماء الأعمدة. يُطابق النظام تلقائيًا الأعمدة المعروفة (الاسم الكامل، تاريخ الميلاد، البطاقة الانتخابية، المركز الانتخابي، الدائرة، المرشح، المُعاون)، ويمكنك كتابة اسم العمود يدويًا أدناه. يُستخدم المرشح والمُعاون المختاران أعلاه كقيم افتراضية.'
+    ],
+    'imp.file': ['File', 'الملف'],
+    'imp.auto': ['Automatic', 'تلقائي'],
+    'imp.col.full_name': ['Full name column', 'عمود الاسم الكامل'],
+    'imp.col.dob': ['Date of birth column', 'عمود تاريخ الميلاد'],
+    'imp.col.electoral_card': ['Electoral card column', 'عمود البطاقة الانتخابية'],
+    'imp.col.polling_center': ['Polling center column', 'عمود المركز الانتخابي'],
+    'imp.col.district': ['District column', 'عمود الدائرة'],
+    'imp.col.candidate': ['Candidate column', 'عمود المرشح'],
+    'imp.check': ['Check the file (dry run, nothing saved)', 'فحص الملف (تجربة دون حفظ)'],
+    'imp.commit': ['Import the valid rows', 'اعتماد الصفوف السليمة'],
+    'imp.history': ['Previous imports', 'عمليات الاستيراد السابقة'],
+    'imp.rows': ['{n} rows', '{n} صف'],
+    'imp.col.row': ['Row', 'الصف'],
+    'imp.col.problem': ['Problem', 'المشكلة'],
+    'imp.col.rows': ['Rows', 'الصفوف'],
+    'imp.col.inserted': ['Inserted', 'المُدخل'],
+    'imp.col.status': ['Status', 'الحالة'],
+    'imp.rollback': ['Undo', 'تراجع'],
+    'imp.none': ['No imports yet.', 'لا توجد عمليات استيراد بعد.'],
+    'imp.rollback_confirm': ['Every supporter added by this import will be moved to the trash. Continue?', 'سيتم نقل كل المؤيدين الذين أُدخلوا في هذه العملية إلى سلة المحذوفات. متابعة؟'],
+    'imp.rolled_back': ['Undone; {n} records moved to the trash.', 'تم التراجع ونقل {n} سجل إلى سلة المحذوفات.'],
+    'imp.rollback_failed': ['Could not undo', 'تعذّر التراجع'],
+    'imp.pick_file': ['Choose a file first', 'اختر ملفًا أولًا'],
+    'imp.checking': ['Checking…', 'جارٍ الفحص…'],
+    'imp.read_failed': ['Could not read the file', 'تعذّر قراءة الملف'],
+    'imp.ready': ['{n} valid rows ready to import.', '{n} صف سليم جاهز للاعتماد.'],
+    'imp.nothing_valid': ['No valid rows to import.', 'لا توجد صفوف سليمة للاستيراد.'],
+    'imp.commit_failed': ['Import failed', 'فشل الاعتماد'],
+    'imp.committed': ['{n} supporters added.', 'تم إدخال {n} مؤيد.'],
+    'imp.committed_skipped': ['{n} supporters added ({skipped} duplicates skipped).', 'تم إدخال {n} مؤيد (تُخطّي {skipped} مكرر).'],
+    'imp.status.valid': ['Valid', 'سليم'],
+    'imp.status.duplicate': ['Duplicate card', 'بطاقة مكررة'],
+    'imp.status.unknown_candidate': ['Unknown candidate', 'مرشح غير معروف'],
+    'imp.status.unknown_district': ['Unknown district', 'دائرة غير معروفة'],
+    'imp.status.unknown_assistant': ['Unknown assistant', 'مُعاون غير معروف'],
+    'imp.status.bad_dob': ['Invalid date of birth', 'تاريخ ميلاد غير صالح'],
+    'imp.status.missing_name': ['Name missing', 'الاسم مفقود'],
+    'imp.batch.pending': ['Awaiting import', 'بانتظار الاعتماد'],
+    'imp.batch.committed': ['Imported', 'معتمد'],
+    'imp.batch.rolled_back': ['Undone', 'ملغى'],
+
+    // ---- voter list (voters.html)
+    'voters.page_title': ['CitizenVote · Voters', 'CitizenVote · الناخبون'],
+    'voters.find': ['Find voters', 'البحث عن ناخبين'],
+    'voters.candidate_id': ['Candidate ID', 'رقم المرشح'],
+    'voters.search': ['Name contains…', 'الاسم يحتوي…'],
+    'voters.load': ['Load', 'تحميل'],
+    'voters.edit': ['Add / Edit voter', 'إضافة / تعديل ناخب'],
+    'voters.dob': ['Date of birth YYYY-MM-DD', 'تاريخ الميلاد YYYY-MM-DD'],
+    'voters.results': ['Results', 'النتائج'],
+    'voters.created': ['Created', 'أُضيف في'],
+    'voters.name_required': ['Full name is required', 'الاسم الكامل مطلوب'],
+    'voters.pick_first': ['Pick a voter first', 'اختر ناخبًا أولًا'],
+    'voters.delete_confirm': ['Delete this voter?', 'حذف هذا الناخب؟'],
+
+    // ---- roles
+    'role.assistant': ['Assistant', 'مُعاون'],
+    'role.candidate': ['Candidate', 'مرشح'],
+    'role.admin': ['Administrator', 'مشرف'],
+
+    // ---- administration (admin.html)
+    'admin.page_title': ['CitizenVote — Admin', 'CitizenVote — إدارة'],
+    'admin.done': ['Done', 'تم التنفيذ'],
+    'admin.restored': ['Restored', 'تمت الاستعادة'],
+    'admin.restore_failed': ['Restore failed', 'تعذّرت الاستعادة'],
+    'admin.records': ['records', 'سجل'],
+    'admin.col.governorate': ['Governorate', 'المحافظة'],
+    'admin.col.candidate': ['Candidate', 'المرشح'],
+    'admin.col.center': ['Center', 'المركز'],
+    'admin.col.voters': ['Voters', 'الناخبون'],
+    'admin.col.pct': ['%', '٪'],
+    'admin.col.time': ['Time', 'الوقت'],
+    'admin.col.email': ['Email', 'البريد'],
+    'admin.party.title': ['Party settings', 'إعدادات الحزب'],
+    'admin.party.supporters': ['Current supporters:', 'المؤيدون الحاليون:'],
+    'admin.party.saved': ['Threshold saved', 'تم حفظ العتبة'],
+    'admin.party.save_failed': ['Could not save the threshold', 'تعذّر حفظ العتبة'],
+    'admin.geo.title': ['Governorates, districts and candidates', 'المحافظات والدوائر والمرشحون'],
+    'admin.geo.help': [
+      'Click a record to load it into the form and edit it, or leave the form empty to add a new one.',
+      'انقر أي سجل لتحميله في النموذج وتعديله، أو اترك النموذج فارغًا لإضافة سجل جديد.'
+    ],
+    'admin.geo.governorates': ['Governorates', 'المحافظات'],
+    'admin.geo.governorate_name': ['Governorate name', 'اسم المحافظة'],
+    'admin.geo.districts': ['Districts', 'الدوائر'],
+    'admin.geo.district_name': ['District name', 'اسم الدائرة'],
+    'admin.geo.official_voters': ['Official number of voters', 'عدد الناخبين الرسمي'],
+    'admin.geo.candidate_name': ['Candidate name', 'اسم المرشح'],
+    'admin.geo.delete_governorate': ['Delete the governorate?', 'حذف المحافظة؟'],
+    'admin.geo.governorate_in_use': ['A governorate that has districts cannot be deleted', 'لا يمكن حذف محافظة تحتوي دوائر'],
+    'admin.geo.delete_district': ['Delete the district?', 'حذف الدائرة؟'],
+    'admin.geo.district_reassign': [
+      'The district has {candidates} candidates, {voters} voters and {centers} polling centers.\nEnter the number of the district to move them to:',
+      'الدائرة مرتبطة بـ {candidates} مرشح و {voters} ناخب و {centers} مركز اقتراع.\nأدخل رقم الدائرة التي ستُنقل إليها السجلات:'
+    ],
+    'admin.geo.delete_candidate': ['Delete the candidate?', 'حذف المرشح؟'],
+    'admin.geo.candidate_in_use': [
+      'A candidate with supporters, assistants or accounts cannot be deleted',
+      'لا يمكن حذف مرشح لديه مؤيدون أو مساعدون أو حسابات'
+    ],
+    'admin.centers.title': ['Polling centers', 'مراكز الاقتراع'],
+    'admin.centers.code': ['Code', 'الرمز'],
+    'admin.centers.name': ['Center name', 'اسم المركز'],
+    'admin.centers.address': ['Address', 'العنوان'],
+    'admin.centers.capacity': ['Capacity', 'السعة'],
+    'admin.centers.stations': ['Stations', 'المحطات'],
+    'admin.centers.delete': ['Delete the center?', 'حذف المركز؟'],
+    'admin.centers.in_use': ['A center linked to {n} voters cannot be deleted', 'لا يمكن حذف مركز مرتبط بـ {n} ناخب'],
+    'admin.centers.saved_renamed': ['Saved — center name updated for {n} voters', 'تم الحفظ — حُدّث اسم المركز لدى {n} ناخب'],
+    'admin.clusters.title': ['Unify hand-typed center names', 'توحيد أسماء المراكز المكتوبة يدويًا'],
+    'admin.clusters.help': [
+      'Similar spellings are grouped per district with the closest center suggested. Review the ticked spellings, pick the center (or create a new one) and press "Link"; nothing changes before that.',
+      'تُجمَّع التسميات المتقاربة لكل دائرة مع اقتراح المركز الأقرب. راجع التسميات المحددة واختر المركز (أو أنشئ مركزًا جديدًا) ثم اضغط «ربط»؛ لا يتغير شيء قبل ذلك.'
+    ],
+    'admin.clusters.load': ['Group spellings', 'تجميع التسميات'],
+    'admin.clusters.unmapped': ['Voters without a known center:', 'ناخبون بلا مركز معتمد:'],
+    'admin.clusters.variants': ['Spellings', 'التسميات'],
+    'admin.clusters.center': ['Known center', 'المركز المعتمد'],
+    'admin.clusters.load_failed': ['Could not group the spellings', 'تعذّر التجميع'],
+    'admin.clusters.no_district': ['No district', 'بلا دائرة'],
+    'admin.clusters.new_center': ['— New center —', '— مركز جديد —'],
+    'admin.clusters.suggestion': ['Suggested: {score}', 'اقتراح: {score}'],
+    'admin.clusters.map': ['Link', 'ربط'],
+    'admin.clusters.pick_variant': ['Choose at least one spelling', 'اختر تسمية واحدة على الأقل'],
+    'admin.clusters.map_failed': ['Could not link', 'تعذّر الربط'],
+    'admin.clusters.mapped': ['{n} voters linked to {name}', 'رُبط {n} ناخب بـ {name}'],
+    'admin.clusters.none': ['Every voter is linked to a known center.', 'كل الناخبين مرتبطون بمراكز معتمدة.'],
+    'admin.voters.title': ['Voters (add / update / delete)', 'الناخبون (إضافة / تحديث / حذف)'],
+    'admin.voters.form': ['Create / update a voter', 'إنشاء / تحديث ناخب'],
+    'admin.voters.name_example': ['e.g. Ali Ahmed', 'مثال: علي أحمد'],
+    'admin.voters.dob': ['Date of birth', 'تاريخ الميلاد'],
+    'admin.voters.candidate_id': ['Candidate number', 'رقم المرشح'],
+    'admin.voters.assistant_id': ['Assistant number', 'رقم المساعد'],
+    'admin.voters.district_id': ['District number', 'رقم الدائرة'],
+    'admin.voters.number_example': ['e.g. 1', 'مثال: 1'],
+    'admin.voters.center': ['Polling center', 'مركز الاقتراع'],
+    'admin.voters.card': ['Electoral card', 'البطاقة الانتخابية'],
+    'admin.voters.card_hint': ['Optional — used to prevent duplicates', 'اختياري — تُستخدم لمنع التكرار'],
+    'admin.voters.add': ['Add', 'إضافة'],
+    'admin.voters.update': ['Update', 'تحديث'],
+    'admin.voters.hint': [
+      'Tip: click a record in the list to load it into the form and edit it.',
+      'تلميح: انقر أي سجل في القائمة لتحميله في النموذج وتعديله.'
+    ],
+    'admin.voters.search_title': ['Search / manage voters', 'بحث / إدارة الناخبين'],
+    'admin.voters.search': ['Search by name or card…', 'ابحث بالاسم أو البطاقة…'],
+    'admin.voters.export': ['Export results:', 'تصدير النتائج:'],
+    'admin.voters.export_pdf': ['PDF lists by center', 'قوائم PDF حسب المركز'],
+    'admin.voters.load_failed': ['Could not load the voter list', 'تعذّر تحميل قائمة الناخبين'],
+    'admin.voters.loaded': ['Record loaded into the form', 'تم تحميل السجل في النموذج'],
+    'admin.voters.delete_confirm': ['Move this voter to the trash?', 'نقل هذا الناخب إلى سلة المحذوفات؟'],
+    'admin.voters.trashed': ['Moved to the trash', 'نُقل إلى سلة المحذوفات'],
+    'admin.voters.created': ['Added', 'تمت الإضافة'],
+    'admin.voters.create_failed': ['Could not create the record', 'فشل إنشاء السجل'],
+    'admin.voters.load_first': ['Load a record to update first', 'حمّل سجلًا أولًا للتحديث'],
+    'admin.voters.updated': ['Updated', 'تم التحديث'],
+    'admin.voters.update_failed': ['Update failed', 'فشل التحديث'],
+    'admin.trash.title': ['Trash', 'سلة المحذوفات'],
+    'admin.trash.help': [
+      'Deleted voters are left out of every statistic and can be restored. Permanent deletion becomes available',
+      'الناخبون المحذوفون لا يُحتسبون في أي إحصائية ويمكن استعادتهم. يُتاح الحذف النهائي بعد مرور'
+    ],
+    'admin.trash.help_days': ['days after deletion.', 'يومًا على الحذف.'],
+    'admin.trash.purge_expired': ['Permanently delete expired records', 'حذف نهائي لما انتهت مدته'],
+    'admin.trash.deleted_at': ['Deleted at', 'حُذف في'],
+    'admin.trash.deleted_by': ['By', 'بواسطة'],
+    'admin.trash.load_failed': ['Could not load the trash', 'تعذّر تحميل سلة المحذوفات'],
+    'admin.trash.purge_confirm': ['This voter will be deleted permanently. Continue?', 'سيُحذف هذا الناخب نهائيًا. متابعة؟'],
+    'admin.trash.purge_failed': ['Permanent deletion failed', 'تعذّر الحذف النهائي'],
+    'admin.trash.purged': ['Deleted permanently', 'تم الحذف النهائي'],
+    'admin.trash.purge_expired_confirm': [
+      'Permanently delete every voter past the retention period? Only the audit log can bring them back.',
+      'حذف نهائي لكل الناخبين الذين تجاوزوا مدة الاحتفاظ؟ لا يمكن التراجع إلا من سجل التدقيق.'
+    ],
+    'admin.trash.purged_count': ['Deleted permanently: {n}', 'حُذف نهائيًا: {n}'],
+    'admin.dup.title': ['Duplicate voter review', 'مراجعة الناخبين المكررين'],
+    'admin.dup.help': [
+      'Pairs with a similar name (hamza forms, taa marbuta and spacing unified), date of birth and card. Merging keeps the earlier record by default and moves the other one to the trash.',
+      'أزواج متشابهة في الاسم (مع توحيد الهمزات والتاء المربوطة والمسافات) وتاريخ الميلاد والبطاقة. الدمج يُبقي السجل الأسبق تسجيلًا افتراضيًا وينقل الآخر إلى سلة المحذوفات.'
+    ],
+    'admin.dup.pending': ['Awaiting review', 'بانتظار المراجعة'],
+    'admin.dup.merged': ['Merged', 'مدموجة'],
+    'admin.dup.dismissed': ['Dismissed', 'مستبعدة'],
+    'admin.dup.scan': ['Full scan now', 'فحص شامل الآن'],
+    'admin.dup.similarity': ['Similarity', 'التشابه'],
+    'admin.dup.first': ['First record', 'السجل الأول'],
+    'admin.dup.second': ['Second record', 'السجل الثاني'],
+    'admin.dup.pairs': ['pairs', 'زوج'],
+    'admin.dup.reason.same_card': ['Same card', 'نفس البطاقة'],
+    'admin.dup.reason.same_name': ['Same name', 'نفس الاسم'],
+    'admin.dup.reason.similar_name': ['Similar name', 'اسم متشابه'],
+    'admin.dup.reason.same_dob': ['Same date of birth', 'نفس تاريخ الميلاد'],
+    'admin.dup.reason.same_birth_year': ['Same birth year', 'نفس سنة الميلاد'],
+    'admin.dup.purged': ['Permanently deleted', 'محذوف نهائيًا'],
+    'admin.dup.load_failed': ['Could not load the duplicates', 'تعذّر تحميل قائمة التكرار'],
+    'admin.dup.keep_first': ['Keep the first', 'إبقاء الأول'],
+    'admin.dup.keep_second': ['Keep the second', 'إبقاء الثاني'],
+    'admin.dup.dismiss': ['Not the same person', 'ليسا نفس الشخص'],
+    'admin.dup.kept': ['Kept #{id}', 'أُبقي #{id}'],
+    'admin.dup.merge_confirm': ['Merge the two records and keep the chosen one?', 'دمج السجلين والإبقاء على السجل المختار؟'],
+    'admin.dup.merged_first': ['Merged — first registered by: {name}', 'تم الدمج — أول من سجّله: {name}'],
+    'admin.dup.scan_failed': ['Scan failed', 'تعذّر الفحص'],
+    'admin.dup.scanned': ['{compared} pairs compared — new pairs: {added}', 'تمت مقارنة {compared} زوجًا — أزواج جديدة: {added}'],
+    'admin.backup.title': ['Backups', 'النسخ الاحتياطية'],
+    'admin.backup.help_every': [
+      'Consistent copies of the database taken while it runs, automatically every',
+      'نسخ متسقة من قاعدة البيانات تُؤخذ أثناء التشغيل، تلقائيًا كل'
+    ],
+    'admin.backup.help_keep': ['hours, keeping the last', 'ساعة ويُحتفظ بآخر'],
+    'admin.backup.help_restore': [
+      'copies. Restoring pauses writes and first saves the current data as a "pre-restore" backup.',
+      'نسخة. الاستعادة توقف عمليات الكتابة مؤقتًا وتحفظ البيانات الحالية كنسخة «قبل الاستعادة» أولًا.'
+    ],
+    'admin.backup.create': ['Back up now', 'إنشاء نسخة الآن'],
+    'admin.backup.name': ['Backup', 'النسخة'],
+    'admin.backup.kind': ['Type', 'النوع'],
+    'admin.backup.size': ['Size', 'الحجم'],
+    'admin.backup.reason.manual': ['Manual', 'يدوية'],
+    'admin.backup.reason.scheduled': ['Scheduled', 'مجدولة'],
+    'admin.backup.reason.pre-restore': ['Before restore', 'قبل الاستعادة'],
+    'admin.backup.load_failed': ['Could not load the backups', 'تعذّر تحميل النسخ'],
+    'admin.backup.unscheduled': ['— (not scheduled)', 'بلا جدولة —'],
+    'admin.backup.mb': ['{size} MB', '{size} م.ب'],
+    'admin.backup.download': ['Download', 'تنزيل'],
+    'admin.backup.verify': ['Check', 'فحص'],
+    'admin.backup.verify_failed': ['Check failed', 'تعذّر الفحص'],
+    'admin.backup.verified': [
+      'Sound — schema version {schema}, voters {voters}, users {users}',
+      'سليمة — إصدار المخطط {schema}، الناخبون {voters}، المستخدمون {users}'
+    ],
+    'admin.backup.invalid': ['The backup is not valid: {error}', 'النسخة غير صالحة: {error}'],
+    'admin.backup.restore_prompt': [
+      'All current data will be replaced by this backup.\nTo confirm, type the backup name:\n{name}',
+      'ستُستبدل كل البيانات الحالية بمحتوى هذه النسخة.\nللتأكيد اكتب اسم النسخة:\n{name}'
+    ],
+    'admin.backup.name_mismatch': ['The name does not match — nothing restored', 'الاسم غير مطابق — لم تتم الاستعادة'],
+    'admin.backup.restored': ['Restored — the previous data is saved in {name}', 'تمت الاستعادة — البيانات السابقة محفوظة في {name}'],
+    'admin.backup.none': ['No backups yet.', 'لا توجد نسخ بعد.'],
+    'admin.backup.created': ['Backup {name} created', 'أُنشئت النسخة {name}'],
+    'admin.backup.create_failed': ['Could not create the backup', 'تعذّر إنشاء النسخة'],
+    'admin.users.title': ['Users', 'المستخدمون'],
+    'admin.users.email': ['Email', 'البريد الإلكتروني'],
+    'admin.users.full_name': ['Full name (optional)', 'الاسم الكامل (اختياري)'],
+    'admin.users.candidate_id': ['Candidate number (candidate role)', 'رقم المرشح (لدور المرشح)'],
+    'admin.users.assistant_id': ['Assistant number (assistant role)', 'رقم المُعاون (لدور المُعاون)'],
+    'admin.users.invite': ['Invite user', 'دعوة مستخدم'],
+    'admin.users.help': [
+      'A temporary password is created and shown once; the user must change it at first sign-in.',
+      'تُنشأ كلمة مرور مؤقتة تظهر مرة واحدة، ويُطلب من المستخدم تغييرها عند أول تسجيل دخول.'
+    ],
+    'admin.users.role': ['Role', 'الدور'],
+    'admin.users.linked': ['Linked to', 'مرتبط بـ'],
+    'admin.users.temp_password': [
+      'Temporary password for {email} (copy it now, it will not be shown again):',
+      'كلمة المرور المؤقتة لـ {email} (انسخها الآن، لن تظهر مرة أخرى):'
+    ],
+    'admin.users.active': ['Active', 'نشط'],
+    'admin.users.disabled': ['Disabled', 'معطّل'],
+    'admin.users.must_change': ['Must change password', 'بانتظار تغيير كلمة المرور'],
+    'admin.users.locked_until': ['locked until {time}', 'مقفل حتى {time}'],
+    'admin.users.failed_logins': ['{n} failed attempts', '{n} محاولات فاشلة'],
+    'admin.users.disable': ['Disable', 'تعطيل'],
+    'admin.users.enable': ['Enable', 'تفعيل'],
+    'admin.users.reset': ['Reset password', 'إعادة تعيين'],
+    'admin.users.reset_2fa': ['Reset 2FA', 'إلغاء 2FA'],
+    'admin.users.logout_all': ['End sessions', 'إنهاء الجلسات'],
+    'admin.users.unlock': ['Unlock', 'فك القفل'],
+    'admin.users.delete_confirm': ['Delete this user?', 'هل تريد حذف هذا المستخدم؟'],
+    'admin.users.reset_confirm': [
+      'Reset the password and sign the user out of every session?',
+      'إعادة تعيين كلمة المرور وتسجيل خروج المستخدم من كل الجلسات؟'
+    ],
+    'admin.users.logout_all_confirm': ['Sign this user out on every device?', 'تسجيل خروج هذا المستخدم من كل الأجهزة؟'],
+    'admin.users.reset_2fa_confirm': [
+      'Turn off two-step verification for this user (lost phone)? They will be signed out of every session.',
+      'إلغاء التحقق بخطوتين لهذا المستخدم (فقدان الهاتف)؟ سيُسجَّل خروجه من كل الجلسات.'
+    ],
+    'admin.users.create_failed': ['Could not create the user', 'تعذّر إنشاء المستخدم'],
+    'admin.sessions.title': ['Active sessions', 'الجلسات النشطة'],
+    'admin.sessions.user_id': ['User number (optional)', 'رقم المستخدم (اختياري)'],
+    'admin.sessions.user': ['User', 'المستخدم'],
+    'admin.sessions.device': ['Device', 'الجهاز'],
+    'admin.sessions.last_seen': ['Last active', 'آخر نشاط'],
+    'admin.sessions.started': ['Started', 'بدأت'],
+    'admin.sessions.yours': ['(your session)', '(جلستك)'],
+    'admin.sessions.end': ['End', 'إنهاء'],
+    'admin.sessions.ended': ['Session ended', 'تم إنهاء الجلسة'],
+    'admin.sessions.end_failed': ['Could not end the session', 'تعذّر إنهاء الجلسة'],
+    'admin.attempts.title': ['Sign-in attempts', 'محاولات تسجيل الدخول'],
+    'admin.attempts.success': ['Succeeded', 'ناجحة'],
+    'admin.attempts.failure': ['Failed', 'فاشلة'],
+    'admin.attempts.suspicious': ['Suspicious only', 'المشبوهة فقط'],
+    'admin.attempts.notes': ['Notes', 'ملاحظات'],
+    'admin.attempts.browser': ['Browser', 'المتصفح'],
+    'admin.attempts.count': ['attempts', 'محاولة'],
+    'admin.attempts.reason.bad_password': ['Wrong password', 'كلمة مرور خاطئة'],
+    'admin.attempts.reason.bad_2fa_code': ['Wrong verification code', 'رمز تحقق خاطئ'],
+    'admin.attempts.reason.unknown_user': ['Unregistered email', 'بريد غير مسجل'],
+    'admin.attempts.reason.locked': ['Account locked', 'الحساب مقفل'],
+    'admin.attempts.reason.disabled': ['Account disabled', 'الحساب معطّل'],
+    'admin.attempts.flag.after_failures': ['After failed attempts', 'بعد محاولات فاشلة'],
+    'admin.attempts.flag.new_ip': ['New IP', 'IP جديد'],
+    'admin.audit.title': ['Audit log', 'سجل التدقيق'],
+    'admin.audit.all_entities': ['All entities', 'كل الكيانات'],
+    'admin.audit.all_actions': ['All actions', 'كل العمليات'],
+    'admin.audit.entity_id': ['Record number', 'رقم السجل'],
+    'admin.audit.actor_email': ['Actor email', 'بريد المنفّذ'],
+    'admin.audit.actor': ['Actor', 'المنفّذ'],
+    'admin.audit.action': ['Action', 'العملية'],
+    'admin.audit.entity': ['Entity', 'الكيان'],
+    'admin.audit.changes': ['Changes', 'التغييرات'],
+    'admin.audit.new': ['New', 'جديد'],
+    'admin.audit.load_failed': ['Could not load the log', 'تعذّر تحميل السجل'],
+    'admin.audit.restore_confirm': ['Restore the voter to how it was before this action?', 'استعادة الناخب إلى حالته قبل هذه العملية؟'],
+    'admin.entity.voter': ['Voter', 'ناخب'],
+    'admin.entity.district': ['District', 'دائرة'],
+    'admin.entity.governorate': ['Governorate', 'محافظة'],
+    'admin.entity.user': ['User', 'مستخدم'],
+    'admin.entity.import': ['Import', 'استيراد'],
+    'admin.entity.duplicate': ['Duplicate', 'تكرار'],
+    'admin.entity.polling_center': ['Polling center', 'مركز اقتراع'],
+    'admin.entity.backup': ['Backup', 'نسخة احتياطية'],
+    'admin.entity.settings': ['Security settings', 'إعدادات الأمان'],
+    'admin.action.create': ['Create', 'إنشاء'],
+    'admin.action.update': ['Update', 'تعديل'],
+    'admin.action.restore': ['Restore', 'استعادة'],
+    'admin.action.purge': ['Permanent delete', 'حذف نهائي'],
+    'admin.action.merge': ['Merge', 'دمج'],
+    'admin.action.map': ['Link to center', 'ربط بمركز'],
+    'admin.action.backup': ['Backup', 'نسخ احتياطي'],
+    'admin.action.enable_2fa': ['Enable 2FA', 'تفعيل 2FA'],
+    'admin.action.disable_2fa': ['Disable 2FA', 'إيقاف 2FA'],
+    'admin.action.reset_2fa': ['2FA reset by an admin', 'إلغاء 2FA بواسطة المشرف'],
+    'admin.action.use_recovery_code': ['Recovery code used', 'استخدام رمز استرداد'],
+    'admin.action.revoke_session': ['End session', 'إنهاء جلسة'],
+    'admin.action.revoke_sessions': ['End all sessions', 'إنهاء كل الجلسات'],
+    'admin.action.unlock': ['Unlock account', 'فك قفل حساب'],
+    'admin.sec.current_password': ['Current password', 'كلمة المرور الحالية'],
+    'admin.sec.new_password': ['New password', 'كلمة المرور الجديدة'],
+    'admin.sec.new_password_placeholder': ['A new strong password', 'كلمة مرور قوية جديدة'],
+    'admin.sec.change_password': ['Change password', 'تغيير كلمة المرور'],
+    'admin.sec.relogin': [
+      'For your safety you will need to sign in again after the password is changed.',
+      'لأمانك، ستحتاج إلى تسجيل الدخول مجددًا بعد تغيير كلمة المرور بنجاح.'
+    ],
+    'admin.sec.2fa': ['Two-step verification:', 'التحقق بخطوتين:'],
+    'admin.sec.manage_2fa': ['Manage two-step verification', 'إدارة التحقق بخطوتين'],
+    'admin.sec.require_2fa': ['Require two-step verification', 'إلزام التحقق بخطوتين'],
+    'admin.sec.admins': ['Administrators', 'المشرفون'],
+    'admin.sec.assistants': ['Assistants', 'المعاونون'],
+    'admin.sec.require_help': [
+      'Users in these roles without two-step verification must turn it on at their next sign-in before doing anything else.',
+      'من لم يفعّل التحقق بخطوتين من هذه الأدوار يُطلب منه تفعيله عند الدخول التالي قبل أي عمل آخر.'
+    ],
+    'admin.sec.both_passwords': ['Enter the current and the new password', 'أدخل كلمتي المرور الحالية والجديدة'],
+    'admin.sec.password_changed': ['Password changed. You will be signed in again.', 'تم تغيير كلمة المرور. سيتم تسجيل الدخول من جديد.'],
+    'admin.sec.change_failed': ['Could not change the password', 'تعذّر تغيير كلمة المرور'],
+    'admin.sec.2fa_on': ['On ({n} recovery codes left)', 'مفعّل (رموز الاسترداد المتبقية: {n})'],
+    'admin.sec.2fa_off': ['Not enabled for your account', 'غير مفعّل لحسابك'],
+
+    // ---- sign in (login.html)
+    'login.page_title': ['CitizenVote — Sign in', 'CitizenVote — تسجيل الدخول'],
+    'login.title': ['Sign in', 'تسجيل الدخول'],
+    'login.lead': ['Welcome! Enter your details to continue.', 'مرحباً بك! الرجاء إدخال بياناتك للمتابعة.'],
+    'login.email': ['Email', 'البريد الإلكتروني'],
+    'login.password': ['Password', 'كلمة المرور'],
+    'login.submit': ['Sign in', 'تسجيل الدخول'],
+    'login.signing_in': ['Signing in…', 'يجري تسجيل الدخول…'],
+    'login.failed': ['Sign-in failed.', 'فشل تسجيل الدخول.'],
+    'login.locked': [
+      'The account is locked for now after repeated failed sign-ins. Try again in {n} minutes.',
+      'تم قفل الحساب مؤقتًا بسبب محاولات دخول فاشلة متكررة. حاول مجددًا بعد {n} دقيقة.'
+    ],
+    'login.change_lead': [
+      'Change the temporary or default password before you continue.',
+      'يجب تغيير كلمة المرور المؤقتة أو الافتراضية قبل المتابعة.'
+    ],
+    'login.password_rules': [
+      'At least ten characters, with letters and digits, and not a common password.',
+      'عشرة أحرف على الأقل، تتضمن حروفًا وأرقامًا، وليست من كلمات المرور الشائعة.'
+    ],
+    'login.current_password': ['Current password', 'كلمة المرور الحالية'],
+    'login.new_password': ['New password', 'كلمة المرور الجديدة'],
+    'login.confirm_password': ['Confirm the new password', 'تأكيد كلمة المرور الجديدة'],
+    'login.change_submit': ['Change the password and continue', 'تغيير كلمة المرور والمتابعة'],
+    'login.both_passwords': ['Enter the current and the new password.', 'أدخل كلمتي المرور الحالية والجديدة.'],
+    'login.mismatch': ['The new passwords do not match.', 'كلمتا المرور الجديدتان غير متطابقتين.'],
+    'login.change_failed': ['Could not change the password.', 'تعذّر تغيير كلمة المرور.'],
+    'login.otp_lead': ['Enter the 6-digit code from your authenticator app.', 'أدخل الرمز المكوّن من 6 أرقام من تطبيق المصادقة.'],
+    'login.otp_code': ['Verification code', 'رمز التحقق'],
+    'login.recovery_code': ['Recovery code', 'رمز الاسترداد'],
+    'login.use_recovery': ['Lost your phone? Use a recovery code', 'فقدت هاتفك؟ استخدم رمز استرداد'],
+    'login.use_app': ['Use the app code', 'استخدم رمز التطبيق'],
+    'login.recovery_used': [
+      'A recovery code was used. Codes left: {n}. Create new ones on the account security page.',
+      'تم استخدام رمز استرداد. المتبقي: {n}. أنشئ رموزًا جديدة من صفحة أمان الحساب.'
+    ],
+    'login.verify': ['Verify', 'تحقق'],
+    'login.enter_code': ['Enter the code.', 'أدخل الرمز.'],
+    'login.bad_code': ['Invalid code.', 'رمز غير صحيح.'],
+    'login.default_admin': ['Default admin account (local):', 'حساب المشرف الافتراضي (محلي):'],
+    'login.voter_link': ['Are you a voter? Check your registration', 'هل أنت ناخب؟ تحقّق من تسجيلك'],
+
+    // ---- voter self-check (lookup.html)
+    'lookup.page_title': ['CitizenVote — Check your registration', 'CitizenVote — تحقّق من تسجيلك'],
+    'lookup.title': ['Am I registered?', 'هل أنا مسجَّل؟'],
+    'lookup.lead': [
+      'Enter your electoral card number and date of birth to see your registration and your polling center.',
+      'أدخل رقم بطاقتك الانتخابية وتاريخ ميلادك لمعرفة حالة تسجيلك ومركز الاقتراع الخاص بك.'
+    ],
+    'lookup.card': ['Electoral card number', 'رقم البطاقة الانتخابية'],
+    'lookup.dob': ['Date of birth', 'تاريخ الميلاد'],
+    'lookup.submit': ['Check', 'تحقّق'],
+    'lookup.registered': ['You are registered as a supporter.', 'أنت مسجَّل ضمن المؤيدين.'],
+    'lookup.center': ['Polling center', 'مركز الاقتراع'],
+    'lookup.candidate': ['Registered with', 'مسجَّل لدى'],
+    'lookup.consent': [
+      'I confirm these are my details and agree that the campaign team may contact me about the election.',
+      'أؤكد أن هذه بياناتي وأوافق على أن يتواصل معي فريق الحملة بخصوص الانتخابات.'
+    ],
+    'lookup.verify': ['Confirm my registration', 'تأكيد تسجيلي'],
+    'lookup.verified': ['Your registration is confirmed. Thank you!', 'تم تأكيد تسجيلك. شكرًا لك!'],
+    'lookup.privacy': [
+      'No other personal data is shown. The number of lookups is limited.',
+      'لا نعرض أي بيانات شخصية أخرى. عدد محاولات البحث محدود.'
+    ],
+    'lookup.team_login': ['Team sign-in', 'دخول الفريق'],
+    'lookup.required': ['Enter the card number and the date of birth.', 'أدخل رقم البطاقة وتاريخ الميلاد.'],
+    'lookup.failed': ['The lookup failed.', 'تعذّر البحث.'],
+    'lookup.not_found': [
+      'No registration matches these details. Check the card number and the date of birth.',
+      'لم نعثر على تسجيل يطابق هذه البيانات. تأكد من رقم البطاقة وتاريخ الميلاد.'
+    ],
+    'lookup.no_center': ['Not assigned yet', 'لم يُحدَّد بعد'],
+    'lookup.consent_first': ['Please agree first to confirm the registration.', 'يرجى الموافقة أولًا لتأكيد التسجيل.'],
+    'lookup.verify_failed': ['The confirmation failed.', 'تعذّر التأكيد.'],
+
+    // ---- account security (security.html)
+    'sec.page_title': ['CitizenVote — Account security', 'CitizenVote — أمان الحساب'],
+    'sec.title': ['Two-step verification', 'التحقق بخطوتين'],
+    'sec.required': [
+      'An administrator requires two-step verification on your account before you continue.',
+      'يشترط المشرف تفعيل التحقق بخطوتين لحسابك قبل المتابعة.'
+    ],
+    'sec.status_on': ['On since {date} — recovery codes left: {n}', 'مفعّل منذ {date} — رموز الاسترداد المتبقية: {n}'],
+    'sec.status_off': [
+      'Off: your password alone signs you in to your account.',
+      'غير مفعّل: يكفي إدخال كلمة المرور لتسجيل الدخول إلى حسابك.'
+    ],
+    'sec.setup_title': ['Turn on two-step verification', 'تفعيل التحقق بخطوتين'],
+    'sec.setup_help': [
+      'You will need an authenticator app on your phone (Google Authenticator, Microsoft Authenticator or similar).',
+      'ستحتاج إلى تطبيق مصادقة على هاتفك (Google Authenticator أو Microsoft Authenticator أو غيرهما).'
+    ],
+    'sec.current_password': ['Current password', 'كلمة المرور الحالية'],
+    'sec.start_setup': ['Start the setup', 'بدء الإعداد'],
+    'sec.scan': ['Scan the code with the authenticator app, or enter the key by hand:', 'امسح الرمز بتطبيق المصادقة، أو أدخل المفتاح يدويًا:'],
+    'sec.six_digits': ['6-digit code', 'الرمز المكوّن من 6 أرقام'],
+    'sec.enable': ['Turn on', 'تفعيل'],
+    'sec.codes_title': ['Recovery codes', 'رموز الاسترداد'],
+    'sec.codes_help': [
+      'Keep these codes somewhere safe. Each one signs you in once if you lose your phone. They will not be shown again.',
+      'احفظ هذه الرموز في مكان آمن. يمكن استخدام كل رمز مرة واحدة لتسجيل الدخول إذا فقدت هاتفك. لن تظهر مرة أخرى.'
+    ],
+    'sec.copy': ['Copy', 'نسخ'],
+    'sec.codes_saved': ['I have saved them', 'لقد حفظتها'],
+    'sec.manage_title': ['Manage two-step verification', 'إدارة التحقق بخطوتين'],
+    'sec.regen_label': [
+      'New recovery codes (the old ones stop working) — enter a code from the app',
+      'رموز استرداد جديدة (تُلغى الرموز السابقة) — أدخل رمزًا من التطبيق'
+    ],
+    'sec.regen': ['Create new codes', 'إنشاء رموز جديدة'],
+    'sec.disable_title': ['Turn off two-step verification', 'إيقاف التحقق بخطوتين'],
+    'sec.disable_code': ['Code from the app or a recovery code', 'رمز من التطبيق أو رمز استرداد'],
+    'sec.disable': ['Turn off', 'إيقاف'],
+    'sec.sessions_title': ['Active sessions', 'الجلسات النشطة'],
+    'sec.col.device': ['Device', 'الجهاز'],
+    'sec.col.ip': ['IP', 'IP'],
+    'sec.col.last_seen': ['Last active', 'آخر نشاط'],
+    'sec.col.started': ['Started', 'بدأت'],
+    'sec.this_device': ['(this device)', '(هذا الجهاز)'],
+    'sec.end_session': ['End', 'إنهاء'],
+    'sec.logout_all': ['Sign out of every device', 'تسجيل الخروج من كل الأجهزة'],
+    'sec.logout_all_confirm': ['Sign out of every device, this one included?', 'تسجيل الخروج من كل الأجهزة، بما فيها هذا الجهاز؟'],
+    'sec.setup_failed': ['Could not start the setup', 'تعذّر بدء الإعداد'],
+    'sec.bad_code': ['Invalid code', 'رمز غير صحيح'],
+    'sec.enabled': ['Two-step verification is on', 'تم تفعيل التحقق بخطوتين'],
+    'sec.regenerated': ['New codes created', 'تم إنشاء رموز جديدة'],
+    'sec.disable_confirm': [
+      'Turn off two-step verification? Your password alone will sign you in.',
+      'إيقاف التحقق بخطوتين؟ سيكفي إدخال كلمة المرور لتسجيل الدخول.'
+    ],
+    'sec.disable_failed': ['Could not turn it off', 'تعذّر الإيقاف'],
+    'sec.disabled': ['Two-step verification is off', 'تم إيقاف التحقق بخطوتين'],
+
+    // ---- election day (turnout.html)
+    'turnout.page_title': ['CitizenVote — Election day', 'CitizenVote — يوم الاقتراع'],
+    'turnout.mark_title': ["Record a supporter's vote", 'تسجيل اقتراع مؤيد'],
+    'turnout.card': ['Electoral card number', 'رقم البطاقة الانتخابية'],
+    'turnout.vote': ['Voted', 'صوّت'],
+    'turnout.undo_last': ['Undo the last entry', 'تراجع عن آخر تسجيل'],
+    'turnout.undo': ['Undo', 'تراجع'],
+    'turnout.search_title': ['Or search by name', 'أو ابحث بالاسم'],
+    'turnout.search': ['Search by name or card…', 'ابحث بالاسم أو البطاقة…'],
+    'turnout.col.card': ['Card', 'البطاقة'],
+    'turnout.col.center': ['Center', 'المركز'],
+    'turnout.col.registered': ['Registered', 'المسجلون'],
+    'turnout.col.voted': ['Voted', 'صوّتوا'],
+    'turnout.col.pct': ['Turnout', 'النسبة'],
+    'turnout.col.assistant': ['Assistant', 'المُعاون'],
+    'turnout.col.assistant_phone': ["Assistant's phone", 'هاتف المُعاون'],
+    'turnout.summary_title': ['Turnout', 'نسبة المشاركة'],
+    'turnout.by.polling_center': ['By polling center', 'حسب مركز الاقتراع'],
+    'turnout.by.candidate': ['By candidate', 'حسب المرشح'],
+    'turnout.by.assistant': ['By assistant', 'حسب المُعاون'],
+    'turnout.refresh': ['Refresh', 'تحديث'],
+    'turnout.total': ['Total: {voted} of {registered} ({pct})', 'الإجمالي: {voted} من {registered} ({pct})'],
+    'turnout.call_title': ['Call list — not voted yet', 'قائمة الاتصال — لم يصوّتوا بعد'],
+    'turnout.all_assistants': ['All assistants', 'كل المعاونين'],
+    'turnout.center': ['Polling center', 'مركز الاقتراع'],
+    'turnout.download_csv': ['Download CSV', 'تنزيل CSV'],
+    'turnout.not_voted': ['{n} supporters have not voted', '{n} مؤيد لم يصوّت'],
+    'turnout.all_voted': ['Everyone has voted', 'الجميع صوّتوا'],
+    'turnout.no_results': ['No results', 'لا نتائج'],
+    'turnout.not_found': ['No supporter with this card within your access.', 'لا يوجد مؤيد بهذه البطاقة ضمن صلاحياتك.'],
+    'turnout.mark_failed': ['Could not record the vote', 'تعذّر التسجيل'],
+    'turnout.unmarked': ['Vote entry undone: {name}', 'أُلغي تسجيل اقتراع: {name}'],
+    'turnout.already': ['{name} — already recorded as voted ({time})', '{name} — مسجَّل كمصوّت مسبقًا ({time})'],
+    'turnout.marked': ['✔ {name} — {center}', '✔ {name} — {center}'],
+    'turnout.no_center': ['No center', 'بلا مركز']
+  };
+
+  const stored = (key, allowed, fallback) => {
+    try {
+      const v = localStorage.getItem(key);
+      return allowed.includes(v) ? v : fallback;
+    } catch {
+      return fallback;
+    }
+  };
+  const remember = (key, value) => { try { localStorage.setItem(key, value); } catch {} };
+
+  let lang = stored(STORE_LANG, LANGUAGES, 'ar');
+  let numerals = stored(STORE_NUMERALS, NUMERALS, 'latn');
+
+  function setDirection() {
+    const root = document.documentElement;
+    root.lang = lang;
+    root.dir = lang === 'ar' ? 'rtl' : 'ltr';
+  }
+
+  // BCP 47 tag with the chosen digits, e.g. "ar-IQ-u-nu-arab"
+  const locale = () => `${lang === 'ar' ? 'ar-IQ' : 'en-GB'}-u-nu-${numerals}`;
+
+  function num(n, digits = 0) {
+    if (n == null || n === '' || !Number.isFinite(+n)) return '—';
+    return new Intl.NumberFormat(locale(), { minimumFractionDigits: digits, maximumFractionDigits: digits }).format(+n);
+  }
+
+  // Digits inside ready-made text ("01-31", card numbers) in the chosen style
+  function digits(text) {
+    const s = String(text ?? '');
+    return numerals === 'arab' ? s.replace(/[0-9]/g, d => '٠١٢٣٤٥٦٧٨٩'[d]) : s;
+  }
+
+  // 42.5 -> "42.5%" / "٤٢٫٥٪"
+  function pct(n, digits = 1) {
+    if (n == null || !Number.isFinite(+n)) return '—';
+    return new Intl.NumberFormat(locale(), { style: 'percent', minimumFractionDigits: digits, maximumFractionDigits: digits })
+      .format(+n / 100);
+  }
+
+  // SQLite timestamps are UTC without a zone ("2026-01-31 10:00:00")
+  function parse(value) {
+    if (value instanceof Date) return value;
+    const s = String(value || '');
+    if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return new Date(s + 'T00:00:00Z');
+    return new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(s) ? s : s.replace(' ', 'T') + 'Z');
+  }
+
+  // Calendar date; plain YYYY-MM-DD values are not shifted by the time zone
+  function date(value) {
+    if (!value) return '—';
+    const d = parse(value);
+    if (isNaN(d)) return String(value);
+    const utc = /^\d{4}-\d{2}-\d{2}$/.test(String(value));
+    return new Intl.DateTimeFormat(locale(), { year: 'numeric', month: '2-digit', day: '2-digit', ...(utc && { timeZone: 'UTC' }) })
+      .format(d);
+  }
+
+  function dateTime(value) {
+    if (!value) return '—';
+    const d = parse(value);
+    if (isNaN(d)) return String(value);
+    return new Intl.DateTimeFormat(locale(), { dateStyle: 'short', timeStyle: 'short' }).format(d);
+  }
+
+  // Text for `key`; {name} placeholders are filled from params, numbers formatted
+  function t(key, params = {}) {
+    const entry = CATALOG[key];
+    const text = entry ? entry[lang === 'ar' ? 1 : 0] : key;
+    return text.replace(/\{(\w+)\}/g, (m, k) => {
+      const value = params[k];
+      if (value == null) return m;
+      return typeof value === 'number' ? num(value, Number.isInteger(value) ? 0 : 1) : String(value);
+    });
+  }
+
+  function switcher(el) {
+    el.classList.add('i18n-switcher');
+    el.innerHTML = `
+      <select data-pick="language" aria-label="${t('lang.label')}">
+        ${LANGUAGES.map(l => `<option value="${l}" ${l === lang ? 'selected' : ''}>${t('lang.' + l)}</option>`).join('')}
+      </select>
+      <select data-pick="numerals" aria-label="${t('numerals.label')}" title="${t('numerals.label')}">
+        ${NUMERALS.map(n => `<option value="${n}" ${n === numerals ? 'selected' : ''}>${t('numerals.' + n)}</option>`).join('')}
+      </select>`;
+    el.querySelector('[data-pick=language]').onchange = e => setLanguage(e.target.value);
+    el.querySelector('[data-pick=numerals]').onchange = e => setNumerals(e.target.value);
+  }
+
+  // Translate the marked elements under root
+  function apply(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+    for (const attr of ['placeholder', 'title', 'aria-label']) {
+      root.querySelectorAll(`[data-i18n-${attr}]`).forEach(el => {
+        el.setAttribute(attr, t(el.getAttribute(`data-i18n-${attr}`)));
+      });
+    }
+    root.querySelectorAll('[data-i18n-switcher]').forEach(switcher);
+  }
+
+  // Save locally and on the account (a 401 just means nobody is signed in), then re-render the page
+  async function save(prefs) {
+    if (prefs.language) remember(STORE_LANG, prefs.language);
+    if (prefs.numerals) remember(STORE_NUMERALS, prefs.numerals);
+    await fetch('/api/auth/preferences', {
+      method: 'PUT', credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(prefs)
+    }).catch(() => {});
+    location.reload();
+  }
+
+  function setLanguage(value) {
+    if (LANGUAGES.includes(value) && value !== lang) return save({ language: value });
+  }
+
+  function setNumerals(value) {
+    if (NUMERALS.includes(value) && value !== numerals) return save({ numerals: value });
+  }
+
+  /**
+   * Take the preferences saved on the account (the user object of
+   * /api/auth/me or the login response). Reloads when they differ from what
+   * this browser rendered, unless { reload: false }.
+   */
+  function adopt(user, { reload = true } = {}) {
+    if (!user) return;
+    const wantLang = LANGUAGES.includes(user.language) ? user.language : lang;
+    const wantNumerals = NUMERALS.includes(user.numerals) ? user.numerals : numerals;
+    if (wantLang === lang && wantNumerals === numerals) return;
+    remember(STORE_LANG, wantLang);
+    remember(STORE_NUMERALS, wantNumerals);
+    if (reload) location.reload();
+  }
+
+  setDirection();
+  if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', () => apply());
+  else apply();
+
+  window.CVI18n = {
+    t, num, pct, digits, date, dateTime, apply, adopt, setLanguage, setNumerals,
+    get language() { return lang; },
+    get numerals() { return numerals; },
+    get dir() { return lang === 'ar' ? 'rtl' : 'ltr'; }
+  };
+})();
@@ -0,0 +1,41 @@
+// public/js/live.js
+// Subscribe to live totals from /api/stream (Server-Sent Events).
+// Usage: CVLive.subscribe(({ party, candidates }) => { ... })
+// EventSource retries dropped connections by itself; when the browser gives
+// up (e.g. the server restarted and answered with an error) we reopen the
+// stream with a growing delay, and go to the login page if the session ended.
+(function () {
+  const MAX_DELAY = 30000;
+
+  function subscribe(onTotals, onStatus = () => {}) {
+    let source = null;
+    let delay = 1000;
+    let timer = null;
+
+    function connect() {
+      source = new EventSource('/api/stream', { withCredentials: true });
+      source.onopen = () => { delay = 1000; onStatus('live'); };
+      source.addEventListener('totals', (e) => {
+        try { onTotals(JSON.parse(e.data)); } catch (err) { console.warn('Bad totals event', err); }
+      });
+      source.addEventListener('logout', () => {
+        source.close();
+        location.replace('/login.html');
+      });
+      source.onerror = async () => {
+        onStatus('reconnecting');
+        if (source.readyState !== EventSource.CLOSED) return; // the browser is retrying
+        clearTimeout(timer);
+        const me = await fetch('/api/auth/me', { credentials: 'include' }).catch(() => null);
+        if (me && me.status === 401) { location.replace('/login.html'); return; }
+        timer = setTimeout(connect, delay);
+        delay = Math.min(MAX_DELAY, delay * 2);
+      };
+    }
+
+    connect();
+    return { close: () => { clearTimeout(timer); if (source) source.close(); } };
+  }
+
+  window.CVLive = { subscribe };
+})();
@@ -0,0 +1,117 @@
+// public/js/offline-queue.js
+// IndexedDB queue for voters entered while offline.
+// Every record gets a client-generated id (client_id) so replaying it through
+// POST /api/voters/sync can never insert the same supporter twice. The id
+// only has to be unique per user; a clash with someone else's is re-sent
+// under a fresh id.
+// Records also carry the id of the user who entered them. Only that user's
+// records are counted and synced; anyone else's wait in the queue until they
+// sign in on this device again.
+// Usage:
+//   CVQueue.use(user)                       the signed-in user (null offline: the last one seen here)
+//   await CVQueue.add({ full_name, ... })   → queued record (with client_id)
+//   await CVQueue.sync()                    → { results, pending } or { error }
+(function () {
+  const DB_NAME = 'citizenvote';
+  const STORE = 'voter_queue';
+  const BATCH = 100;
+  // Results that settle a record: it leaves the queue
+  const FINAL = ['created', 'already_synced', 'duplicate', 'invalid'];
+  // The server saw this client_id from another user: send again under a new one
+  const REKEY = 'conflict';
+  const OWNER_KEY = 'cv.queue.owner';
+
+  let owner = null;
+
+  function use(user) {
+    if (user) localStorage.setItem(OWNER_KEY, String(user.uid));
+    owner = localStorage.getItem(OWNER_KEY);
+  }
+
+  function open() {
+    return new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore(STORE, { keyPath: 'client_id' });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  async function tx(mode, fn) {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const t = db.transaction(STORE, mode);
+      const result = fn(t.objectStore(STORE));
+      t.oncomplete = () => { db.close(); resolve(result && 'result' in result ? result.result : result); };
+      t.onerror = () => { db.close(); reject(t.error); };
+    });
+  }
+
+  function newId() {
+    if (self.crypto && crypto.randomUUID) return crypto.randomUUID();
+    return 'c-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 12);
+  }
+
+  async function add(record) {
+    if (!owner) throw new Error('CVQueue.use() has not been given a user');
+    const item = { ...record, client_id: record.client_id || newId(), user_id: owner, queued_at: new Date().toISOString() };
+    await tx('readwrite', store => store.put(item));
+    return item;
+  }
+
+  // Records queued before user_id was stored have no owner and are never sent
+  const all = async () => (await tx('readonly', store => store.getAll())).filter(r => owner && r.user_id === owner);
+  const count = async () => (await all()).length;
+  const remove = ids => tx('readwrite', store => ids.forEach(id => store.delete(id)));
+
+  let syncing = null;
+
+  // Send queued records in batches. Network errors and 5xx keep the records
+  // for the next attempt; a 401 stops until the user logs in again.
+  function sync() {
+    if (syncing) return syncing;
+    syncing = (async () => {
+      const results = [];
+      const queued = await all();
+      for (let i = 0; i < queued.length; i += BATCH) {
+        const batch = queued.slice(i, i + BATCH);
+        let res;
+        try {
+          res = await fetch('/api/voters/sync', {
+            method: 'POST',
+            credentials: 'include',
+            // Per-record errors come back in the page's language
+            headers: { 'Content-Type': 'application/json', 'Accept-Language': document.documentElement.lang },
+            body: JSON.stringify({ records: batch.map(({ queued_at, replaces, user_id, ...r }) => r) })
+          });
+        } catch {
+          return { error: 'offline', results, pending: await count() };
+        }
+        if (res.status === 401) return { error: 'unauthorized', results, pending: await count() };
+        const data = await res.json().catch(() => null);
+        if (!res.ok || !data || !data.ok) return { error: (data && data.msg) || 'server', results, pending: await count() };
+
+        const byId = new Map(batch.map(r => [r.client_id, r]));
+        const settled = data.results.filter(r => FINAL.includes(r.status)).map(r => r.client_id);
+        await remove(settled);
+        for (const r of data.results) {
+          const record = byId.get(r.client_id);
+          if (r.status === REKEY && record) {
+            // Results keep reporting the id the page was given by add()
+            const again = { ...record, client_id: newId(), replaces: record.replaces || record.client_id };
+            await tx('readwrite', store => { store.delete(record.client_id); store.put(again); });
+            queued.push(again);
+            continue;
+          }
+          results.push({ ...r, client_id: (record && record.replaces) || r.client_id, record });
+        }
+      }
+      return { results, pending: await count() };
+    })().finally(() => { syncing = null; });
+    return syncing;
+  }
+
+  self.CVQueue = { use, add, all, count, sync };
+})();
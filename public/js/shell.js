@@ -0,0 +1,96 @@
+// public/js/shell.js
+// Shared page shell for the signed-in pages: checks the session (js/api.js),
+// applies the account's language and fills the top nav with the links the
+// user's role may open, the language picker and the logout button.
+// Markup:
+//   <nav class="nav" data-shell></nav>     styled by the page (.nav, .btn, .brand)
+//   <div id="app">…</div>                  hidden until the check passes (optional)
+// Usage:
+//   CVShell.start().then(user => init(user))
+//   CVShell.start({ roles: ['admin'] })    other roles go to their home page
+//   CVShell.start({ offline: true })       keep working when the server is unreachable (user = null)
+//   CVShell.esc(value)                     escape text or attribute values for innerHTML templates
+(function () {
+  // Who sees which link; the pages themselves are guarded by htmlGuard in server/app.js
+  const LINKS = [
+    { href: '/index.html', key: 'nav.dashboard', roles: ['admin', 'candidate'] },
+    { href: '/admin.html', key: 'nav.admin', roles: ['admin'] },
+    { href: '/candidate.html', key: 'nav.candidates', roles: ['admin', 'candidate'] },
+    { href: '/assistant.html', key: 'nav.assistant', roles: ['admin', 'candidate', 'assistant'] },
+    { href: '/voters.html', key: 'nav.voters', roles: ['admin', 'candidate', 'assistant'] },
+    { href: '/turnout.html', key: 'nav.turnout', roles: ['admin', 'candidate', 'assistant'] },
+    { href: '/security.html', key: 'nav.security', roles: ['admin', 'candidate', 'assistant'] }
+  ];
+
+  // Assistants land on the data-entry page, everyone else on the dashboard
+  function home(user) {
+    return user && user.role === 'assistant' ? '/assistant.html' : '/index.html';
+  }
+
+  function current(href) {
+    const path = location.pathname === '/' ? '/index.html' : location.pathname;
+    return path === href;
+  }
+
+  // Without a user (offline) every link is shown; the server still decides
+  function render(nav, user) {
+    const links = LINKS.filter(l => !user || l.roles.includes(user.role));
+    nav.innerHTML = `
+      ${links.map(l => `<a class="btn" href="${l.href}" data-i18n="${l.key}"${current(l.href) ? ' aria-current="page"' : ''}></a>`).join('')}
+      <button type="button" class="btn danger" data-shell-logout data-i18n="nav.logout"></button>
+      <span data-i18n-switcher></span>
+      <a class="brand" href="${home(user)}" data-i18n="app.name"></a>`;
+    CVI18n.apply(nav);
+    nav.querySelector('[data-shell-logout]').onclick = logout;
+  }
+
+  function esc(value) {
+    return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+  }
+
+  // The service worker (sw.js) keeps each user's reference lists apart
+  function tellWorker(message) {
+    if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
+      navigator.serviceWorker.controller.postMessage(message);
+    }
+  }
+
+  async function logout() {
+    await CVApi.auth.logout();
+    tellWorker({ type: 'logout' });
+    location.replace('/login.html');
+  }
+
+  /**
+   * @param {{ roles?: string[], offline?: boolean }} [options]
+   * @returns {Promise<?Object>} the signed-in user of /api/auth/me (null offline)
+   */
+  async function start({ roles = null, offline = false } = {}) {
+    const me = await CVApi.auth.me({ quiet: offline });
+    let user = null;
+    if (me.ok) {
+      user = me.user;
+      CVI18n.adopt(user);
+      tellWorker({ type: 'user', id: user.uid });
+      // The same order as login.html: password change, then 2FA enrollment, then the role's pages
+      const to = user.must_change_password ? '/login.html?change=1'
+        : user.must_enroll_2fa && location.pathname !== '/security.html' ? '/security.html'
+        : roles && !roles.includes(user.role) ? home(user)
+        : null;
+      if (to) {
+        location.replace(to);
+        return new Promise(() => {});
+      }
+    } else if (!(offline && me.status === 0)) {
+      location.replace('/login.html');
+      return new Promise(() => {});
+    }
+
+    document.querySelectorAll('nav[data-shell]').forEach(nav => render(nav, user));
+    const app = document.getElementById('app');
+    if (app) app.style.display = 'block';
+    return user;
+  }
+
+  window.CVShell = { start, home, logout, esc };
+})();
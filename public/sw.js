@@ -0,0 +1,104 @@
+// public/sw.js
+// Service worker for the assistant data-entry page.
+// - App shell (page, styles, scripts): cache first, refreshed in the background
+// - Reference lists (candidates, districts, assistants, polling centers):
+//   network first, cached copy when offline. They are the signed-in user's view,
+//   so they live in a cache named after that user: pages report the user
+//   ({ type: 'user', id }) and logout ({ type: 'logout' }), and any other
+//   user's lists are dropped
+// - Everything else (including voter writes) goes straight to the network;
+//   offline writes are queued by the page in IndexedDB (js/offline-queue.js)
+
+const VERSION = 'cv-offline-v5';
+const LISTS_PREFIX = `${VERSION}-lists-`;
+const SHELL = [
+  '/assistant.html',
+  '/css/rtl.css',
+  '/js/api.js',
+  '/js/shell.js',
+  '/js/offline-queue.js',
+  '/js/form-errors.js',
+  '/js/i18n.js'
+];
+const LISTS = ['/api/candidates', '/api/districts', '/api/assistants', '/api/polling-centers'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(VERSION)
+      // The page is guarded by the session cookie, so fetch with credentials
+      .then(cache => Promise.all(SHELL.map(url =>
+        fetch(url, { credentials: 'include' })
+          .then(res => (res.ok && !res.redirected ? cache.put(url, res) : null))
+          .catch(() => null)
+      )))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k !== VERSION && !k.startsWith(LISTS_PREFIX)).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+function cacheable(res) {
+  // Never cache a redirect to the login page or an error
+  return res && res.ok && !res.redirected;
+}
+
+async function cacheFirst(request) {
+  const cache = await caches.open(VERSION);
+  const cached = await cache.match(request, { ignoreSearch: true });
+  const network = fetch(request)
+    .then(res => { if (cacheable(res)) cache.put(request, res.clone()); return res; })
+    .catch(() => null);
+  return cached || (await network) || Response.error();
+}
+
+self.addEventListener('message', (event) => {
+  const { type, id } = event.data || {};
+  if (type !== 'user' && type !== 'logout') return;
+  const keep = type === 'user' ? LISTS_PREFIX + id : null;
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k.startsWith(LISTS_PREFIX) && k !== keep).map(k => caches.delete(k))))
+      .then(() => keep && caches.open(keep))
+  );
+});
+
+// The current user's list cache; null until a page has reported the user
+async function listCache() {
+  const name = (await caches.keys()).find(k => k.startsWith(LISTS_PREFIX));
+  return name ? caches.open(name) : null;
+}
+
+async function networkFirst(request) {
+  const cache = await listCache();
+  try {
+    const res = await fetch(request);
+    if (cache && cacheable(res)) cache.put(request, res.clone());
+    return res;
+  } catch {
+    const cached = cache && await cache.match(request);
+    if (cached) return cached;
+    return new Response(JSON.stringify({ ok: false, offline: true, msg: 'Offline' }), {
+      status: 503,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (SHELL.includes(url.pathname)) {
+    event.respondWith(cacheFirst(request));
+  } else if (LISTS.includes(url.pathname)) {
+    event.respondWith(networkFirst(request));
+  }
+});
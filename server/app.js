@@ -3,11 +3,15 @@
  * - Works locally and on free hosts with persistent volume (e.g., Railway)
  * - Uses DATA_DIR=/data if provided, otherwise falls back to /database/votes.db
  * - On first boot with DATA_DIR, seeds /data/votes.db from repo copy
+ * - Schema changes are numbered migrations in server/migrations, applied on
+ *   boot (see migrate.js for the CLI)
  * - Secure cookies in production; same routes/UI as your local build
  */
 
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
 const express = require('express');
 const helmet = require('helmet');
 const cors = require('cors');
@@ -16,6 +20,22 @@ const rateLimit = require('express-rate-limit');
 const sqlite3 = require('sqlite3').verbose();
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const multer = require('multer');
+const ExcelJS = require('exceljs');
+const { readRows, csvLine } = require('./lib/spreadsheet');
+const { createRoster } = require('./lib/roster-pdf');
+const { normalizeName, westernDigits, scorePair, blockingKeys } = require('./lib/arabic');
+const analytics = require('./lib/analytics');
+const { clusterValues, suggestCenter } = require('./lib/centers');
+const { migrate } = require('./lib/migrate');
+const backup = require('./lib/backup');
+const totp = require('./lib/totp');
+const sessions = require('./lib/sessions');
+const loginPolicy = require('./lib/login-policy');
+const voterQuery = require('./lib/voter-query');
+const { v, createValidator } = require('./lib/validate');
+const { LANGUAGES, pickLanguage, errorMessage, reportText } = require('./lib/messages');
+const QRCode = require('qrcode');
 
 const app = express();
 
@@ -23,6 +43,21 @@ const app = express();
 
 const PORT = process.env.PORT || 8080;
 const JWT_SECRET = process.env.JWT_SECRET || 'cv_local_dev_secret_CHANGE_ME';
+// Seals TOTP secrets at rest; changing it disables every 2FA enrollment
+const TOTP_KEY = process.env.TOTP_KEY || JWT_SECRET;
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'CitizenVote';
+
+// Access tokens are short-lived; the refresh cookie keeps a session going
+// until it has been idle for SESSION_IDLE_HOURS
+const ACCESS_TOKEN_MINUTES = Math.max(1, parseInt(process.env.ACCESS_TOKEN_MINUTES || '15', 10) || 15);
+const SESSION_IDLE_HOURS = Math.max(0.25, parseFloat(process.env.SESSION_IDLE_HOURS || '8') || 8);
+// A replaced refresh token still works this long (parallel requests)
+const REFRESH_GRACE_SECONDS = 30;
+
+// Per-account lockout after repeated failed logins (see lib/login-policy.js)
+const LOGIN_LOCK_THRESHOLD = Math.max(1, parseInt(process.env.LOGIN_LOCK_THRESHOLD || '5', 10) || 5);
+const LOGIN_LOCK_MAX_MINUTES = Math.max(1, parseInt(process.env.LOGIN_LOCK_MAX_MINUTES || '60', 10) || 60);
+const LOGIN_ATTEMPTS_KEEP_DAYS = 90;
 const PUBLIC_DIR = path.resolve(__dirname, '..', 'public');
 
 // Persistent storage settings
@@ -30,6 +65,14 @@ const DATA_DIR = process.env.DATA_DIR || null;
 const DEFAULT_DB_FILE = path.resolve(__dirname, '..', 'database', 'votes.db'); // repo copy
 const DB_FILE = process.env.DB_PATH || (DATA_DIR ? path.join(DATA_DIR, 'votes.db') : DEFAULT_DB_FILE);
 
+// Deleted voters stay in the trash at least this long before an admin can purge them
+const TRASH_RETENTION_DAYS = Math.max(0, parseInt(process.env.TRASH_RETENTION_DAYS || '30', 10) || 0);
+
+// Online snapshots of the database (see the Backups section)
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(DATA_DIR || path.dirname(DB_FILE), 'backups');
+const BACKUP_INTERVAL_HOURS = Math.max(0, parseFloat(process.env.BACKUP_INTERVAL_HOURS || '24') || 0);
+const BACKUP_KEEP = Math.max(1, parseInt(process.env.BACKUP_KEEP || '14', 10) || 14);
+
 // Ensure DATA_DIR exists if provided (e.g., Railway volume mount /data)
 if (DATA_DIR) {
   fs.mkdirSync(DATA_DIR, { recursive: true });
@@ -54,20 +97,32 @@ app.use(cors({ origin: CORS_ORIGIN, credentials: true }));
 
 app.use(cookieParser());
 app.use(express.json({ limit: '1mb' }));
+// Malformed JSON gets the same error shape as a failed validation
+app.use((err, req, res, next) => {
+  if (err.type !== 'entity.parse.failed') return next(err);
+  sendInvalid(req, res, [{ field: '', code: 'invalid_json' }]);
+});
 
 // Trust proxy so secure cookies work behind HTTPS on the host
 app.set('trust proxy', 1);
-function cookieOpts() {
+function cookieOpts(maxAge = ACCESS_TOKEN_MINUTES * 60 * 1000) {
   const isProd = process.env.NODE_ENV === 'production';
   return {
     httpOnly: true,
     sameSite: 'lax',
     secure: isProd,
     path: '/',
-    maxAge: 1000 * 60 * 60 * 8 // 8 hours
+    maxAge
   };
 }
 
+// While a backup is being restored the API is read-only
+let maintenance = null;
+app.use('/api/', (req, res, next) => {
+  if (!maintenance || req.method === 'GET' || req.method === 'HEAD') return next();
+  sendError(req, res, 503, 'MAINTENANCE', { maintenance: true });
+});
+
 // Gentle rate limit for auth endpoints
 const authLimiter = rateLimit({
   windowMs: 60 * 1000,
@@ -75,7 +130,21 @@ const authLimiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false
 });
-app.use(['/api/auth/login', '/api/auth/change-password'], authLimiter);
+// (also covers the second login step, /api/auth/login/2fa)
+app.use([
+  '/api/auth/login', '/api/auth/change-password',
+  '/api/auth/2fa/setup', '/api/auth/2fa/enable', '/api/auth/2fa/disable', '/api/auth/2fa/recovery-codes'
+], authLimiter);
+
+// Stricter limit for the public voter lookup (card + dob guessing)
+const lookupLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => sendError(req, res, 429, 'TOO_MANY_LOOKUPS')
+});
+app.use('/api/public/', lookupLimiter);
 
 /* ------------------------------ DB helpers ------------------------------- */
 
@@ -87,7 +156,7 @@ const db = new sqlite3.Database(DB_FILE, (err) => {
   console.log('DB connected:', DB_FILE);
 });
 
-function run(sql, params = []) {
+function runNow(sql, params) {
   return new Promise((resolve, reject) => {
     db.run(sql, params, function (err) {
       if (err) reject(err);
@@ -95,6 +164,11 @@ function run(sql, params = []) {
     });
   });
 }
+// Writes share the one connection with transactions, so outside the queue
+// they wait their turn instead of landing in someone else's open transaction
+function run(sql, params = []) {
+  return queueTurn.getStore()?.open ? runNow(sql, params) : exclusive(() => runNow(sql, params));
+}
 function get(sql, params = []) {
   return new Promise((resolve, reject) => {
     db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
@@ -106,120 +180,404 @@ function all(sql, params = []) {
   });
 }
 
+// Run fn once every queued write and transaction has finished, and hold the
+// queue until it is done (transactions, backups, and each plain run()).
+// Writes made by fn itself skip the queue: queueTurn marks its async context,
+// and closes once fn is done so timers it started queue like anyone else.
+let txQueue = Promise.resolve();
+const queueTurn = new AsyncLocalStorage();
+function exclusive(fn) {
+  const p = txQueue.then(() => {
+    const turn = { open: true };
+    return Promise.resolve(queueTurn.run(turn, fn)).finally(() => { turn.open = false; });
+  });
+  txQueue = p.catch(() => {});
+  return p;
+}
+
+// Run fn inside BEGIN/COMMIT; transactions are queued so they never nest
+// on the single shared connection, and no other request writes meanwhile.
+function transaction(fn) {
+  return exclusive(async () => {
+    await run('BEGIN IMMEDIATE');
+    try {
+      const result = await fn();
+      await run('COMMIT');
+      return result;
+    } catch (e) {
+      await run('ROLLBACK').catch(() => {});
+      throw e;
+    }
+  });
+}
+
+// Nested unit of work inside transaction(): a failure undoes only fn's
+// writes and leaves the rest of the transaction going.
+async function savepoint(fn) {
+  await run('SAVEPOINT unit');
+  try {
+    const result = await fn();
+    await run('RELEASE unit');
+    return result;
+  } catch (e) {
+    await run('ROLLBACK TO unit').catch(() => {});
+    await run('RELEASE unit').catch(() => {});
+    throw e;
+  }
+}
+
+function isConstraintError(e) {
+  return e && e.code === 'SQLITE_CONSTRAINT';
+}
+
 /* ----------------------------- Schema bootstrap -------------------------- */
 
 async function ensureSchema() {
-  await run(`CREATE TABLE IF NOT EXISTS users (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    email TEXT UNIQUE NOT NULL,
-    password_hash TEXT NOT NULL,
-    role TEXT NOT NULL DEFAULT 'admin',
-    created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
-  )`);
-
-  await run(`CREATE TABLE IF NOT EXISTS party (
-    id INTEGER PRIMARY KEY CHECK (id = 1),
-    threshold INTEGER NOT NULL DEFAULT 0
-  )`);
-
-  await run(`CREATE TABLE IF NOT EXISTS districts (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    name TEXT NOT NULL
-  )`);
-
-  await run(`CREATE TABLE IF NOT EXISTS candidates (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    name TEXT NOT NULL,
-    district_id INTEGER,
-    target INTEGER DEFAULT 0,
-    FOREIGN KEY(district_id) REFERENCES districts(id)
-  )`);
-
-  await run(`CREATE TABLE IF NOT EXISTS assistants (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    candidate_id INTEGER NOT NULL,
-    name TEXT NOT NULL,
-    phone TEXT,
-    area_tags TEXT,
-    created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY(candidate_id) REFERENCES candidates(id)
-  )`);
-
-  await run(`CREATE TABLE IF NOT EXISTS voters (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    candidate_id INTEGER NOT NULL,
-    assistant_id INTEGER,
-    full_name TEXT NOT NULL,
-    dob TEXT,
-    district_id INTEGER,
-    polling_center TEXT,
-    electoral_card TEXT,
-    created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY(candidate_id) REFERENCES candidates(id)
-  )`);
-
-  await run(`CREATE INDEX IF NOT EXISTS idx_voters_card ON voters(electoral_card)`);
-  await run(`CREATE INDEX IF NOT EXISTS idx_voters_name_dob ON voters(full_name, dob)`);
+  await migrate(db, { log: console.log });
+  await loadSettings();
 
   // Seed party row (id=1)
   const pr = await get(`SELECT id FROM party WHERE id=1`);
   if (!pr) await run(`INSERT INTO party(id, threshold) VALUES (1, 20000)`);
 
-  // Seed default admin
-  const admin = await get(`SELECT id FROM users WHERE email=?`, ['admin@local']);
+  // Seed default admin; the well-known password has to be changed on first login
+  const admin = await get(`SELECT id, password_hash, must_change_password FROM users WHERE email=?`, ['admin@local']);
   if (!admin) {
-    const hash = await bcrypt.hash('ChangeMe123', 10);
-    await run(`INSERT INTO users(email, password_hash, role) VALUES (?,?,?)`,
+    const hash = await bcrypt.hash(loginPolicy.DEFAULT_PASSWORD, 10);
+    await run(`INSERT INTO users(email, password_hash, role, must_change_password) VALUES (?,?,?,1)`,
       ['admin@local', hash, 'admin']);
-    console.log('Auth bootstrap OK (admin@local / ChangeMe123)');
+    console.log(`Auth bootstrap OK (admin@local / ${loginPolicy.DEFAULT_PASSWORD})`);
+  } else if (!admin.must_change_password && await bcrypt.compare(loginPolicy.DEFAULT_PASSWORD, admin.password_hash)) {
+    await run(`UPDATE users SET must_change_password=1 WHERE id=?`, [admin.id]);
+    console.warn('admin@local still uses the default password; it must be changed at the next login');
   }
 }
-ensureSchema().catch(e => { console.error('Schema error', e); process.exit(1); });
 
 /* ------------------------------- Auth utils ------------------------------ */
 
-function signToken(user) {
+const ROLES = ['admin', 'candidate', 'assistant'];
+
+// Admin options kept in the settings table, cached in memory
+const settings = { require_2fa_roles: [] };
+
+async function loadSettings() {
+  const rows = await all(`SELECT key, value FROM settings`);
+  const stored = Object.fromEntries(rows.map(r => [r.key, JSON.parse(r.value)]));
+  settings.require_2fa_roles = (stored.require_2fa_roles || []).filter(r => ROLES.includes(r));
+}
+
+async function saveSetting(key, value) {
+  await run(`
+    INSERT INTO settings(key, value) VALUES (?, ?)
+    ON CONFLICT(key) DO UPDATE SET value=excluded.value, updated_at=CURRENT_TIMESTAMP`,
+    [key, JSON.stringify(value)]);
+  settings[key] = value;
+}
+
+// Access token for one session; `sid` ties it to its row in sessions
+function signToken(user, sid) {
   return jwt.sign(
-    { uid: user.id, role: user.role, email: user.email },
+    {
+      uid: user.id,
+      role: user.role,
+      email: user.email,
+      cid: user.candidate_id || null,
+      aid: user.assistant_id || null,
+      sid
+    },
     JWT_SECRET,
-    { expiresIn: '8h' }
+    { expiresIn: `${ACCESS_TOKEN_MINUTES}m` }
   );
 }
 
-function authRequired(req, res, next) {
-  const token = req.cookies?.token;
-  if (!token) return res.status(401).json({ ok: false, msg: 'Unauthorized' });
+function reqUser(u, sid) {
+  return {
+    uid: u.id,
+    role: u.role,
+    email: u.email,
+    full_name: u.full_name || null,
+    cid: u.candidate_id || null,
+    aid: u.assistant_id || null,
+    sid,
+    must_change_password: !!u.must_change_password,
+    two_factor: !!u.totp_enabled_at,
+    // Display preferences (public/js/i18n.js); null follows the browser
+    language: u.language || null,
+    numerals: u.numerals || null,
+    // The user's role requires 2FA but they have not enrolled yet
+    must_enroll_2fa: !u.totp_enabled_at && settings.require_2fa_roles.includes(u.role)
+  };
+}
+
+/* Sessions (see lib/sessions.js) */
+
+const SESSION_IDLE = `+${Math.round(SESSION_IDLE_HOURS * 60)} minutes`;
+
+function setAuthCookies(res, u, sid, refreshToken) {
+  res.cookie('token', signToken(u, sid), cookieOpts());
+  if (refreshToken) res.cookie('refresh', refreshToken, cookieOpts(SESSION_IDLE_HOURS * 60 * 60 * 1000));
+}
+
+function clearAuthCookies(res) {
+  res.clearCookie('token', { ...cookieOpts(), maxAge: 0 });
+  res.clearCookie('refresh', { ...cookieOpts(), maxAge: 0 });
+}
+
+// Open a session for a user who has just proved who they are
+async function startSession(req, res, u) {
+  const sid = sessions.newSid();
+  const refresh = sessions.newRefreshToken(sid);
+  const ua = String(req.get('user-agent') || '').slice(0, 300);
+  await run(`
+    INSERT INTO sessions(sid, user_id, token_version, refresh_hash, expires_at, last_seen_at, ip, user_agent, device)
+    VALUES (?,?,?,?, datetime('now', ?), datetime('now'), ?,?,?)`,
+    [sid, u.id, u.token_version || 0, refresh.hash, SESSION_IDLE, req.ip || null, ua || null, sessions.deviceLabel(ua)]);
+  // Forget sessions that ended a month ago
+  await run(`
+    DELETE FROM sessions
+    WHERE expires_at IS NULL OR expires_at < datetime('now', '-30 days') OR revoked_at < datetime('now', '-30 days')`);
+  setAuthCookies(res, u, sid, refresh.token);
+  return sid;
+}
+
+function getSession(sid) {
+  return get(`
+    SELECT *, expires_at > datetime('now') AS live,
+           rotated_at > datetime('now', ?) AS in_grace,
+           last_seen_at < datetime('now', '-1 minute') AS seen_long_ago
+    FROM sessions WHERE sid=?`, [`-${REFRESH_GRACE_SECONDS} seconds`, sid]);
+}
+
+// { s, u } for a session that is still valid, otherwise null. Bumping the
+// user's token_version (password reset, role change, disabling...) ends it.
+async function liveSession(sid) {
+  const s = sid && await getSession(sid);
+  if (!s || s.revoked_at || !s.live) return null;
+  const u = await get(`SELECT * FROM users WHERE id=?`, [s.user_id]);
+  if (!u || !u.is_active || (u.token_version || 0) !== s.token_version) return null;
+  return { s, u };
+}
+
+function revokeSession(sid, reason) {
+  return run(`UPDATE sessions SET revoked_at=datetime('now'), revoked_reason=? WHERE sid=? AND revoked_at IS NULL`,
+    [reason, sid]);
+}
+
+function revokeUserSessions(userId, reason) {
+  return run(`UPDATE sessions SET revoked_at=datetime('now'), revoked_reason=? WHERE user_id=? AND revoked_at IS NULL`,
+    [reason, userId]);
+}
+
+// Verify an access token and check its session, so that signing out,
+// disabling a user or resetting their password ends tokens already issued.
+async function loadTokenUser(token) {
+  let payload;
   try {
-    req.user = jwt.verify(token, JWT_SECRET);
-    next();
+    payload = jwt.verify(token, JWT_SECRET);
   } catch {
-    return res.status(401).json({ ok: false, msg: 'Unauthorized' });
+    return null;
+  }
+  const found = await liveSession(payload.sid);
+  if (!found || found.u.id !== payload.uid) return null;
+  if (found.s.seen_long_ago) await run(`UPDATE sessions SET last_seen_at=datetime('now') WHERE sid=?`, [payload.sid]);
+  return reqUser(found.u, payload.sid);
+}
+
+/**
+ * Swap the refresh cookie for a new access token and a new refresh token.
+ * Returns the request user, or null when the session is over. A refresh
+ * token that was already swapped (outside the grace period) was copied
+ * from somewhere, so the whole session is revoked.
+ */
+async function refreshSession(req, res) {
+  const presented = sessions.parseRefreshToken(req.cookies?.refresh);
+  const found = presented && await liveSession(presented.sid);
+  if (!found) return null;
+  const { u } = found;
+  let s = found.s;
+
+  if (presented.hash === s.refresh_hash) {
+    const next = sessions.newRefreshToken(s.sid);
+    const r = await run(`
+      UPDATE sessions SET prev_refresh_hash=refresh_hash, refresh_hash=?, rotated_at=datetime('now'),
+        expires_at=datetime('now', ?), last_seen_at=datetime('now'), ip=?
+      WHERE sid=? AND refresh_hash=?`,
+      [next.hash, SESSION_IDLE, req.ip || null, s.sid, presented.hash]);
+    if (r.changes) {
+      setAuthCookies(res, u, s.sid, next.token);
+      return reqUser(u, s.sid);
+    }
+    s = await getSession(s.sid); // another request rotated it first
   }
+  if (presented.hash === s.prev_refresh_hash && s.in_grace) {
+    // That other request's response carries the new refresh token
+    setAuthCookies(res, u, s.sid);
+    return reqUser(u, s.sid);
+  }
+  await revokeSession(s.sid, 'refresh_reuse');
+  console.warn(`Refresh token reused for user ${u.id}; session ${s.sid} revoked`);
+  return null;
 }
 
-function adminOnly(req, res, next) {
-  if (req.user?.role !== 'admin') return res.status(403).json({ ok: false, msg: 'Forbidden' });
-  next();
+// The signed-in user, from the access cookie or, once that has expired, by
+// refreshing the session; pages never notice the short access lifetime.
+async function authenticate(req, res) {
+  return (await loadTokenUser(req.cookies?.token)) || refreshSession(req, res);
 }
 
-/* ---------------------------- Guard HTML routes -------------------------- */
+// Endpoints still reachable while a password change is pending
+const PASSWORD_CHANGE_EXEMPT = ['/api/auth/me', '/api/auth/change-password', '/api/auth/preferences'];
+// ... and while a mandatory 2FA enrollment is pending
+const TWO_FACTOR_SETUP_EXEMPT = [...PASSWORD_CHANGE_EXEMPT, '/api/auth/2fa', '/api/auth/2fa/setup', '/api/auth/2fa/enable'];
 
-function htmlGuard(file) {
-  return (req, res) => {
-    const token = req.cookies?.token;
-    if (!token) return res.redirect('/login.html');
-    try {
-      jwt.verify(token, JWT_SECRET);
-      res.sendFile(path.join(PUBLIC_DIR, file));
-    } catch {
-      res.redirect('/login.html');
+async function authRequired(req, res, next) {
+  try {
+    const user = await authenticate(req, res);
+    if (!user) return sendError(req, res, 401, 'SESSION_EXPIRED');
+    if (user.must_change_password && !PASSWORD_CHANGE_EXEMPT.includes(req.path)) {
+      return sendError(req, res, 403, 'PASSWORD_CHANGE_REQUIRED');
+    }
+    if (user.must_enroll_2fa && !TWO_FACTOR_SETUP_EXEMPT.includes(req.path)) {
+      return sendError(req, res, 403, 'TWO_FACTOR_SETUP_REQUIRED');
     }
+    req.user = user;
+    next();
+  } catch (e) {
+    console.error(e);
+    sendError(req, res, 500, 'AUTH_CHECK_FAILED');
+  }
+}
+
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!roles.includes(req.user?.role)) return sendError(req, res, 403, 'FORBIDDEN');
+    next();
+  };
+}
+
+const adminOnly = requireRole('admin');
+
+/* -------------------------------- Audit log ------------------------------ */
+
+// Record a mutation. before/after are row snapshots (null for create/delete).
+function audit(req, action, entity, entityId, before = null, after = null) {
+  return run(`
+    INSERT INTO audit_log(actor_id, actor_email, action, entity, entity_id, before_json, after_json, ip)
+    VALUES (?,?,?,?,?,?,?,?)`,
+    [
+      req.user?.uid ?? null,
+      req.user?.email ?? null,
+      action,
+      entity,
+      entityId ?? null,
+      before ? JSON.stringify(before) : null,
+      after ? JSON.stringify(after) : null,
+      req.ip || null
+    ]
+  );
+}
+
+// Snapshot of a user row without credentials
+function userSnapshot(id) {
+  return get(`
+    SELECT id, email, full_name, role, candidate_id, assistant_id, is_active, must_change_password
+    FROM users WHERE id=?`, [id]);
+}
+
+/* ------------------------------ Role scoping ----------------------------- */
+
+// SQL filter limiting voter rows to what the user may see:
+// admins see everything, candidates their own supporters, assistants only
+// the voters they entered themselves.
+function voterScope(user, alias = '') {
+  const p = alias ? `${alias}.` : '';
+  if (user.role === 'admin') return { sql: '1=1', params: [] };
+  if (user.role === 'candidate') return { sql: `${p}candidate_id = ?`, params: [user.cid] };
+  return { sql: `${p}candidate_id = ? AND ${p}assistant_id = ?`, params: [user.cid, user.aid] };
+}
+
+function canSeeCandidate(user, candidateId) {
+  return user.role === 'admin' || (user.cid != null && +user.cid === +candidateId);
+}
+
+function canSeeVoter(user, voter) {
+  if (user.role === 'admin') return true;
+  if (+voter.candidate_id !== +user.cid) return false;
+  return user.role === 'candidate' || (user.aid != null && +voter.assistant_id === +user.aid);
+}
+
+/* ------------------------------- Validation ------------------------------ */
+
+// Tables that .ref() rules may point at (the name goes into the SQL)
+const REF_TABLES = ['users', 'candidates', 'assistants', 'governorates', 'districts', 'polling_centers'];
+
+const {
+  validate, check: checkInput, invalid: sendInvalid, describe: describeErrors
+} = createValidator({
+  async exists(table, id) {
+    if (!REF_TABLES.includes(table)) throw new Error(`Unknown table ${table}`);
+    return !!(await get(`SELECT 1 FROM ${table} WHERE id=?`, [id]));
+  },
+  failure: sendFailure
+});
+
+// Text of an API error code in the request's language (lib/messages.js)
+function errorText(req, code, params) {
+  return errorMessage(pickLanguage(req.get('accept-language')), code, params);
+}
+
+// Language of a download (reports, exports). Downloads are plain navigations
+// that carry the browser's Accept-Language, so the account's choice wins.
+function downloadLanguage(req) {
+  return req.user?.language || pickLanguage(req.get('accept-language'));
+}
+
+// Columns with their header in `lang`; `text` names the header when it is not the key
+function labelColumns(lang, columns) {
+  return columns.map(c => ({ ...c, label: reportText(lang, c.text || c.key) }));
+}
+
+// { ok: false, code, msg }; `extra` fields go along and fill the message's {placeholders}
+function sendError(req, res, status, code, extra = {}) {
+  return res.status(status).json({ ok: false, code, msg: errorText(req, code, extra), ...extra });
+}
+
+// 500 for an unexpected failure: the details go to the log, not the client
+function sendFailure(req, res, e) {
+  console.error(e);
+  return sendError(req, res, 500, 'INTERNAL_ERROR');
+}
+
+// Handlers clamp page sizes themselves
+const PAGING = { page: v.int().min(1), size: v.int().min(1) };
+const ID_PARAMS = { id: v.id() };
+const SID_PARAMS = { sid: v.string().test(s => /^[0-9a-f]{32}$/.test(s), 'invalid_format') };
+
+// Cross-field rule: at least one of the two fields is given
+function eitherOf(field, other) {
+  return x => (x[field] == null && x[other] == null ? [{ field, code: 'one_required', params: { other } }] : []);
+}
+
+/* ---------------------------- Guard HTML routes -------------------------- */
+
+function htmlGuard(file, roles = ROLES) {
+  return async (req, res) => {
+    const user = await authenticate(req, res).catch(() => null);
+    if (!user) return res.redirect('/login.html');
+    if (user.must_change_password) return res.redirect('/login.html?change=1');
+    if (user.must_enroll_2fa && file !== 'security.html') return res.redirect('/security.html');
+    if (!roles.includes(user.role)) return res.redirect('/index.html');
+    res.sendFile(path.join(PUBLIC_DIR, file));
   };
 }
 app.get('/', htmlGuard('index.html'));
 app.get('/index.html', htmlGuard('index.html'));
-app.get('/admin.html', htmlGuard('admin.html'));
+app.get('/admin.html', htmlGuard('admin.html', ['admin']));
 app.get('/candidate.html', htmlGuard('candidate.html'));
+app.get('/assistant.html', htmlGuard('assistant.html'));
+app.get('/voters.html', htmlGuard('voters.html'));
+app.get('/turnout.html', htmlGuard('turnout.html'));
+app.get('/security.html', htmlGuard('security.html'));
 
 /* ------------------------------- Static files ---------------------------- */
 
@@ -231,272 +589,3275 @@ app.use(express.static(PUBLIC_DIR, {
 
 /* -------------------------------- Auth API ------------------------------- */
 
+// Open the session and tell the login page where to go next
+async function finishLogin(req, res, u, extra = {}) {
+  await startSession(req, res, u);
+  res.json({
+    ok: true, email: u.email, role: u.role,
+    candidate_id: u.candidate_id || null, assistant_id: u.assistant_id || null,
+    must_change_password: !!u.must_change_password,
+    must_enroll_2fa: !u.totp_enabled_at && settings.require_2fa_roles.includes(u.role),
+    language: u.language || null, numerals: u.numerals || null,
+    ...extra
+  });
+}
+
+// Challenges are signed with their own key so they can never pass as a session token
+const CHALLENGE_SECRET = `${JWT_SECRET}:2fa`;
+
+function signChallenge(u) {
+  return jwt.sign({ uid: u.id, tv: u.token_version || 0 }, CHALLENGE_SECRET, { expiresIn: '5m' });
+}
+
+function recoveryCodesLeft(userId) {
+  return get(`SELECT COUNT(*) AS n FROM user_recovery_codes WHERE user_id=? AND used_at IS NULL`, [userId])
+    .then(r => r.n);
+}
+
+/**
+ * Check a TOTP code (or, failing that, a recovery code) for an enrolled user
+ * and use it up. Returns 'totp', 'recovery' or null.
+ */
+async function checkSecondFactor(u, { code, recovery_code }) {
+  if (recovery_code) {
+    const r = await run(`
+      UPDATE user_recovery_codes SET used_at=CURRENT_TIMESTAMP
+      WHERE id=(SELECT id FROM user_recovery_codes WHERE user_id=? AND code_hash=? AND used_at IS NULL LIMIT 1)`,
+      [u.id, totp.hashRecoveryCode(recovery_code)]);
+    return r.changes ? 'recovery' : null;
+  }
+  const step = totp.verify(totp.unseal(u.totp_secret, TOTP_KEY), code, { after: u.totp_last_step ?? -1 });
+  if (step == null) return null;
+  // Conditional update, so two requests racing with the same code cannot both pass
+  const r = await run(`
+    UPDATE users SET totp_last_step=?
+    WHERE id=? AND (totp_last_step IS NULL OR totp_last_step < ?)`, [step, u.id, step]);
+  return r.changes ? 'totp' : null;
+}
+
+// Replace a user's recovery codes; returns the new codes in clear (shown once)
+async function issueRecoveryCodes(userId) {
+  const codes = totp.generateRecoveryCodes();
+  await run(`DELETE FROM user_recovery_codes WHERE user_id=?`, [userId]);
+  for (const c of codes) {
+    await run(`INSERT INTO user_recovery_codes(user_id, code_hash) VALUES (?, ?)`, [userId, totp.hashRecoveryCode(c)]);
+  }
+  return codes;
+}
+
+/* Failed-login tracking and lockout */
+
+function lockRemaining(u) {
+  if (!u.locked_until) return 0;
+  const ms = Date.parse(`${u.locked_until.replace(' ', 'T')}Z`) - Date.now();
+  return Math.max(0, Math.ceil(ms / 1000));
+}
+
+function recordAttempt(req, email, u, success, reason, flags = []) {
+  return run(`
+    INSERT INTO login_attempts(email, user_id, success, reason, flags, ip, user_agent)
+    VALUES (?,?,?,?,?,?,?)`,
+    [email, u ? u.id : null, success ? 1 : 0, reason, flags.length ? flags.join(',') : null,
+      req.ip || null, String(req.get('user-agent') || '').slice(0, 300) || null]);
+}
+
+function sendLocked(req, res, seconds) {
+  res.set('Retry-After', String(seconds));
+  sendError(req, res, 429, 'ACCOUNT_LOCKED', { retry_after: seconds });
+}
+
+// Count a failure against the account and lock it once past the threshold
+async function loginFailed(req, res, u, reason) {
+  await run(`UPDATE users SET failed_logins=failed_logins+1 WHERE id=?`, [u.id]);
+  const failures = (await get(`SELECT failed_logins FROM users WHERE id=?`, [u.id])).failed_logins;
+  const lockFor = loginPolicy.lockoutSeconds(failures, LOGIN_LOCK_THRESHOLD, LOGIN_LOCK_MAX_MINUTES * 60);
+  if (lockFor) await run(`UPDATE users SET locked_until=datetime('now', ?) WHERE id=?`, [`+${lockFor} seconds`, u.id]);
+  await recordAttempt(req, u.email, u, false, reason);
+  if (lockFor) {
+    console.warn(`Account ${u.email} locked for ${lockFor}s after ${failures} failed logins`);
+    return sendLocked(req, res, lockFor);
+  }
+  sendError(req, res, 401, reason === 'bad_2fa_code' ? 'INVALID_2FA_CODE' : 'INVALID_CREDENTIALS');
+}
+
+// Reset the counter and log the success, flagging the ones worth a look:
+// right after a run of failures, or from an IP this account never used
+async function loginSucceeded(req, u) {
+  const flags = [];
+  if ((u.failed_logins || 0) >= 3) flags.push('after_failures');
+  const seen = await get(`
+    SELECT COUNT(*) AS n, SUM(ip = ?) AS same_ip FROM login_attempts WHERE user_id=? AND success=1`,
+    [req.ip || null, u.id]);
+  if (seen.n > 0 && !seen.same_ip) flags.push('new_ip');
+  if (flags.length) console.warn(`Suspicious login for ${u.email} from ${req.ip}: ${flags.join(', ')}`);
+
+  await run(`UPDATE users SET failed_logins=0, locked_until=NULL WHERE id=?`, [u.id]);
+  await recordAttempt(req, u.email, u, true, null, flags);
+  await run(`DELETE FROM login_attempts WHERE created_at < datetime('now', ?)`, [`-${LOGIN_ATTEMPTS_KEEP_DAYS} days`]);
+}
+
 // Login
-app.post('/api/auth/login', async (req, res) => {
-  try {
-    const { email, password } = req.body || {};
-    if (!email || !password) return res.status(400).json({ ok: false, msg: 'Email & password required' });
-    const u = await get(`SELECT * FROM users WHERE email=?`, [String(email).trim()]);
-    if (!u) return res.status(401).json({ ok: false, msg: 'Invalid credentials' });
-    const ok = await bcrypt.compare(String(password), u.password_hash);
-    if (!ok) return res.status(401).json({ ok: false, msg: 'Invalid credentials' });
-    const token = signToken(u);
-    res.cookie('token', token, cookieOpts());
-    res.json({ ok: true, email: u.email, role: u.role });
+const LOGIN_BODY = {
+  email: v.string().max(254).required(),
+  password: v.string().raw().max(200).required()
+};
+
+app.post('/api/auth/login', validate({ body: LOGIN_BODY }), async (req, res) => {
+  try {
+    const { email: mail, password } = req.body;
+    const u = await get(`SELECT * FROM users WHERE email=?`, [mail]);
+    if (!u) {
+      await recordAttempt(req, mail, null, false, 'unknown_user');
+      return sendError(req, res, 401, 'INVALID_CREDENTIALS');
+    }
+    // While locked the password is not even checked
+    const locked = lockRemaining(u);
+    if (locked) {
+      await recordAttempt(req, mail, u, false, 'locked');
+      return sendLocked(req, res, locked);
+    }
+    const ok = await bcrypt.compare(password, u.password_hash);
+    if (!ok) return loginFailed(req, res, u, 'bad_password');
+    if (!u.is_active) {
+      await recordAttempt(req, mail, u, false, 'disabled');
+      return sendError(req, res, 403, 'ACCOUNT_DISABLED');
+    }
+    // Still on the seeded password: change it before doing anything else
+    if (password === loginPolicy.DEFAULT_PASSWORD && !u.must_change_password) {
+      await run(`UPDATE users SET must_change_password=1 WHERE id=?`, [u.id]);
+      u.must_change_password = 1;
+    }
+    // Enrolled users get a short-lived challenge instead of the cookie
+    if (u.totp_enabled_at) {
+      return res.json({ ok: true, two_factor_required: true, challenge: signChallenge(u) });
+    }
+    await loginSucceeded(req, u);
+    await finishLogin(req, res, u);
   } catch (e) {
     console.error(e);
-    res.status(500).json({ ok: false, msg: 'Login failed' });
+    sendError(req, res, 500, 'LOGIN_FAILED');
   }
 });
 
-// Logout
-app.post('/api/auth/logout', (req, res) => {
-  res.clearCookie('token', { ...cookieOpts(), maxAge: 0 });
-  res.json({ ok: true });
-});
+// A TOTP code or, failing that, a recovery code
+const SECOND_FACTOR = {
+  code: v.string().max(20),
+  recovery_code: v.string().max(40)
+};
 
-// Me
-app.get('/api/auth/me', authRequired, (req, res) => {
-  res.json({ ok: true, user: req.user });
-});
+// Login, second step: the challenge from /login plus a TOTP or recovery code
+const LOGIN_2FA_BODY = v.object({ challenge: v.string().max(2000).required(), ...SECOND_FACTOR })
+  .check(eitherOf('code', 'recovery_code'));
 
-// Change password
-app.post('/api/auth/change-password', authRequired, async (req, res) => {
+app.post('/api/auth/login/2fa', validate({ body: LOGIN_2FA_BODY }), async (req, res) => {
   try {
-    const { current_password, new_password } = req.body || {};
-    if (!current_password || !new_password) return res.status(400).json({ ok: false, msg: 'Both passwords required' });
-    const u = await get(`SELECT * FROM users WHERE id=?`, [req.user.uid]);
-    if (!u) return res.status(404).json({ ok: false, msg: 'User not found' });
-    const ok = await bcrypt.compare(String(current_password), u.password_hash);
-    if (!ok) return res.status(401).json({ ok: false, msg: 'Current password incorrect' });
-    const hash = await bcrypt.hash(String(new_password), 10);
-    await run(`UPDATE users SET password_hash=? WHERE id=?`, [hash, u.id]);
-    res.clearCookie('token', { ...cookieOpts(), maxAge: 0 }); // force re-login
-    res.json({ ok: true });
+    const { challenge, code, recovery_code } = req.body;
+    let payload;
+    try {
+      payload = jwt.verify(challenge, CHALLENGE_SECRET);
+    } catch {
+      return sendError(req, res, 401, 'LOGIN_EXPIRED');
+    }
+    const u = await get(`SELECT * FROM users WHERE id=?`, [payload.uid]);
+    if (!u || !u.is_active || !u.totp_enabled_at || (u.token_version || 0) !== (payload.tv || 0)) {
+      return sendError(req, res, 401, 'LOGIN_EXPIRED');
+    }
+    const locked = lockRemaining(u);
+    if (locked) {
+      await recordAttempt(req, u.email, u, false, 'locked');
+      return sendLocked(req, res, locked);
+    }
+    const used = await checkSecondFactor(u, { code, recovery_code });
+    if (!used) return loginFailed(req, res, u, 'bad_2fa_code');
+    await loginSucceeded(req, u);
+    const extra = {};
+    if (used === 'recovery') {
+      await audit({ user: { uid: u.id, email: u.email }, ip: req.ip }, 'use_recovery_code', 'user', u.id);
+      extra.recovery_codes_left = await recoveryCodesLeft(u.id);
+    }
+    await finishLogin(req, res, u, extra);
   } catch (e) {
     console.error(e);
-    res.status(500).json({ ok: false, msg: 'Change password failed' });
+    sendError(req, res, 500, 'LOGIN_FAILED');
   }
 });
 
-/* ------------------------------ Party endpoints -------------------------- */
+// Session id of the request, even when its access token has expired
+async function requestSid(req) {
+  try {
+    const payload = jwt.verify(req.cookies?.token, JWT_SECRET, { ignoreExpiration: true });
+    if (payload.sid) return payload.sid;
+  } catch { /* fall back to the refresh cookie */ }
+  const presented = sessions.parseRefreshToken(req.cookies?.refresh);
+  const s = presented && await getSession(presented.sid);
+  return s && [s.refresh_hash, s.prev_refresh_hash].includes(presented.hash) ? s.sid : null;
+}
 
-// Get party progress (threshold + supporters count)
-app.get('/api/party-progress', async (req, res) => {
+// Logout (ends this session on the server, not just in the browser)
+app.post('/api/auth/logout', async (req, res) => {
   try {
-    const pr = await get(`SELECT threshold FROM party WHERE id=1`);
-    const cnt = await get(`SELECT COUNT(*) AS supporters FROM voters`);
-    res.json({ ok: true, threshold: pr ? pr.threshold : 0, supporters: cnt?.supporters || 0 });
+    const sid = await requestSid(req);
+    if (sid) await revokeSession(sid, 'logout');
   } catch (e) {
     console.error(e);
-    res.status(500).json({ ok: false, msg: e.message });
   }
+  clearAuthCookies(res);
+  res.json({ ok: true });
 });
 
-// Save threshold (admin)
-app.post('/api/party-progress', authRequired, adminOnly, async (req, res) => {
+// New access + refresh tokens for API clients; browsers get this for free
+// from authRequired when the access cookie has expired
+app.post('/api/auth/refresh', async (req, res) => {
   try {
-    const th = Math.max(0, parseInt(req.body?.threshold || 0, 10) || 0);
-    await run(`UPDATE party SET threshold=? WHERE id=1`, [th]);
-    res.json({ ok: true });
+    const user = await refreshSession(req, res);
+    if (!user) {
+      clearAuthCookies(res);
+      return sendError(req, res, 401, 'SESSION_EXPIRED');
+    }
+    res.json({ ok: true, expires_in: ACCESS_TOKEN_MINUTES * 60 });
   } catch (e) {
     console.error(e);
-    res.status(500).json({ ok: false, msg: e.message });
+    sendError(req, res, 500, 'REFRESH_FAILED');
   }
 });
 
-/* ------------------------------ Candidate APIs --------------------------- */
+const SESSION_COLUMNS = `s.sid, s.device, s.ip, s.user_agent, s.created_at, s.last_seen_at, s.expires_at`;
+// Sessions that can still be used (see liveSession)
+const ACTIVE_SESSION = `
+  s.revoked_at IS NULL AND s.expires_at > datetime('now')
+  AND s.token_version = u.token_version AND u.is_active = 1`;
 
-// Candidates progress list
-app.get('/api/candidates', async (req, res) => {
+// The signed-in user's active sessions
+app.get('/api/auth/sessions', authRequired, async (req, res) => {
   try {
     const rows = await all(`
-      SELECT
-        c.id, c.name, d.name AS district, c.target,
-        COUNT(v.id) AS supporters,
-        ROUND(CASE WHEN c.target>0 THEN (100.0*COUNT(v.id)/c.target) ELSE 0 END,1) AS pct
-      FROM candidates c
-      LEFT JOIN districts d ON d.id = c.district_id
-      LEFT JOIN voters v ON v.candidate_id = c.id
-      GROUP BY c.id
-      ORDER BY supporters DESC, c.id ASC
-    `);
-    res.json({ ok: true, candidates: rows });
+      SELECT ${SESSION_COLUMNS} FROM sessions s JOIN users u ON u.id = s.user_id
+      WHERE s.user_id=? AND ${ACTIVE_SESSION}
+      ORDER BY s.last_seen_at DESC`, [req.user.uid]);
+    res.json({ ok: true, sessions: rows.map(r => ({ ...r, current: r.sid === req.user.sid })) });
   } catch (e) {
-    console.error(e);
-    res.status(500).json({ ok: false, msg: e.message });
+    sendFailure(req, res, e);
   }
 });
 
-// Candidate details
-app.get('/api/candidate/:id', async (req, res) => {
+// Sign one of your own sessions out
+app.delete('/api/auth/sessions/:sid', authRequired, validate({ params: SID_PARAMS }), async (req, res) => {
   try {
-    const id = +req.params.id;
-    const cand = await get(`
-      SELECT c.*, d.name AS district_name
-      FROM candidates c
-      LEFT JOIN districts d ON d.id = c.district_id
-      WHERE c.id = ?
-    `, [id]);
-    if (!cand) return res.status(404).json({ ok: false, msg: 'Candidate not found' });
-
-    const assistants = await all(
-      `SELECT * FROM assistants WHERE candidate_id=? ORDER BY created_at DESC`, [id]
-    );
-    const voters = await all(
-      `SELECT id, full_name, dob, electoral_card, created_at
-       FROM voters WHERE candidate_id=? ORDER BY created_at DESC LIMIT 300`, [id]
-    );
-
-    res.json({ ok: true, candidate: cand, assistants, voters });
+    const s = await get(`SELECT sid, device, ip FROM sessions WHERE sid=? AND user_id=?`, [req.params.sid, req.user.uid]);
+    if (!s) return sendError(req, res, 404, 'SESSION_NOT_FOUND');
+    const r = await revokeSession(s.sid, 'signed_out_by_user');
+    if (r.changes) await audit(req, 'revoke_session', 'user', req.user.uid, null, { device: s.device, ip: s.ip });
+    if (s.sid === req.user.sid) clearAuthCookies(res);
+    res.json({ ok: true, changes: r.changes });
   } catch (e) {
-    console.error(e);
-    res.status(500).json({ ok: false, msg: e.message });
+    sendFailure(req, res, e);
   }
 });
 
-// Add assistant (admin)
-app.post('/api/assistants', authRequired, adminOnly, async (req, res) => {
+// Sign out everywhere, this browser included
+app.post('/api/auth/logout-all', authRequired, async (req, res) => {
   try {
-    const { candidate_id, name, phone, area_tags } = req.body || {};
-    if (!candidate_id || !name) return res.status(400).json({ ok: false, msg: 'candidate_id & name required' });
-    const r = await run(
-      `INSERT INTO assistants(candidate_id, name, phone, area_tags) VALUES (?,?,?,?)`,
-      [candidate_id, name, phone || '', area_tags || '']
-    );
-    res.json({ ok: true, id: r.lastID });
+    const r = await revokeUserSessions(req.user.uid, 'logout_all');
+    await audit(req, 'revoke_sessions', 'user', req.user.uid, null, { sessions: r.changes });
+    clearAuthCookies(res);
+    res.json({ ok: true, sessions: r.changes });
   } catch (e) {
-    console.error(e);
-    res.status(500).json({ ok: false, msg: e.message });
+    sendFailure(req, res, e);
   }
 });
 
-/* ------------------------------- Voters APIs ----------------------------- */
-
-// Create voter (kept behavior + dedupe on electoral_card)
-app.post('/api/voters', authRequired, adminOnly, async (req, res) => {
-  try {
-    const {
-      candidate_id, assistant_id, full_name, dob,
-      district_id, polling_center, electoral_card
-    } = req.body || {};
-    if (!candidate_id || !full_name) return res.status(400).json({ ok: false, msg: 'candidate_id & full_name required' });
+// Me
+app.get('/api/auth/me', authRequired, (req, res) => {
+  res.json({ ok: true, user: req.user });
+});
 
-    if (electoral_card) {
-      const dupe = await get(`SELECT id FROM voters WHERE electoral_card=?`, [electoral_card]);
-      if (dupe) return res.json({ ok: true, duplicate: true, msg: 'Duplicate electoral card' });
-    }
+// Language and digits of the UI, remembered per user
+const PREFERENCES_BODY = {
+  language: v.oneOf(LANGUAGES),
+  numerals: v.oneOf(['latn', 'arab'])
+};
 
-    const r = await run(`
-      INSERT INTO voters(candidate_id, assistant_id, full_name, dob, district_id, polling_center, electoral_card)
-      VALUES (?,?,?,?,?,?,?)`,
-      [
-        candidate_id,
-        assistant_id || null,
-        full_name,
-        dob || null,
-        district_id || null,
-        polling_center || null,
-        electoral_card || null
-      ]
-    );
-    res.json({ ok: true, id: r.lastID });
+app.put('/api/auth/preferences', authRequired, validate({ body: PREFERENCES_BODY }), async (req, res) => {
+  try {
+    const fields = Object.keys(req.body);
+    if (!fields.length) return res.json({ ok: true });
+    await run(`UPDATE users SET ${fields.map(f => `${f}=?`).join(', ')} WHERE id=?`,
+      [...fields.map(f => req.body[f]), req.user.uid]);
+    res.json({ ok: true, ...req.body });
   } catch (e) {
-    console.error(e);
-    res.status(500).json({ ok: false, msg: e.message });
+    sendFailure(req, res, e);
   }
 });
 
-// Admin list/search voters
-app.get('/api/admin/voters', authRequired, adminOnly, async (req, res) => {
-  try {
-    const search = String(req.query.search || '').trim();
-    const page = Math.max(1, parseInt(req.query.page || '1', 10));
-    const size = Math.min(50, Math.max(5, parseInt(req.query.size || '20', 10)));
-    const offset = (page - 1) * size;
-
-    let where = '';
-    const params = [];
-    if (search) {
-      where = `WHERE full_name LIKE ? OR IFNULL(electoral_card,'') LIKE ?`;
-      params.push(`%${search}%`, `%${search}%`);
-    }
-
-    const items = await all(
-      `SELECT id, full_name, electoral_card, candidate_id, district_id
-       FROM voters ${where}
-       ORDER BY id DESC
-       LIMIT ? OFFSET ?`, [...params, size, offset]
-    );
+// Change password. The strength policy (lib/login-policy.js) is reported
+// as field errors on new_password.
+const CHANGE_PASSWORD_BODY = v.object({
+  current_password: v.string().raw().max(200).required(),
+  new_password: v.string().raw().max(200).required()
+}).check((b, req) => {
+  if (b.new_password === b.current_password) {
+    return [{ field: 'new_password', code: 'must_differ', params: { other: 'current_password' } }];
+  }
+  return loginPolicy.passwordProblems(b.new_password, { email: req.user.email }).map(code => ({
+    field: 'new_password', code, ...(code === 'too_short' && { params: { min: loginPolicy.MIN_LENGTH } })
+  }));
+});
 
-    res.json({ ok: true, page, size, items });
+app.post('/api/auth/change-password', authRequired, validate({ body: CHANGE_PASSWORD_BODY }), async (req, res) => {
+  try {
+    const { current_password, new_password } = req.body;
+    const u = await get(`SELECT * FROM users WHERE id=?`, [req.user.uid]);
+    if (!u) return sendError(req, res, 404, 'USER_NOT_FOUND');
+    const ok = await bcrypt.compare(current_password, u.password_hash);
+    if (!ok) return sendError(req, res, 401, 'WRONG_PASSWORD');
+    const hash = await bcrypt.hash(new_password, 10);
+    // Every session ends, this one included
+    await run(`UPDATE users SET password_hash=?, must_change_password=0,
+               token_version=token_version+1 WHERE id=?`, [hash, u.id]);
+    await revokeUserSessions(u.id, 'password_change');
+    await audit(req, 'change_password', 'user', u.id);
+    clearAuthCookies(res); // force re-login
+    res.json({ ok: true });
   } catch (e) {
     console.error(e);
-    res.status(500).json({ ok: false, msg: e.message });
+    sendError(req, res, 500, 'CHANGE_PASSWORD_FAILED');
   }
 });
 
-// Update voter
-app.put('/api/voters/:id', authRequired, adminOnly, async (req, res) => {
-  try {
-    const id = +req.params.id;
-    const {
-      candidate_id, assistant_id, full_name, dob,
-      district_id, polling_center, electoral_card
-    } = req.body || {};
-
-    const fields = [];
-    const vals = [];
-    function set(col, val) {
-      fields.push(`${col}=?`);
-      vals.push(val);
-    }
-    if (candidate_id !== undefined) set('candidate_id', candidate_id || null);
-    if (assistant_id !== undefined) set('assistant_id', assistant_id || null);
-    if (full_name !== undefined) set('full_name', full_name || null);
-    if (dob !== undefined) set('dob', dob || null);
-    if (district_id !== undefined) set('district_id', district_id || null);
-    if (polling_center !== undefined) set('polling_center', polling_center || null);
-    if (electoral_card !== undefined) {
-      if (electoral_card) {
-        const dupe = await get(`SELECT id FROM voters WHERE electoral_card=? AND id<>?`,
-          [electoral_card, id]);
-        if (dupe) return res.status(400).json({ ok: false, msg: 'Electoral card already used' });
-      }
-      set('electoral_card', electoral_card || null);
-    }
-
-    if (!fields.length) return res.json({ ok: true, changes: 0 });
+/* ---------------------------- Two-factor auth ---------------------------- */
 
-    const sql = `UPDATE voters SET ${fields.join(', ')} WHERE id=?`;
-    const r = await run(sql, [...vals, id]);
-    res.json({ ok: true, changes: r.changes });
+// Enrollment status of the signed-in user
+app.get('/api/auth/2fa', authRequired, async (req, res) => {
+  try {
+    const u = await get(`SELECT totp_enabled_at FROM users WHERE id=?`, [req.user.uid]);
+    res.json({
+      ok: true,
+      enabled: !!u.totp_enabled_at,
+      enabled_at: u.totp_enabled_at || null,
+      required: settings.require_2fa_roles.includes(req.user.role),
+      recovery_codes_left: u.totp_enabled_at ? await recoveryCodesLeft(req.user.uid) : 0
+    });
   } catch (e) {
-    console.error(e);
-    res.status(500).json({ ok: false, msg: e.message });
+    sendFailure(req, res, e);
   }
 });
 
-// Delete voter
-app.delete('/api/voters/:id', authRequired, adminOnly, async (req, res) => {
+// Start enrollment: a new secret as a QR code. Nothing changes for login
+// until /enable confirms the authenticator app produces valid codes.
+const PASSWORD_CONFIRM = { current_password: v.string().raw().max(200).required() };
+
+app.post('/api/auth/2fa/setup', authRequired, validate({ body: PASSWORD_CONFIRM }), async (req, res) => {
   try {
-    const id = +req.params.id;
-    const r = await run(`DELETE FROM voters WHERE id=?`, [id]);
-    res.json({ ok: true, changes: r.changes });
+    const u = await get(`SELECT * FROM users WHERE id=?`, [req.user.uid]);
+    if (u.totp_enabled_at) return sendError(req, res, 409, 'TWO_FACTOR_ALREADY_ENABLED');
+    const ok = await bcrypt.compare(req.body.current_password, u.password_hash);
+    if (!ok) return sendError(req, res, 401, 'WRONG_PASSWORD');
+
+    const secret = totp.generateSecret();
+    await run(`UPDATE users SET totp_pending_secret=? WHERE id=?`, [totp.seal(secret, TOTP_KEY), u.id]);
+    const url = totp.otpauthUrl({ secret, account: u.email, issuer: TOTP_ISSUER });
+    res.json({ ok: true, secret, otpauth_url: url, qr: await QRCode.toDataURL(url, { margin: 1, width: 240 }) });
   } catch (e) {
-    console.error(e);
-    res.status(500).json({ ok: false, msg: e.message });
+    sendFailure(req, res, e);
   }
 });
 
+// Confirm enrollment with a first code; returns the recovery codes once.
+// Other sessions were opened without the second factor, so they are ended.
+const CODE_BODY = { code: v.string().max(20).required() };
+
+app.post('/api/auth/2fa/enable', authRequired, validate({ body: CODE_BODY }), async (req, res) => {
+  try {
+    const u = await get(`SELECT * FROM users WHERE id=?`, [req.user.uid]);
+    if (u.totp_enabled_at) return sendError(req, res, 409, 'TWO_FACTOR_ALREADY_ENABLED');
+    if (!u.totp_pending_secret) return sendError(req, res, 400, 'TWO_FACTOR_NOT_STARTED');
+    const step = totp.verify(totp.unseal(u.totp_pending_secret, TOTP_KEY), req.body.code);
+    if (step == null) return sendError(req, res, 400, 'INVALID_2FA_CODE');
+
+    const codes = await transaction(async () => {
+      await run(`
+        UPDATE users SET totp_secret=totp_pending_secret, totp_pending_secret=NULL,
+          totp_enabled_at=CURRENT_TIMESTAMP, totp_last_step=?, token_version=token_version+1
+        WHERE id=?`, [step, u.id]);
+      return issueRecoveryCodes(u.id);
+    });
+    await revokeUserSessions(u.id, '2fa_enabled');
+    await audit(req, 'enable_2fa', 'user', u.id);
+    await startSession(req, res, await get(`SELECT * FROM users WHERE id=?`, [u.id]));
+    res.json({ ok: true, recovery_codes: codes });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+// Turn 2FA off: password plus a current code (or recovery code)
+const DISABLE_2FA_BODY = v.object({ ...PASSWORD_CONFIRM, ...SECOND_FACTOR }).check(eitherOf('code', 'recovery_code'));
+
+app.post('/api/auth/2fa/disable', authRequired, validate({ body: DISABLE_2FA_BODY }), async (req, res) => {
+  try {
+    if (settings.require_2fa_roles.includes(req.user.role)) {
+      return sendError(req, res, 403, 'TWO_FACTOR_REQUIRED');
+    }
+    const u = await get(`SELECT * FROM users WHERE id=?`, [req.user.uid]);
+    if (!u.totp_enabled_at) return sendError(req, res, 400, 'TWO_FACTOR_NOT_ENABLED');
+    const ok = await bcrypt.compare(req.body.current_password, u.password_hash);
+    if (!ok) return sendError(req, res, 401, 'WRONG_PASSWORD');
+    if (!await checkSecondFactor(u, req.body)) {
+      return sendError(req, res, 401, 'INVALID_2FA_CODE');
+    }
+    await clearTwoFactor(u.id);
+    await audit(req, 'disable_2fa', 'user', u.id);
+    res.json({ ok: true });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+// New set of recovery codes (the old ones stop working)
+app.post('/api/auth/2fa/recovery-codes', authRequired, validate({ body: CODE_BODY }), async (req, res) => {
+  try {
+    const u = await get(`SELECT * FROM users WHERE id=?`, [req.user.uid]);
+    if (!u.totp_enabled_at) return sendError(req, res, 400, 'TWO_FACTOR_NOT_ENABLED');
+    if (!await checkSecondFactor(u, { code: req.body.code })) {
+      return sendError(req, res, 401, 'INVALID_2FA_CODE');
+    }
+    const codes = await transaction(() => issueRecoveryCodes(u.id));
+    await audit(req, 'regenerate_recovery_codes', 'user', u.id);
+    res.json({ ok: true, recovery_codes: codes });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+function clearTwoFactor(userId) {
+  return transaction(async () => {
+    await run(`
+      UPDATE users SET totp_secret=NULL, totp_pending_secret=NULL, totp_enabled_at=NULL, totp_last_step=NULL
+      WHERE id=?`, [userId]);
+    await run(`DELETE FROM user_recovery_codes WHERE user_id=?`, [userId]);
+  });
+}
+
+// Which roles must use 2FA
+app.get('/api/admin/security', authRequired, adminOnly, (req, res) => {
+  res.json({ ok: true, require_2fa_roles: settings.require_2fa_roles });
+});
+
+const SECURITY_BODY = { require_2fa_roles: v.array(v.oneOf(ROLES).required()).required() };
+
+app.put('/api/admin/security', authRequired, adminOnly, validate({ body: SECURITY_BODY }), async (req, res) => {
+  try {
+    const roles = req.body.require_2fa_roles;
+    // Mandating it for admins without having it yourself would lock you into setup
+    if (roles.includes('admin') && !req.user.two_factor) {
+      return sendError(req, res, 400, 'OWN_TWO_FACTOR_REQUIRED');
+    }
+    const before = { require_2fa_roles: settings.require_2fa_roles };
+    await saveSetting('require_2fa_roles', ROLES.filter(r => roles.includes(r)));
+    await audit(req, 'update', 'settings', null, before, { require_2fa_roles: settings.require_2fa_roles });
+    res.json({ ok: true, require_2fa_roles: settings.require_2fa_roles });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+/* ---------------------------- User management ---------------------------- */
+
+function tempPassword() {
+  return crypto.randomBytes(9).toString('base64').replace(/[+/=]/g, '').slice(0, 12);
+}
+
+const USER_FIELDS = {
+  full_name: v.string().max(120),
+  role: v.oneOf(ROLES).notEmpty(),
+  candidate_id: v.id().ref('candidates'),
+  assistant_id: v.id().ref('assistants')
+};
+
+// Derive a role's candidate/assistant link; { error } is a field error.
+// Assistants inherit the candidate of their assistants row.
+async function resolveUserLinks(role, candidate_id, assistant_id) {
+  if (role === 'admin') return { candidate_id: null, assistant_id: null };
+  if (role === 'candidate') {
+    const c = candidate_id && await get(`SELECT id FROM candidates WHERE id=?`, [candidate_id]);
+    if (!c) return { error: { field: 'candidate_id', code: candidate_id ? 'not_found' : 'required' } };
+    return { candidate_id: c.id, assistant_id: null };
+  }
+  const a = assistant_id && await get(`SELECT id, candidate_id FROM assistants WHERE id=?`, [assistant_id]);
+  if (!a) return { error: { field: 'assistant_id', code: assistant_id ? 'not_found' : 'required' } };
+  return { candidate_id: a.candidate_id, assistant_id: a.id };
+}
+
+// Refuse changes that would leave nobody able to administer the system
+async function isLastActiveAdmin(id) {
+  const r = await get(
+    `SELECT COUNT(*) AS n FROM users WHERE role='admin' AND is_active=1 AND id<>?`, [id]
+  );
+  return !r.n;
+}
+
+// List users
+app.get('/api/admin/users', authRequired, adminOnly, async (req, res) => {
+  try {
+    const rows = await all(`
+      SELECT u.id, u.email, u.full_name, u.role, u.candidate_id, u.assistant_id,
+             u.is_active, u.must_change_password, u.created_at,
+             u.totp_enabled_at IS NOT NULL AS two_factor,
+             u.failed_logins, CASE WHEN u.locked_until > datetime('now') THEN u.locked_until END AS locked_until,
+             c.name AS candidate_name, a.name AS assistant_name
+      FROM users u
+      LEFT JOIN candidates c ON c.id = u.candidate_id
+      LEFT JOIN assistants a ON a.id = u.assistant_id
+      ORDER BY u.id ASC
+    `);
+    res.json({ ok: true, users: rows });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+// Invite/create user with a temporary password (shown once)
+const NEW_USER_BODY = { ...USER_FIELDS, email: v.email().required(), role: v.oneOf(ROLES).required() };
+
+app.post('/api/admin/users', authRequired, adminOnly, validate({ body: NEW_USER_BODY }), async (req, res) => {
+  try {
+    const { email: mail, full_name, role, candidate_id, assistant_id } = req.body;
+    const links = await resolveUserLinks(role, candidate_id, assistant_id);
+    if (links.error) return sendInvalid(req, res, [links.error]);
+    const exists = await get(`SELECT id FROM users WHERE email=?`, [mail]);
+    if (exists) return sendInvalid(req, res, [{ field: 'email', code: 'duplicate' }]);
+
+    const temp = tempPassword();
+    const hash = await bcrypt.hash(temp, 10);
+    const r = await run(`
+      INSERT INTO users(email, password_hash, full_name, role, candidate_id, assistant_id, must_change_password)
+      VALUES (?,?,?,?,?,?,1)`,
+      [mail, hash, full_name || null, role, links.candidate_id, links.assistant_id]
+    );
+    await audit(req, 'create', 'user', r.lastID, null, await userSnapshot(r.lastID));
+    res.json({ ok: true, id: r.lastID, temp_password: temp });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+// Update profile / role / links (role or link changes end existing sessions)
+app.put('/api/admin/users/:id', authRequired, adminOnly, validate({ params: ID_PARAMS, body: USER_FIELDS }), async (req, res) => {
+  try {
+    const id = req.params.id;
+    const u = await get(`SELECT * FROM users WHERE id=?`, [id]);
+    if (!u) return sendError(req, res, 404, 'USER_NOT_FOUND');
+
+    const role = req.body.role ?? u.role;
+    const links = await resolveUserLinks(
+      role,
+      req.body.candidate_id !== undefined ? req.body.candidate_id : u.candidate_id,
+      req.body.assistant_id !== undefined ? req.body.assistant_id : u.assistant_id
+    );
+    if (links.error) return sendInvalid(req, res, [links.error]);
+    if (u.role === 'admin' && role !== 'admin' && await isLastActiveAdmin(id)) {
+      return sendError(req, res, 400, 'LAST_ADMIN_DEMOTE');
+    }
+
+    const full_name = req.body.full_name !== undefined ? req.body.full_name : u.full_name;
+    const relinked = role !== u.role
+      || (links.candidate_id || null) !== (u.candidate_id || null)
+      || (links.assistant_id || null) !== (u.assistant_id || null);
+    const before = await userSnapshot(id);
+    const r = await run(`
+      UPDATE users SET full_name=?, role=?, candidate_id=?, assistant_id=?,
+        token_version=token_version+?
+      WHERE id=?`,
+      [full_name, role, links.candidate_id, links.assistant_id, relinked ? 1 : 0, id]
+    );
+    if (relinked) await revokeUserSessions(id, 'role_change');
+    await audit(req, 'update', 'user', id, before, await userSnapshot(id));
+    res.json({ ok: true, changes: r.changes });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+// Disable / enable account (disabling revokes every issued token)
+app.post('/api/admin/users/:id/:action(disable|enable)', authRequired, adminOnly, validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const id = req.params.id;
+    const active = req.params.action === 'enable' ? 1 : 0;
+    const u = await get(`SELECT id, role FROM users WHERE id=?`, [id]);
+    if (!u) return sendError(req, res, 404, 'USER_NOT_FOUND');
+    if (!active && id === req.user.uid) return sendError(req, res, 400, 'OWN_ACCOUNT_DISABLE');
+    if (!active && u.role === 'admin' && await isLastActiveAdmin(id)) {
+      return sendError(req, res, 400, 'LAST_ADMIN_DISABLE');
+    }
+    const r = await run(
+      `UPDATE users SET is_active=?, token_version=token_version+1 WHERE id=?`, [active, id]
+    );
+    if (!active) await revokeUserSessions(id, 'disabled');
+    await audit(req, req.params.action, 'user', id);
+    res.json({ ok: true, changes: r.changes });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+// Reset to a new temporary password; the user must change it on next login
+app.post('/api/admin/users/:id/reset-password', authRequired, adminOnly, validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const id = req.params.id;
+    const temp = tempPassword();
+    const hash = await bcrypt.hash(temp, 10);
+    const r = await run(`
+      UPDATE users SET password_hash=?, must_change_password=1, token_version=token_version+1,
+        failed_logins=0, locked_until=NULL
+      WHERE id=?`, [hash, id]);
+    if (!r.changes) return sendError(req, res, 404, 'USER_NOT_FOUND');
+    await revokeUserSessions(id, 'password_reset');
+    await audit(req, 'reset_password', 'user', id);
+    res.json({ ok: true, temp_password: temp });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+// Lost authenticator: remove the user's 2FA so they can sign in with the
+// password alone (and enroll again if their role requires it)
+app.post('/api/admin/users/:id/reset-2fa', authRequired, adminOnly, validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const id = req.params.id;
+    const u = await get(`SELECT id, totp_enabled_at FROM users WHERE id=?`, [id]);
+    if (!u) return sendError(req, res, 404, 'USER_NOT_FOUND');
+    await clearTwoFactor(id);
+    await run(`UPDATE users SET token_version=token_version+1 WHERE id=?`, [id]);
+    await revokeUserSessions(id, '2fa_reset');
+    await audit(req, 'reset_2fa', 'user', id);
+    res.json({ ok: true, was_enabled: !!u.totp_enabled_at });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+// Active sessions of every user (or one, with ?user_id=)
+app.get('/api/admin/sessions', authRequired, adminOnly, validate({ query: { user_id: v.id() } }), async (req, res) => {
+  try {
+    const params = [];
+    let where = ACTIVE_SESSION;
+    if (req.query.user_id) { where += ' AND s.user_id=?'; params.push(req.query.user_id); }
+    const rows = await all(`
+      SELECT ${SESSION_COLUMNS}, s.user_id, u.email, u.full_name, u.role
+      FROM sessions s JOIN users u ON u.id = s.user_id
+      WHERE ${where}
+      ORDER BY s.last_seen_at DESC`, params);
+    res.json({ ok: true, sessions: rows.map(r => ({ ...r, current: r.sid === req.user.sid })) });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+app.delete('/api/admin/sessions/:sid', authRequired, adminOnly, validate({ params: SID_PARAMS }), async (req, res) => {
+  try {
+    const s = await get(`SELECT sid, user_id, device, ip FROM sessions WHERE sid=?`, [req.params.sid]);
+    if (!s) return sendError(req, res, 404, 'SESSION_NOT_FOUND');
+    const r = await revokeSession(s.sid, 'revoked_by_admin');
+    if (r.changes) await audit(req, 'revoke_session', 'user', s.user_id, null, { device: s.device, ip: s.ip });
+    res.json({ ok: true, changes: r.changes });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+// Sign a user out of every device
+app.post('/api/admin/users/:id/logout-all', authRequired, adminOnly, validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const id = req.params.id;
+    const r = await revokeUserSessions(id, 'revoked_by_admin');
+    await audit(req, 'revoke_sessions', 'user', id, null, { sessions: r.changes });
+    res.json({ ok: true, sessions: r.changes });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+// Lift a lockout before it runs out
+app.post('/api/admin/users/:id/unlock', authRequired, adminOnly, validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const id = req.params.id;
+    const r = await run(`UPDATE users SET failed_logins=0, locked_until=NULL WHERE id=?`, [id]);
+    if (!r.changes) return sendError(req, res, 404, 'USER_NOT_FOUND');
+    await audit(req, 'unlock', 'user', id);
+    res.json({ ok: true });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+// Login history: ?email=&user_id=&success=0|1&suspicious=1&ip=&from=&to=&page=&size=
+const LOGIN_ATTEMPTS_QUERY = {
+  ...PAGING,
+  email: v.string().max(254),
+  user_id: v.id(),
+  success: v.oneOf(['0', '1']),
+  suspicious: v.oneOf(['0', '1']),
+  ip: v.string().max(64),
+  from: v.date(),
+  to: v.date()
+};
+
+app.get('/api/admin/login-attempts', authRequired, adminOnly, validate({ query: LOGIN_ATTEMPTS_QUERY }), async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page || '1', 10));
+    const size = Math.min(200, Math.max(10, parseInt(req.query.size || '50', 10)));
+    const where = [];
+    const params = [];
+    const { email, user_id, success, ip, from, to } = req.query;
+    if (email) { where.push('email LIKE ?'); params.push(`%${email}%`); }
+    if (user_id) { where.push('user_id = ?'); params.push(user_id); }
+    if (success) { where.push('success = ?'); params.push(+success); }
+    if (req.query.suspicious === '1') where.push('flags IS NOT NULL');
+    if (ip) { where.push('ip = ?'); params.push(ip); }
+    if (from) { where.push('created_at >= ?'); params.push(from); }
+    if (to) { where.push(`created_at < date(?, '+1 day')`); params.push(to); }
+    const clause = where.length ? 'WHERE ' + where.join(' AND ') : '';
+
+    const total = await get(`SELECT COUNT(*) AS n FROM login_attempts ${clause}`, params);
+    const items = await all(
+      `SELECT * FROM login_attempts ${clause} ORDER BY id DESC LIMIT ? OFFSET ?`,
+      [...params, size, (page - 1) * size]
+    );
+    res.json({ ok: true, page, size, total: total.n, items });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+// Delete user
+app.delete('/api/admin/users/:id', authRequired, adminOnly, validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const id = req.params.id;
+    if (id === req.user.uid) return sendError(req, res, 400, 'OWN_ACCOUNT_DELETE');
+    const u = await userSnapshot(id);
+    if (u?.role === 'admin' && await isLastActiveAdmin(id)) {
+      return sendError(req, res, 400, 'LAST_ADMIN_DELETE');
+    }
+    await run(`DELETE FROM user_recovery_codes WHERE user_id=?`, [id]);
+    await run(`DELETE FROM sessions WHERE user_id=?`, [id]);
+    const r = await run(`DELETE FROM users WHERE id=?`, [id]);
+    if (r.changes) await audit(req, 'delete', 'user', id, u);
+    res.json({ ok: true, changes: r.changes });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+/* ------------------------------- Audit admin ----------------------------- */
+
+// Filter the audit trail: ?entity=&entity_id=&action=&actor=&from=&to=&page=&size=
+const AUDIT_QUERY = {
+  ...PAGING,
+  entity: v.string().max(40),
+  entity_id: v.id(),
+  action: v.string().max(40),
+  actor: v.string().max(254),
+  from: v.date(),
+  to: v.date()
+};
+
+app.get('/api/admin/audit', authRequired, adminOnly, validate({ query: AUDIT_QUERY }), async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page || '1', 10));
+    const size = Math.min(200, Math.max(10, parseInt(req.query.size || '50', 10)));
+    const where = [];
+    const params = [];
+    const { entity, entity_id, action, actor, from, to } = req.query;
+    if (entity) { where.push('entity = ?'); params.push(entity); }
+    if (action) { where.push('action = ?'); params.push(action); }
+    if (entity_id) { where.push('entity_id = ?'); params.push(entity_id); }
+    if (actor) { where.push('actor_email LIKE ?'); params.push(`%${actor}%`); }
+    if (from) { where.push('created_at >= ?'); params.push(from); }
+    if (to) { where.push(`created_at < date(?, '+1 day')`); params.push(to); }
+    const clause = where.length ? 'WHERE ' + where.join(' AND ') : '';
+
+    const total = await get(`SELECT COUNT(*) AS n FROM audit_log ${clause}`, params);
+    const items = await all(
+      `SELECT * FROM audit_log ${clause} ORDER BY id DESC LIMIT ? OFFSET ?`,
+      [...params, size, (page - 1) * size]
+    );
+    items.forEach(r => {
+      r.before = r.before_json ? JSON.parse(r.before_json) : null;
+      r.after = r.after_json ? JSON.parse(r.after_json) : null;
+      delete r.before_json;
+      delete r.after_json;
+    });
+    res.json({ ok: true, page, size, total: total.n, items });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+// Restore a voter to the snapshot taken before an edit, delete or purge.
+// Deletions and purges come back as live voters; edits leave the trash
+// state of the voter as it is now.
+app.post('/api/admin/audit/:id/restore', authRequired, adminOnly, validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const entry = await get(`SELECT * FROM audit_log WHERE id=?`, [req.params.id]);
+    if (!entry) return sendError(req, res, 404, 'AUDIT_ENTRY_NOT_FOUND');
+    if (entry.entity !== 'voter' || !['update', 'delete', 'purge'].includes(entry.action) || !entry.before_json) {
+      return sendError(req, res, 400, 'NOT_RESTORABLE');
+    }
+
+    const cols = (await all(`PRAGMA table_info(voters)`)).map(c => c.name);
+    const snap = { ...JSON.parse(entry.before_json), deleted_at: null, deleted_by: null, merged_into: null };
+    snap.name_norm = normalizeName(snap.full_name);
+    const keys = Object.keys(snap).filter(k => cols.includes(k) && k !== 'id' &&
+      (entry.action !== 'update' || !['deleted_at', 'deleted_by', 'merged_into'].includes(k)));
+    const current = await get(`SELECT * FROM voters WHERE id=?`, [entry.entity_id]);
+
+    if (entry.action !== 'update' && current && !current.deleted_at) {
+      return sendError(req, res, 409, 'VOTER_EXISTS');
+    }
+    if (entry.action === 'update' && !current) {
+      return sendError(req, res, 409, 'VOTER_GONE');
+    }
+    if (snap.electoral_card) {
+      const dupe = await get(`SELECT id FROM voters WHERE electoral_card=? AND id<>?`,
+        [snap.electoral_card, entry.entity_id]);
+      if (dupe) return sendError(req, res, 409, 'CARD_IN_USE', { voter_id: dupe.id });
+    }
+
+    if (current) {
+      await run(`UPDATE voters SET ${keys.map(k => `${k}=?`).join(', ')} WHERE id=?`,
+        [...keys.map(k => snap[k]), entry.entity_id]);
+    } else {
+      await run(`INSERT INTO voters(id, ${keys.join(', ')}) VALUES (?, ${keys.map(() => '?').join(', ')})`,
+        [entry.entity_id, ...keys.map(k => snap[k])]);
+    }
+    const restored = await get(`SELECT * FROM voters WHERE id=?`, [entry.entity_id]);
+    await audit(req, 'restore', 'voter', entry.entity_id, current || null, { ...restored, restored_from: entry.id });
+    publishTotals();
+    res.json({ ok: true, voter: restored });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+/* --------------------------- Public voter lookup ------------------------- */
+
+// Find the live voter holding this card whose dob matches. Unknown cards and
+// wrong dobs are indistinguishable to the caller.
+async function findVoterByCard(card, dob) {
+  card = westernDigits(card).trim();
+  dob = normalizeDob(westernDigits(dob).trim());
+  if (!card || !dob) return null;
+  const rows = await all(`
+    SELECT v.id, v.dob, v.polling_center, v.verified_at, c.name AS candidate_name
+    FROM voters v
+    LEFT JOIN candidates c ON c.id = v.candidate_id
+    WHERE v.electoral_card IN (?, ?) AND v.deleted_at IS NULL`, [card, card.toUpperCase()]);
+  return rows.find(row => normalizeDob(row.dob) === dob) || null;
+}
+
+const LOOKUP_BODY = {
+  electoral_card: v.string().max(40).required(),
+  dob: v.date().past().required()
+};
+
+// "Am I registered?" — only the polling center and the candidate are disclosed
+app.post('/api/public/lookup', validate({ body: LOOKUP_BODY }), async (req, res) => {
+  try {
+    const { electoral_card, dob } = req.body;
+    const voter = await findVoterByCard(electoral_card, dob);
+    if (!voter) return res.json({ ok: true, registered: false });
+    res.json({
+      ok: true,
+      registered: true,
+      polling_center: voter.polling_center || null,
+      candidate: voter.candidate_name || null,
+      verified: !!voter.verified_at
+    });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+// Consent has to be given explicitly, so false is as good as missing
+const VERIFY_BODY = v.object({ ...LOOKUP_BODY, consent: v.bool().required() })
+  .check(b => (b.consent ? [] : [{ field: 'consent', code: 'required' }]));
+
+// The voter confirms their registration and consents to being contacted
+app.post('/api/public/verify', validate({ body: VERIFY_BODY }), async (req, res) => {
+  try {
+    const { electoral_card, dob } = req.body;
+    const voter = await findVoterByCard(electoral_card, dob);
+    if (!voter) return sendError(req, res, 404, 'NO_MATCHING_REGISTRATION');
+    await run(`UPDATE voters SET verified_at=CURRENT_TIMESTAMP, consent_at=CURRENT_TIMESTAMP WHERE id=?`, [voter.id]);
+    const after = await get(`SELECT verified_at, consent_at FROM voters WHERE id=?`, [voter.id]);
+    await audit(req, 'verify', 'voter', voter.id, { verified_at: voter.verified_at }, after);
+    res.json({ ok: true, verified_at: after.verified_at });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+/* ------------------------------ Party endpoints -------------------------- */
+
+async function partyTotals() {
+  const pr = await get(`SELECT threshold FROM party WHERE id=1`);
+  const cnt = await get(`SELECT COUNT(*) AS supporters FROM voters WHERE deleted_at IS NULL`);
+  return { threshold: pr ? pr.threshold : 0, supporters: cnt?.supporters || 0 };
+}
+
+// Get party progress (threshold + supporters count)
+app.get('/api/party-progress', async (req, res) => {
+  try {
+    res.json({ ok: true, ...(await partyTotals()) });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+// Save threshold (admin)
+app.post('/api/party-progress', authRequired, adminOnly, validate({ body: { threshold: v.int().min(0).required() } }), async (req, res) => {
+  try {
+    const th = req.body.threshold;
+    const before = await get(`SELECT threshold FROM party WHERE id=1`);
+    await run(`UPDATE party SET threshold=? WHERE id=1`, [th]);
+    await audit(req, 'update', 'party', 1, before, { threshold: th });
+    publishTotals();
+    res.json({ ok: true });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+/* ------------------------------ Live updates ----------------------------- */
+
+// Dashboards keep an EventSource open on /api/stream. Voter writes call
+// publishTotals(); bursts (imports, offline sync) are coalesced and every
+// open stream then gets a `totals` event scoped to its user's role.
+const streams = new Set();
+const STREAM_HEARTBEAT_MS = 25000;
+const STREAM_DEBOUNCE_MS = 500;
+let publishTimer = null;
+
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function scopedTotals(user, party, candidates) {
+  return {
+    party,
+    candidates: user.role === 'admin' ? candidates : candidates.filter(c => user.cid != null && c.id === +user.cid)
+  };
+}
+
+function publishTotals() {
+  if (!streams.size || publishTimer) return;
+  publishTimer = setTimeout(async () => {
+    publishTimer = null;
+    try {
+      const party = await partyTotals();
+      const candidates = await candidateTotals();
+      for (const client of streams) {
+        // Re-check the session so disabled users and revoked sessions stop receiving data
+        const found = await liveSession(client.sid);
+        const user = found && reqUser(found.u, client.sid);
+        if (!user) {
+          sendEvent(client.res, 'logout', {});
+          client.res.end();
+          continue;
+        }
+        sendEvent(client.res, 'totals', scopedTotals(user, party, candidates));
+      }
+    } catch (e) {
+      console.error('Publishing totals failed:', e);
+    }
+  }, STREAM_DEBOUNCE_MS);
+}
+
+app.get('/api/stream', authRequired, async (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // don't let proxies buffer the stream
+  });
+  res.flushHeaders();
+  res.write(`retry: 5000\n\n`);
+
+  const client = { res, sid: req.user.sid };
+  streams.add(client);
+  const heartbeat = setInterval(() => res.write(`: ping\n\n`), STREAM_HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    streams.delete(client);
+  });
+
+  try {
+    sendEvent(res, 'totals', scopedTotals(req.user, await partyTotals(), await candidateTotals()));
+  } catch (e) {
+    console.error(e);
+    res.end();
+  }
+});
+
+/* -------------------------------- Analytics ------------------------------ */
+
+const ANALYTICS_SCOPES = ['party', 'candidate', 'district', 'assistant'];
+
+/**
+ * Resolve which voters a series covers. Party totals are visible to everyone
+ * (like /api/party-progress); other scopes are limited by the user's role.
+ * Returns { where, params, label, target } or { status, code }.
+ */
+async function analyticsSubject(user, scope, id) {
+  if (scope === 'party') {
+    const pr = await get(`SELECT threshold FROM party WHERE id=1`);
+    return { where: '1=1', params: [], label: null, target: pr?.threshold || 0 };
+  }
+  const vs = voterScope(user);
+
+  if (scope === 'candidate') {
+    if (!canSeeCandidate(user, id)) return { status: 403, code: 'FORBIDDEN' };
+    const c = await get(`SELECT name, target FROM candidates WHERE id=?`, [id]);
+    if (!c) return { status: 404, code: 'CANDIDATE_NOT_FOUND' };
+    return { where: `candidate_id = ? AND ${vs.sql}`, params: [id, ...vs.params], label: c.name, target: c.target || 0 };
+  }
+  if (scope === 'district') {
+    const d = await get(`SELECT name, official_voters FROM districts WHERE id=?`, [id]);
+    if (!d) return { status: 404, code: 'DISTRICT_NOT_FOUND' };
+    return { where: `district_id = ? AND ${vs.sql}`, params: [id, ...vs.params], label: d.name, target: null };
+  }
+  const a = await get(`SELECT name, candidate_id FROM assistants WHERE id=?`, [id]);
+  if (!a) return { status: 404, code: 'ASSISTANT_NOT_FOUND' };
+  if (!canSeeCandidate(user, a.candidate_id) || (user.role === 'assistant' && +user.aid !== id)) {
+    return { status: 403, code: 'FORBIDDEN' };
+  }
+  return { where: `assistant_id = ? AND ${vs.sql}`, params: [id, ...vs.params], label: a.name, target: null };
+}
+
+const DATE_RANGE = { from: v.date(), to: v.date() };
+
+// Every scope but the party needs an id
+const SERIES_QUERY = v.object({
+  scope: v.oneOf(ANALYTICS_SCOPES).default('party'),
+  id: v.id(),
+  interval: v.oneOf(['day', 'week']).default('week'),
+  ...DATE_RANGE
+}).check(q => (q.scope !== 'party' && !q.id ? [{ field: 'id', code: 'required' }] : []));
+
+// Daily or weekly supporter series with a run-rate projection
+// ?scope=party|candidate|district|assistant&id=&interval=day|week&from=&to=
+app.get('/api/analytics/series', authRequired, validate({ query: SERIES_QUERY }), async (req, res) => {
+  try {
+    const { scope, interval, id } = req.query;
+    const subject = await analyticsSubject(req.user, scope, id);
+    if (subject.status) return sendError(req, res, subject.status, subject.code);
+
+    const range = analytics.resolveRange(interval, req.query.from, req.query.to);
+    const where = `deleted_at IS NULL AND ${subject.where}`;
+    const daily = await all(`
+      SELECT date(created_at) AS day, COUNT(*) AS n FROM voters
+      WHERE ${where} AND date(created_at) BETWEEN ? AND ?
+      GROUP BY day`, [...subject.params, range.from, range.to]);
+    const before = await get(`SELECT COUNT(*) AS n FROM voters WHERE ${where} AND date(created_at) < ?`,
+      [...subject.params, range.from]);
+    const total = await get(`SELECT COUNT(*) AS n FROM voters WHERE ${where}`, subject.params);
+
+    const today = analytics.toDay(Date.now());
+    const recent = await all(`
+      SELECT date(created_at) AS day, COUNT(*) AS n FROM voters
+      WHERE ${where} AND date(created_at) > ?
+      GROUP BY day`, [...subject.params, analytics.addDays(today, -analytics.RATE_WINDOW_DAYS)]);
+
+    res.json({
+      ok: true,
+      scope,
+      id: scope === 'party' ? null : id,
+      label: subject.label,
+      interval,
+      from: range.from,
+      to: range.to,
+      total: total.n,
+      points: analytics.buildSeries(daily, { interval, ...range, before: before.n }),
+      projection: analytics.projection(recent, total.n, subject.target, today)
+    });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+// Current totals split by district, candidate or assistant (within the
+// user's scope), with the last 7 days of growth
+// ?by=district|candidate|assistant&candidate_id=
+const BREAKDOWN_QUERY = {
+  by: v.oneOf(['district', 'candidate', 'assistant']).default('district'),
+  candidate_id: v.id()
+};
+
+app.get('/api/analytics/breakdown', authRequired, validate({ query: BREAKDOWN_QUERY }), async (req, res) => {
+  try {
+    const by = req.query.by;
+    const vs = voterScope(req.user, 'v');
+    const where = [`v.deleted_at IS NULL`, vs.sql];
+    const params = [...vs.params];
+    const cid = req.query.candidate_id;
+    if (cid) {
+      if (!canSeeCandidate(req.user, cid)) return sendError(req, res, 403, 'FORBIDDEN');
+      where.push(`v.candidate_id = ?`);
+      params.push(cid);
+    }
+    const group = {
+      district: { key: 'v.district_id', join: 'LEFT JOIN districts g ON g.id = v.district_id', extra: ', g.official_voters' },
+      candidate: { key: 'v.candidate_id', join: 'LEFT JOIN candidates g ON g.id = v.candidate_id', extra: ', g.target' },
+      assistant: { key: 'v.assistant_id', join: 'LEFT JOIN assistants g ON g.id = v.assistant_id', extra: '' }
+    }[by];
+    const weekAgo = analytics.addDays(analytics.toDay(Date.now()), -7);
+
+    const rows = await all(`
+      SELECT ${group.key} AS id, g.name AS name${group.extra},
+             COUNT(*) AS supporters,
+             SUM(CASE WHEN date(v.created_at) > ? THEN 1 ELSE 0 END) AS last_7_days
+      FROM voters v
+      ${group.join}
+      WHERE ${where.join(' AND ')}
+      GROUP BY ${group.key}
+      ORDER BY supporters DESC`, [weekAgo, ...params]);
+    res.json({ ok: true, by, rows });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+/**
+ * Field-team performance for one candidate's assistants over a date range:
+ * registrations per day, duplicate rate, incomplete records and coverage of
+ * the areas in assistants.area_tags (matched against polling center and
+ * district names after Arabic normalization).
+ */
+async function assistantPerformance(user, candidateId, range) {
+  const isAssistant = user.role === 'assistant';
+  const assistants = await all(
+    `SELECT id, name, phone, area_tags FROM assistants WHERE candidate_id=? ${isAssistant ? 'AND id=?' : ''} ORDER BY id`,
+    isAssistant ? [candidateId, user.aid] : [candidateId]
+  );
+  const days = Math.round((Date.parse(range.to) - Date.parse(range.from)) / 86400000) + 1;
+
+  // Voters registered in the range, including ones later merged away as duplicates
+  const voters = await all(`
+    SELECT v.id, v.assistant_id, date(v.created_at) AS day, v.electoral_card, v.polling_center,
+           v.deleted_at, v.merged_into, d.name AS district
+    FROM voters v
+    LEFT JOIN districts d ON d.id = v.district_id
+    WHERE v.candidate_id = ? AND date(v.created_at) BETWEEN ? AND ?
+      AND (v.deleted_at IS NULL OR v.merged_into IS NOT NULL)`, [candidateId, range.from, range.to]);
+  const flagged = new Set((await all(`
+    SELECT voter_a AS id FROM voter_duplicates WHERE status IN ('pending','merged')
+    UNION SELECT voter_b FROM voter_duplicates WHERE status IN ('pending','merged')`)).map(r => r.id));
+
+  const pct = (n, d) => (d ? Math.round((1000 * n) / d) / 10 : 0);
+  const rows = assistants.map(a => {
+    const mine = voters.filter(voter => voter.assistant_id === a.id);
+    const live = mine.filter(voter => !voter.deleted_at);
+    const daily = {};
+    for (const voter of mine) daily[voter.day] = (daily[voter.day] || 0) + 1;
+
+    const tags = String(a.area_tags || '').split(/[,،;\n]/).map(t => t.trim()).filter(Boolean);
+    const places = live.map(voter => normalizeName(`${voter.polling_center || ''} ${voter.district || ''}`));
+    const areas = tags.map(tag => {
+      const norm = normalizeName(tag);
+      return { area: tag, supporters: places.filter(p => norm && p.includes(norm)).length };
+    });
+    const covered = areas.filter(x => x.supporters > 0).length;
+    const duplicates = mine.filter(voter => flagged.has(voter.id) || voter.merged_into).length;
+
+    return {
+      assistant_id: a.id,
+      name: a.name,
+      phone: a.phone,
+      registrations: mine.length,
+      supporters: live.length,
+      active_days: Object.keys(daily).length,
+      per_day: Math.round((100 * mine.length) / days) / 100,
+      series: analytics.buildSeries(Object.entries(daily).map(([day, n]) => ({ day, n })), { interval: 'day', ...range }),
+      duplicates,
+      duplicate_pct: pct(duplicates, mine.length),
+      missing_card_pct: pct(live.filter(voter => !voter.electoral_card).length, live.length),
+      missing_center_pct: pct(live.filter(voter => !voter.polling_center).length, live.length),
+      areas,
+      area_coverage_pct: tags.length ? pct(covered, tags.length) : null
+    };
+  });
+  rows.sort((x, y) => y.supporters - x.supporters || x.duplicate_pct - y.duplicate_pct);
+  rows.forEach((r, i) => { r.rank = i + 1; });
+  return { days, rows };
+}
+
+// candidate_id is required of admins; everyone else gets their own candidate
+function adminPicksCandidate(q, req) {
+  return req.user.role === 'admin' && !q.candidate_id ? [{ field: 'candidate_id', code: 'required' }] : [];
+}
+const PERFORMANCE_QUERY = v.object({ candidate_id: v.id(), ...DATE_RANGE }).check(adminPicksCandidate);
+
+function performanceCandidate(req) {
+  return req.user.role === 'admin' ? req.query.candidate_id : req.user.cid;
+}
+
+// Assistant leaderboard for a candidate
+// ?candidate_id=&from=&to= (defaults to the last 30 days)
+app.get('/api/analytics/assistants', authRequired, validate({ query: PERFORMANCE_QUERY }), async (req, res) => {
+  try {
+    const cid = performanceCandidate(req);
+    const range = analytics.resolveRange('day', req.query.from, req.query.to);
+    const report = await assistantPerformance(req.user, cid, range);
+    res.json({ ok: true, candidate_id: cid, ...range, ...report });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+// Headers come from reportText() (lib/messages.js)
+const PERFORMANCE_COLUMNS = [
+  { key: 'rank', weight: 0.6 },
+  { key: 'name', text: 'assistant', weight: 2 },
+  { key: 'supporters', weight: 1 },
+  { key: 'per_day', weight: 1 },
+  { key: 'active_days', weight: 1 },
+  { key: 'duplicate_pct', weight: 1.1 },
+  { key: 'missing_card_pct', weight: 1 },
+  { key: 'missing_center_pct', weight: 1 },
+  { key: 'area_coverage_pct', weight: 1.1 },
+  { key: 'uncovered', weight: 2.2 }
+];
+
+const REPORT_QUERY = v.object({
+  candidate_id: v.id(),
+  ...DATE_RANGE,
+  format: v.oneOf(['csv', 'xlsx', 'pdf']).default('xlsx')
+}).check(adminPicksCandidate);
+
+// Downloadable leaderboard: ?candidate_id=&from=&to=&format=csv|xlsx|pdf
+app.get('/api/analytics/assistants/report', authRequired, validate({ query: REPORT_QUERY }), async (req, res) => {
+  try {
+    const format = req.query.format;
+    const cid = performanceCandidate(req);
+    const cand = await get(`SELECT name FROM candidates WHERE id=?`, [cid]);
+    if (!cand) return sendError(req, res, 404, 'CANDIDATE_NOT_FOUND');
+
+    const range = analytics.resolveRange('day', req.query.from, req.query.to);
+    const { rows } = await assistantPerformance(req.user, cid, range);
+    const lang = downloadLanguage(req);
+    const columns = labelColumns(lang, PERFORMANCE_COLUMNS);
+    const values = rows.map(r => columns.map(c => (c.key === 'uncovered'
+      ? r.areas.filter(a => !a.supporters).map(a => a.area).join(reportText(lang, 'list_separator'))
+      : r[c.key] ?? '')));
+
+    res.setHeader('Content-Disposition', `attachment; filename="assistants-${cid}-${range.from}-${range.to}.${format}"`);
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      return res.end('\uFEFF' + csvLine(columns.map(c => c.label)) + values.map(csvLine).join(''));
+    }
+    if (format === 'xlsx') {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      const wb = new ExcelJS.Workbook();
+      const ws = wb.addWorksheet('Assistants', { views: [{ rightToLeft: lang === 'ar', state: 'frozen', ySplit: 1 }] });
+      ws.columns = columns.map(c => ({ header: c.label, key: c.key, width: 6 + c.weight * 8 }));
+      ws.getRow(1).font = { bold: true };
+      values.forEach(row => ws.addRow(row));
+      return await wb.xlsx.write(res).then(() => res.end());
+    }
+    res.setHeader('Content-Type', 'application/pdf');
+    const roster = createRoster(res, { title: reportText(lang, 'performance_title', { name: cand.name }), columns });
+    roster.group(`${range.from} → ${range.to}`);
+    values.forEach(row => roster.row(row));
+    roster.end();
+  } catch (e) {
+    if (res.headersSent) {
+      console.error(e);
+      return res.destroy(e);
+    }
+    res.removeHeader('Content-Disposition');
+    sendFailure(req, res, e);
+  }
+});
+
+/* ---------------------- Governorates / districts admin ------------------- */
+
+// Governorates
+app.get('/api/governorates', authRequired, async (req, res) => {
+  try {
+    const rows = await all(`
+      SELECT g.id, g.name, COUNT(d.id) AS districts
+      FROM governorates g
+      LEFT JOIN districts d ON d.governorate_id = g.id
+      GROUP BY g.id
+      ORDER BY g.name
+    `);
+    res.json({ ok: true, governorates: rows });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+const GOVERNORATE_BODY = { name: v.string().max(120).required() };
+
+app.post('/api/governorates', authRequired, adminOnly, validate({ body: GOVERNORATE_BODY }), async (req, res) => {
+  try {
+    const { name } = req.body;
+    const r = await run(`INSERT INTO governorates(name) VALUES (?)`, [name]);
+    await audit(req, 'create', 'governorate', r.lastID, null, { id: r.lastID, name });
+    res.json({ ok: true, id: r.lastID });
+  } catch (e) {
+    if (isConstraintError(e)) return sendInvalid(req, res, [{ field: 'name', code: 'duplicate' }]);
+    sendFailure(req, res, e);
+  }
+});
+
+app.put('/api/governorates/:id', authRequired, adminOnly, validate({ params: ID_PARAMS, body: GOVERNORATE_BODY }), async (req, res) => {
+  try {
+    const { name } = req.body;
+    const before = await get(`SELECT * FROM governorates WHERE id=?`, [req.params.id]);
+    const r = await run(`UPDATE governorates SET name=? WHERE id=?`, [name, req.params.id]);
+    if (!r.changes) return sendError(req, res, 404, 'GOVERNORATE_NOT_FOUND');
+    await audit(req, 'update', 'governorate', before.id, before, { ...before, name });
+    res.json({ ok: true, changes: r.changes });
+  } catch (e) {
+    if (isConstraintError(e)) return sendInvalid(req, res, [{ field: 'name', code: 'duplicate' }]);
+    sendFailure(req, res, e);
+  }
+});
+
+app.delete('/api/governorates/:id', authRequired, adminOnly, validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const id = req.params.id;
+    const used = await get(`SELECT COUNT(*) AS n FROM districts WHERE governorate_id=?`, [id]);
+    if (used.n) {
+      return sendError(req, res, 409, 'GOVERNORATE_IN_USE', { districts: used.n });
+    }
+    const before = await get(`SELECT * FROM governorates WHERE id=?`, [id]);
+    const r = await run(`DELETE FROM governorates WHERE id=?`, [id]);
+    if (r.changes) await audit(req, 'delete', 'governorate', id, before);
+    res.json({ ok: true, changes: r.changes });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+// Districts
+const DISTRICT_BODY = {
+  governorate_id: v.id().ref('governorates').required(),
+  name: v.string().max(120).required(),
+  official_voters: v.int().min(0).default(0)
+};
+
+app.get('/api/districts', authRequired, validate({ query: { governorate_id: v.id() } }), async (req, res) => {
+  try {
+    const gid = req.query.governorate_id || null;
+    const rows = await all(`
+      SELECT d.id, d.name, d.official_voters, d.governorate_id, g.name AS governorate_name
+      FROM districts d
+      LEFT JOIN governorates g ON g.id = d.governorate_id
+      ${gid ? 'WHERE d.governorate_id = ?' : ''}
+      ORDER BY g.name, d.name
+    `, gid ? [gid] : []);
+    res.json({ ok: true, districts: rows });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+app.post('/api/districts', authRequired, adminOnly, validate({ body: DISTRICT_BODY }), async (req, res) => {
+  try {
+    const d = req.body;
+    const r = await run(
+      `INSERT INTO districts(governorate_id, name, official_voters) VALUES (?,?,?)`,
+      [d.governorate_id, d.name, d.official_voters]
+    );
+    await audit(req, 'create', 'district', r.lastID, null, { id: r.lastID, ...d });
+    res.json({ ok: true, id: r.lastID });
+  } catch (e) {
+    if (isConstraintError(e)) return sendInvalid(req, res, [{ field: 'name', code: 'duplicate' }]);
+    sendFailure(req, res, e);
+  }
+});
+
+app.put('/api/districts/:id', authRequired, adminOnly, validate({ params: ID_PARAMS, body: DISTRICT_BODY }), async (req, res) => {
+  try {
+    const d = req.body;
+    const before = await get(`SELECT * FROM districts WHERE id=?`, [req.params.id]);
+    const r = await run(
+      `UPDATE districts SET governorate_id=?, name=?, official_voters=? WHERE id=?`,
+      [d.governorate_id, d.name, d.official_voters, req.params.id]
+    );
+    if (!r.changes) return sendError(req, res, 404, 'DISTRICT_NOT_FOUND');
+    await audit(req, 'update', 'district', before.id, before, { id: before.id, ...d });
+    res.json({ ok: true, changes: r.changes });
+  } catch (e) {
+    if (isConstraintError(e)) return sendInvalid(req, res, [{ field: 'name', code: 'duplicate' }]);
+    sendFailure(req, res, e);
+  }
+});
+
+// Delete district. Refused while candidates or voters reference it, unless
+// ?reassign_to=<district id> moves them to another district first.
+const DISTRICT_DELETE = {
+  params: ID_PARAMS,
+  query: { reassign_to: v.id().ref('districts') }
+};
+
+app.delete('/api/districts/:id', authRequired, adminOnly, validate(DISTRICT_DELETE), async (req, res) => {
+  try {
+    const id = req.params.id;
+    const target = req.query.reassign_to || null;
+    const refs = await get(`
+      SELECT
+        (SELECT COUNT(*) FROM candidates WHERE district_id=?) AS candidates,
+        (SELECT COUNT(*) FROM voters WHERE district_id=?) AS voters,
+        (SELECT COUNT(*) FROM polling_centers WHERE district_id=?) AS polling_centers
+    `, [id, id, id]);
+
+    if ((refs.candidates || refs.voters || refs.polling_centers) && !target) {
+      return sendError(req, res, 409, 'DISTRICT_IN_USE', refs);
+    }
+    if (target === id) {
+      return sendInvalid(req, res, [{ field: 'reassign_to', code: 'must_differ', params: { other: 'district_id' } }]);
+    }
+
+    const before = await get(`SELECT * FROM districts WHERE id=?`, [id]);
+    const changes = await transaction(async () => {
+      if (target) {
+        await run(`UPDATE candidates SET district_id=? WHERE district_id=?`, [target, id]);
+        await run(`UPDATE voters SET district_id=? WHERE district_id=?`, [target, id]);
+        await run(`UPDATE polling_centers SET district_id=? WHERE district_id=?`, [target, id]);
+      }
+      const r = await run(`DELETE FROM districts WHERE id=?`, [id]);
+      if (r.changes) {
+        await audit(req, 'delete', 'district', id, before, target ? { reassign_to: target, ...refs } : null);
+      }
+      return r.changes;
+    });
+    res.json({ ok: true, changes, reassigned: target ? refs : null });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+/* ----------------------------- Polling centers --------------------------- */
+
+const CENTER_BODY = {
+  district_id: v.id().ref('districts').required(),
+  code: v.string().max(20).required(),
+  name: v.string().max(160).required(),
+  address: v.string().max(300),
+  capacity: v.int().min(0),
+  stations: v.int().min(0)
+};
+
+// Column values of a validated center body
+function centerValues(body) {
+  return {
+    district_id: body.district_id,
+    code: body.code.toUpperCase(),
+    name: body.name,
+    address: body.address || null,
+    capacity: body.capacity ?? null,
+    stations: body.stations ?? null
+  };
+}
+
+async function insertCenter(c) {
+  const r = await run(`
+    INSERT INTO polling_centers(district_id, code, name, name_norm, address, capacity, stations)
+    VALUES (?,?,?,?,?,?,?)`,
+    [c.district_id, c.code, c.name, normalizeName(c.name), c.address, c.capacity, c.stations]);
+  return r.lastID;
+}
+
+/**
+ * Link a voter to a polling center. An explicit polling_center_id wins and its
+ * name is copied into the free-text column (reports group by that text); plain
+ * text is linked when it names exactly one center in the voter's district.
+ * Returns { polling_center_id, polling_center, district_id } or { error }
+ * with a field error.
+ */
+async function resolveCenter(centerId, text, districtId) {
+  districtId = +districtId || null;
+  if (centerId) {
+    const c = await get(`SELECT id, name, district_id FROM polling_centers WHERE id=?`, [+centerId]);
+    if (!c) return { error: { field: 'polling_center_id', code: 'not_found' } };
+    if (districtId && districtId !== c.district_id) return { error: { field: 'polling_center_id', code: 'wrong_district' } };
+    return { polling_center_id: c.id, polling_center: c.name, district_id: c.district_id };
+  }
+  const name = String(text || '').trim();
+  if (!name) return { polling_center_id: null, polling_center: null, district_id: districtId };
+  const params = [normalizeName(name)];
+  if (districtId) params.push(districtId);
+  const matches = await all(`
+    SELECT id, name, district_id FROM polling_centers
+    WHERE name_norm=? ${districtId ? 'AND district_id=?' : ''}
+    LIMIT 2`, params);
+  if (matches.length === 1) {
+    const [c] = matches;
+    return { polling_center_id: c.id, polling_center: c.name, district_id: c.district_id };
+  }
+  return { polling_center_id: null, polling_center: name, district_id: districtId };
+}
+
+const CENTERS_QUERY = { district_id: v.id(), q: v.string().max(100), limit: v.int().min(1) };
+
+// List / autocomplete: ?district_id=&q=&limit=
+app.get('/api/polling-centers', authRequired, validate({ query: CENTERS_QUERY }), async (req, res) => {
+  try {
+    const where = [];
+    const params = [];
+    const did = req.query.district_id;
+    if (did) { where.push('pc.district_id=?'); params.push(did); }
+    const q = req.query.q;
+    if (q) {
+      where.push(`(pc.name_norm LIKE ? OR pc.code LIKE ?)`);
+      params.push(`%${normalizeName(q)}%`, `${westernDigits(q).toUpperCase()}%`);
+    }
+    const limit = Math.min(500, req.query.limit || 50);
+    const rows = await all(`
+      SELECT pc.id, pc.code, pc.name, pc.address, pc.capacity, pc.stations, pc.district_id,
+             d.name AS district_name,
+             (SELECT COUNT(*) FROM voters v WHERE v.polling_center_id = pc.id AND v.deleted_at IS NULL) AS voters
+      FROM polling_centers pc
+      LEFT JOIN districts d ON d.id = pc.district_id
+      ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+      ORDER BY d.name, pc.name
+      LIMIT ?`, [...params, limit]);
+    res.json({ ok: true, centers: rows });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+app.post('/api/polling-centers', authRequired, adminOnly, validate({ body: CENTER_BODY }), async (req, res) => {
+  try {
+    const c = centerValues(req.body);
+    const id = await insertCenter(c);
+    await audit(req, 'create', 'polling_center', id, null, { id, ...c });
+    res.json({ ok: true, id });
+  } catch (e) {
+    if (isConstraintError(e)) return sendInvalid(req, res, [{ field: 'code', code: 'duplicate' }]);
+    sendFailure(req, res, e);
+  }
+});
+
+// Update a center; a new name is copied to the voters linked to it
+app.put('/api/polling-centers/:id', authRequired, adminOnly, validate({ params: ID_PARAMS, body: CENTER_BODY }), async (req, res) => {
+  try {
+    const id = req.params.id;
+    const c = centerValues(req.body);
+    const before = await get(`SELECT * FROM polling_centers WHERE id=?`, [id]);
+    if (!before) return sendError(req, res, 404, 'POLLING_CENTER_NOT_FOUND');
+
+    const relinked = await transaction(async () => {
+      await run(`
+        UPDATE polling_centers SET district_id=?, code=?, name=?, name_norm=?, address=?, capacity=?, stations=?
+        WHERE id=?`,
+        [c.district_id, c.code, c.name, normalizeName(c.name), c.address, c.capacity, c.stations, id]);
+      if (c.name === before.name) return 0;
+      const r = await run(`UPDATE voters SET polling_center=? WHERE polling_center_id=?`, [c.name, id]);
+      return r.changes;
+    });
+    await audit(req, 'update', 'polling_center', id, before, { id, ...c });
+    res.json({ ok: true, changes: 1, voters_renamed: relinked });
+  } catch (e) {
+    if (isConstraintError(e)) return sendInvalid(req, res, [{ field: 'code', code: 'duplicate' }]);
+    sendFailure(req, res, e);
+  }
+});
+
+app.delete('/api/polling-centers/:id', authRequired, adminOnly, validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const id = req.params.id;
+    // Trashed voters count too: they may be restored
+    const used = await get(`SELECT COUNT(*) AS n FROM voters WHERE polling_center_id=?`, [id]);
+    if (used.n) return sendError(req, res, 409, 'POLLING_CENTER_IN_USE', { voters: used.n });
+    const before = await get(`SELECT * FROM polling_centers WHERE id=?`, [id]);
+    const r = await run(`DELETE FROM polling_centers WHERE id=?`, [id]);
+    if (r.changes) await audit(req, 'delete', 'polling_center', id, before);
+    res.json({ ok: true, changes: r.changes });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+/**
+ * Clean-up of free-text centers: distinct unlinked spellings, clustered per
+ * district, each with the closest managed center as a suggestion. Nothing is
+ * changed until an admin confirms the mapping below.
+ */
+app.get('/api/admin/polling-centers/clusters', authRequired, adminOnly, async (req, res) => {
+  try {
+    const values = await all(`
+      SELECT polling_center AS text, district_id, COUNT(*) AS voters
+      FROM voters
+      WHERE polling_center_id IS NULL AND TRIM(IFNULL(polling_center,'')) <> ''
+      GROUP BY polling_center, district_id`);
+    const centers = await all(`SELECT id, name, name_norm, district_id FROM polling_centers`);
+    const districts = new Map((await all(`SELECT id, name FROM districts`)).map(d => [d.id, d.name]));
+    const clusters = clusterValues(values).map(({ norm, ...c }) => ({
+      ...c,
+      district_name: districts.get(c.district_id) || null,
+      suggestion: suggestCenter(c, centers)
+    }));
+    res.json({ ok: true, clusters, unmapped_voters: values.reduce((n, value) => n + value.voters, 0) });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+/**
+ * Apply reviewed clusters.
+ * Body: { mappings: [{ variants: [text], district_id, center_id }
+ *                  | { variants: [text], district_id, create: { code, name, address, ... } }] }
+ * Voters still unlinked with one of the spellings (in that district) are linked
+ * to the center and get its name; voters without a district take the center's.
+ */
+// The new center's district defaults to the mapping's
+const CENTER_MAPPING = v.object({
+  variants: v.array(v.string().max(160).required()).min(1).required(),
+  district_id: v.id().ref('districts'),
+  center_id: v.id().ref('polling_centers'),
+  create: v.object({ ...CENTER_BODY, district_id: v.id().ref('districts') })
+}).check(m => {
+  if (m.center_id == null && m.create == null) return [{ field: 'center_id', code: 'one_required', params: { other: 'create' } }];
+  if (m.center_id == null && !(m.create.district_id || m.district_id)) return [{ field: 'district_id', code: 'required' }];
+  return [];
+});
+const CENTER_MAP_BODY = { mappings: v.array(CENTER_MAPPING).min(1).required() };
+
+app.post('/api/admin/polling-centers/map', authRequired, adminOnly, validate({ body: CENTER_MAP_BODY }), async (req, res) => {
+  try {
+    const { mappings } = req.body;
+
+    // Any bad mapping rolls back the whole batch
+    const fail = (i, field, code) => Object.assign(new Error(code), { errors: [{ field: `mappings[${i}].${field}`, code }] });
+    const results = await transaction(async () => {
+      const out = [];
+      for (const [i, m] of mappings.entries()) {
+        const districtId = m.district_id || null;
+        let centerId = m.center_id;
+        if (!centerId) {
+          const c = centerValues({ ...m.create, district_id: m.create.district_id || districtId });
+          try {
+            centerId = await insertCenter(c);
+          } catch (e) {
+            throw isConstraintError(e) ? fail(i, 'create.code', 'duplicate') : e;
+          }
+          await audit(req, 'create', 'polling_center', centerId, null, { id: centerId, ...c });
+        }
+        const center = await get(`SELECT id, name, district_id FROM polling_centers WHERE id=?`, [centerId]);
+        if (districtId && districtId !== center.district_id) throw fail(i, 'center_id', 'wrong_district');
+        const variants = m.variants;
+        const r = await run(`
+          UPDATE voters
+          SET polling_center_id=?, polling_center=?, district_id=IFNULL(district_id, ?)
+          WHERE polling_center_id IS NULL AND district_id IS ?
+            AND polling_center IN (${variants.map(() => '?').join(',')})`,
+          [center.id, center.name, center.district_id, districtId, ...variants]);
+        await audit(req, 'map', 'polling_center', center.id, null, { variants, district_id: districtId, voters: r.changes });
+        out.push({ center_id: center.id, name: center.name, voters: r.changes });
+      }
+      return out;
+    });
+    res.json({ ok: true, results });
+  } catch (e) {
+    if (e.errors) return sendInvalid(req, res, e.errors);
+    sendFailure(req, res, e);
+  }
+});
+
+/* ------------------------------ Candidate APIs --------------------------- */
+
+// Supporter totals per candidate (all candidates, or just one)
+function candidateTotals(candidateId = null) {
+  const scoped = candidateId != null;
+  return all(`
+    SELECT
+      c.id, c.name, d.name AS district, c.target,
+      COUNT(v.id) AS supporters,
+      ROUND(CASE WHEN c.target>0 THEN (100.0*COUNT(v.id)/c.target) ELSE 0 END,1) AS pct
+    FROM candidates c
+    LEFT JOIN districts d ON d.id = c.district_id
+    LEFT JOIN voters v ON v.candidate_id = c.id AND v.deleted_at IS NULL
+    ${scoped ? 'WHERE c.id = ?' : ''}
+    GROUP BY c.id
+    ORDER BY supporters DESC, c.id ASC
+  `, scoped ? [candidateId] : []);
+}
+
+// Candidates progress list (non-admins only see their own candidate)
+app.get('/api/candidates', authRequired, async (req, res) => {
+  try {
+    const rows = await candidateTotals(req.user.role === 'admin' ? null : req.user.cid);
+    res.json({ ok: true, candidates: rows });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+// Candidate details
+app.get('/api/candidate/:id', authRequired, validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const id = req.params.id;
+    if (!canSeeCandidate(req.user, id)) return sendError(req, res, 403, 'FORBIDDEN');
+    const cand = await get(`
+      SELECT c.*, d.name AS district_name
+      FROM candidates c
+      LEFT JOIN districts d ON d.id = c.district_id
+      WHERE c.id = ?
+    `, [id]);
+    if (!cand) return sendError(req, res, 404, 'CANDIDATE_NOT_FOUND');
+
+    const isAssistant = req.user.role === 'assistant';
+    const assistants = await all(
+      `SELECT * FROM assistants WHERE candidate_id=? ${isAssistant ? 'AND id=?' : ''}
+       ORDER BY created_at DESC`, isAssistant ? [id, req.user.aid] : [id]
+    );
+    // The voters themselves are paged through /api/voters?candidate_id=
+    const scope = voterScope(req.user);
+    const voters = await get(
+      `SELECT COUNT(*) AS n FROM voters WHERE candidate_id=? AND deleted_at IS NULL AND ${scope.sql}`,
+      [id, ...scope.params]
+    );
+
+    res.json({ ok: true, candidate: cand, assistants, voter_count: voters.n });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+// Candidates admin list
+app.get('/api/candidates-admin', authRequired, adminOnly, async (req, res) => {
+  try {
+    const rows = await all(`
+      SELECT c.id, c.name, c.target, c.district_id, d.name AS district,
+             g.name AS governorate
+      FROM candidates c
+      LEFT JOIN districts d ON d.id = c.district_id
+      LEFT JOIN governorates g ON g.id = d.governorate_id
+      ORDER BY c.id
+    `);
+    res.json({ ok: true, candidates: rows });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+const CANDIDATE_BODY = {
+  name: v.string().max(120).required(),
+  district_id: v.id().ref('districts').required(),
+  target: v.int().min(0).default(0)
+};
+
+// Create candidate (admin)
+app.post('/api/candidates', authRequired, adminOnly, validate({ body: CANDIDATE_BODY }), async (req, res) => {
+  try {
+    const c = req.body;
+    const r = await run(
+      `INSERT INTO candidates(name, district_id, target) VALUES (?,?,?)`,
+      [c.name, c.district_id, c.target]
+    );
+    await audit(req, 'create', 'candidate', r.lastID, null, { id: r.lastID, ...c });
+    res.json({ ok: true, id: r.lastID });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+// Update candidate (admin)
+app.put('/api/candidates/:id', authRequired, adminOnly, validate({ params: ID_PARAMS, body: CANDIDATE_BODY }), async (req, res) => {
+  try {
+    const c = req.body;
+    const before = await get(`SELECT id, name, district_id, target FROM candidates WHERE id=?`, [req.params.id]);
+    const r = await run(
+      `UPDATE candidates SET name=?, district_id=?, target=? WHERE id=?`,
+      [c.name, c.district_id, c.target, req.params.id]
+    );
+    if (!r.changes) return sendError(req, res, 404, 'CANDIDATE_NOT_FOUND');
+    await audit(req, 'update', 'candidate', before.id, before, { id: before.id, ...c });
+    res.json({ ok: true, changes: r.changes });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+// Delete candidate (admin) — refused while supporters, assistants or user
+// accounts still point at it
+app.delete('/api/candidates/:id', authRequired, adminOnly, validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const id = req.params.id;
+    const refs = await get(`
+      SELECT
+        (SELECT COUNT(*) FROM voters WHERE candidate_id=?) AS voters,
+        (SELECT COUNT(*) FROM assistants WHERE candidate_id=?) AS assistants,
+        (SELECT COUNT(*) FROM users WHERE candidate_id=?) AS users
+    `, [id, id, id]);
+    if (refs.voters || refs.assistants || refs.users) {
+      return sendError(req, res, 409, 'CANDIDATE_IN_USE', refs);
+    }
+    const before = await get(`SELECT id, name, district_id, target FROM candidates WHERE id=?`, [id]);
+    const r = await run(`DELETE FROM candidates WHERE id=?`, [id]);
+    if (r.changes) await audit(req, 'delete', 'candidate', id, before);
+    res.json({ ok: true, changes: r.changes });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+// List assistants of a candidate (assistants only see themselves)
+app.get('/api/assistants', authRequired, validate({ query: { candidate_id: v.id() } }), async (req, res) => {
+  try {
+    const cid = req.user.role === 'admin' ? req.query.candidate_id || null : req.user.cid;
+    const where = [];
+    const params = [];
+    if (cid) { where.push('candidate_id=?'); params.push(cid); }
+    if (req.user.role === 'assistant') { where.push('id=?'); params.push(req.user.aid); }
+    const rows = await all(
+      `SELECT * FROM assistants ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+       ORDER BY created_at DESC`, params
+    );
+    res.json({ ok: true, assistants: rows });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+// Candidates add to their own team, so only admins pass candidate_id
+const ASSISTANT_BODY = v.object({
+  candidate_id: v.id().ref('candidates'),
+  name: v.string().max(120).required(),
+  phone: v.string().max(30),
+  area_tags: v.string().max(1000)
+}).check(adminPicksCandidate);
+
+// Add assistant (admin, or a candidate for their own team)
+app.post('/api/assistants', authRequired, requireRole('admin', 'candidate'), validate({ body: ASSISTANT_BODY }), async (req, res) => {
+  try {
+    const { name, phone, area_tags } = req.body;
+    const candidate_id = req.user.role === 'admin' ? req.body.candidate_id : req.user.cid;
+    const r = await run(
+      `INSERT INTO assistants(candidate_id, name, phone, area_tags) VALUES (?,?,?,?)`,
+      [candidate_id, name, phone || '', area_tags || '']
+    );
+    await audit(req, 'create', 'assistant', r.lastID, null,
+      await get(`SELECT * FROM assistants WHERE id=?`, [r.lastID]));
+    res.json({ ok: true, id: r.lastID });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+/* ------------------------------- Voters APIs ----------------------------- */
+
+const VOTER_FIELDS = {
+  candidate_id: v.id().ref('candidates'),
+  assistant_id: v.id().ref('assistants'),
+  full_name: v.string().max(160).notEmpty(),
+  dob: v.date().min('1900-01-01').past(),
+  district_id: v.id().ref('districts'),
+  polling_center_id: v.id().ref('polling_centers'),
+  polling_center: v.string().max(160),
+  electoral_card: v.string().max(40)
+};
+const NEW_VOTER_BODY = { ...VOTER_FIELDS, full_name: v.string().max(160).required(), client_id: v.string().max(64) };
+
+// Resolve the candidate/assistant a voter write is attributed to; { error }
+// is a field error. Candidates and assistants cannot register voters for
+// anyone else, and an assistant must belong to the voter's candidate.
+async function resolveOwnership(user, candidate_id, assistant_id) {
+  if (user.role === 'assistant') return { candidate_id: user.cid, assistant_id: user.aid };
+  if (user.role === 'candidate') candidate_id = user.cid;
+  if (!candidate_id) return { error: { field: 'candidate_id', code: 'required' } };
+  if (assistant_id) {
+    const a = await get(`SELECT candidate_id FROM assistants WHERE id=?`, [assistant_id]);
+    if (!a) return { error: { field: 'assistant_id', code: 'not_found' } };
+    if (+a.candidate_id !== +candidate_id) return { error: { field: 'assistant_id', code: 'wrong_candidate' } };
+  }
+  return { candidate_id, assistant_id: assistant_id || null };
+}
+
+/**
+ * Insert one voter for the current user from a validated NEW_VOTER_BODY.
+ * Shared by POST /api/voters and the offline sync endpoint. `client_id`
+ * (generated on the device) makes the call idempotent: replaying a record
+ * the same user already sent returns the same id, while an id another user
+ * has used is a 'conflict' (nothing is saved and their voter stays hidden).
+ * Resolves to { status: 'created'|'already_synced'|'conflict'|'duplicate'|'invalid', ... };
+ * invalid ones carry field `errors`.
+ */
+async function insertVoter(req, body) {
+  const {
+    full_name, dob, district_id, polling_center, electoral_card
+  } = body;
+  const clientId = body.client_id || null;
+
+  if (clientId) {
+    const seen = await get(`SELECT id FROM voters WHERE client_id=? AND created_by=?`, [clientId, req.user.uid]);
+    if (seen) return { status: 'already_synced', id: seen.id };
+    if (await get(`SELECT 1 FROM voters WHERE client_id=?`, [clientId])) {
+      return { status: 'conflict', code: 'CLIENT_ID_CONFLICT' };
+    }
+  }
+
+  const owner = await resolveOwnership(req.user, body.candidate_id, body.assistant_id);
+  if (owner.error) return { status: 'invalid', errors: [owner.error] };
+  const { candidate_id, assistant_id } = owner;
+  const center = await resolveCenter(body.polling_center_id, polling_center, district_id);
+  if (center.error) return { status: 'invalid', errors: [center.error] };
+
+  if (electoral_card) {
+    // Trashed voters keep their card so they can be restored without a clash
+    const dupe = await get(`SELECT id, deleted_at FROM voters WHERE electoral_card=?`, [electoral_card]);
+    if (dupe) {
+      return {
+        status: 'duplicate',
+        in_trash: !!dupe.deleted_at,
+        code: dupe.deleted_at ? 'CARD_IN_TRASH' : 'DUPLICATE_CARD'
+      };
+    }
+  }
+
+  const r = await run(`
+    INSERT INTO voters(candidate_id, assistant_id, full_name, dob, district_id, polling_center, polling_center_id,
+                       electoral_card, name_norm, client_id, created_by)
+    VALUES (?,?,?,?,?,?,?,?,?,?,?)`,
+    [
+      candidate_id,
+      assistant_id || null,
+      full_name,
+      dob || null,
+      center.district_id,
+      center.polling_center,
+      center.polling_center_id,
+      electoral_card || null,
+      normalizeName(full_name),
+      clientId,
+      req.user.uid
+    ]
+  );
+  const created = await get(`SELECT * FROM voters WHERE id=?`, [r.lastID]);
+  await audit(req, 'create', 'voter', r.lastID, null, created);
+  publishTotals();
+  const possible = await queueDuplicatesFor(created);
+  return { status: 'created', id: r.lastID, possible_duplicates: possible.length };
+}
+
+// Create voter (kept behavior + dedupe on electoral_card)
+app.post('/api/voters', authRequired, validate({ body: NEW_VOTER_BODY }), async (req, res) => {
+  try {
+    const result = await insertVoter(req, req.body);
+    if (result.status === 'invalid') return sendInvalid(req, res, result.errors);
+    if (result.status === 'conflict') return sendError(req, res, 409, result.code);
+    if (result.status === 'duplicate') {
+      return res.json({ ok: true, duplicate: true, in_trash: result.in_trash, code: result.code, msg: errorText(req, result.code) });
+    }
+    res.json({
+      ok: true,
+      id: result.id,
+      possible_duplicates: result.possible_duplicates || 0,
+      ...(result.status === 'already_synced' ? { replayed: true } : {})
+    });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+const SYNC_MAX_RECORDS = 500;
+const SYNC_RECORD = { ...NEW_VOTER_BODY, client_id: v.string().max(64).required() };
+
+/**
+ * Replay voters queued on a device while offline.
+ * Body: { records: [{ client_id, candidate_id, assistant_id, full_name, ... }] }
+ * Every record gets its own result so the device can drop what is settled
+ * and show duplicates/invalid rows (with their field errors) to the user.
+ * Records are saved one by one: an 'error' one has written nothing.
+ */
+app.post('/api/voters/sync', authRequired, validate({ body: { records: v.array(v.any()).required() } }), async (req, res) => {
+  try {
+    const { records } = req.body;
+    if (records.length > SYNC_MAX_RECORDS) {
+      return sendError(req, res, 413, 'TOO_MANY_RECORDS', { max: SYNC_MAX_RECORDS });
+    }
+
+    const results = await transaction(async () => {
+      const out = [];
+      for (const rec of records) {
+        const clientId = rec?.client_id != null ? String(rec.client_id) : null;
+        try {
+          const { value, errors } = await checkInput(SYNC_RECORD, rec, req);
+          // A record that fails part-way leaves nothing behind, so the device can retry it
+          const result = errors.length ? { status: 'invalid', errors } : await savepoint(() => insertVoter(req, value));
+          if (result.errors) {
+            result.errors = describeErrors(req, result.errors);
+            result.msg = result.errors[0].msg;
+          } else if (result.code) {
+            result.msg = errorText(req, result.code);
+          }
+          out.push({ client_id: clientId, ...result });
+        } catch (e) {
+          console.error(e);
+          out.push({ client_id: clientId, status: 'error', msg: errorText(req, 'INTERNAL_ERROR') });
+        }
+      }
+      return out;
+    });
+
+    const summary = {};
+    results.forEach(r => { summary[r.status] = (summary[r.status] || 0) + 1; });
+    res.json({ ok: true, summary, results });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+// 'a, b,c' -> ['a', 'b', 'c']
+const columnList = s => s.split(',').map(k => k.trim()).filter(Boolean);
+
+// Fields ?missing= can ask for (voters where they are empty)
+const MISSING_FIELDS = ['dob', 'electoral_card', 'district_id', 'polling_center', 'polling_center_id', 'assistant_id'];
+
+// Query rules for voterFilters()
+const VOTER_FILTERS = {
+  search: v.string().max(100),
+  candidate_id: v.id(),
+  assistant_id: v.id(),
+  district_id: v.id(),
+  polling_center_id: v.id(),
+  polling_center: v.string().max(160),
+  voted: v.oneOf(['0', '1']),
+  created_from: v.date(),
+  created_to: v.date(),
+  age_min: v.int().min(0).max(130),
+  age_max: v.int().min(0).max(130),
+  missing: v.string().max(200).test(s => columnList(s).every(k => MISSING_FIELDS.includes(k)), 'invalid_choice',
+    { choices: MISSING_FIELDS })
+};
+
+// Shared voter search filters (search, candidate, assistant, district,
+// polling center, registration dates, age, missing fields) on top of the
+// user's role scope, from a query validated with VOTER_FILTERS. Deleted
+// voters are left out unless `trash` is set, in which case only deleted
+// voters are matched. Callers that joined voters_fts to rank the results
+// pass `ranked` so the search matches that join.
+function voterFilters(req, alias = '', { trash = false, ranked = false } = {}) {
+  const p = alias ? `${alias}.` : '';
+  const scope = voterScope(req.user, alias);
+  const where = [scope.sql, `${p}deleted_at IS ${trash ? 'NOT NULL' : 'NULL'}`];
+  const params = [...scope.params];
+  const { search } = req.query;
+  if (search) {
+    // Name, card and polling center through the full-text index
+    const match = voterQuery.matchQuery(search);
+    if (!match) where.push('0');
+    else if (ranked) { where.push('voters_fts MATCH ?'); params.push(match); }
+    else { where.push(`${p}id IN (SELECT rowid FROM voters_fts WHERE voters_fts MATCH ?)`); params.push(match); }
+  }
+  for (const col of ['candidate_id', 'assistant_id', 'district_id', 'polling_center_id']) {
+    if (req.query[col]) { where.push(`${p}${col} = ?`); params.push(req.query[col]); }
+  }
+  const center = req.query.polling_center;
+  if (center) { where.push(`${p}polling_center = ?`); params.push(center); }
+  // ?voted=1 / ?voted=0 — election-day turnout
+  if (req.query.voted === '1') where.push(`${p}voted_at IS NOT NULL`);
+  if (req.query.voted === '0') where.push(`${p}voted_at IS NULL`);
+  // Registration date range, both days included
+  if (req.query.created_from) { where.push(`${p}created_at >= ?`); params.push(req.query.created_from); }
+  if (req.query.created_to) { where.push(`${p}created_at < date(?, '+1 day')`); params.push(req.query.created_to); }
+  // Age in whole years today; voters without a date of birth never match
+  if (req.query.age_min != null) {
+    where.push(`${p}dob <= date('now', ?)`);
+    params.push(`-${req.query.age_min} years`);
+  }
+  if (req.query.age_max != null) {
+    where.push(`${p}dob > date('now', ?)`);
+    params.push(`-${req.query.age_max + 1} years`);
+  }
+  // ?missing=dob,electoral_card — all of the listed fields are empty
+  for (const col of columnList(req.query.missing || '')) where.push(`IFNULL(${p}${col},'') = ''`);
+  return { sql: `WHERE ${where.join(' AND ')}`, params };
+}
+
+const LIST_MAX_SIZE = 200;
+
+/**
+ * List/search voters visible to the current user.
+ * ?sort=<column>&order=asc|desc, ties broken by id; a search is sorted by
+ * relevance unless another sort is asked for. Pages follow `next_cursor`
+ * (?cursor=); ?page= still works for offset paging. `total` counts every
+ * match, whatever the page.
+ */
+async function listVoters(req, res) {
+  try {
+    const q = req.query;
+    const cursor = q.cursor ? voterQuery.decodeCursor(q.cursor) : null;
+    const sort = cursor ? cursor.sort : q.sort || (q.search ? 'relevance' : 'id');
+    const order = cursor ? cursor.order : q.order || 'desc';
+    const size = Math.min(LIST_MAX_SIZE, Math.max(5, q.size || 20));
+    const page = cursor ? null : q.page || 1;
+
+    const ranked = sort === 'relevance';
+    const from = `voters v${ranked ? ' JOIN voters_fts ON voters_fts.rowid = v.id' : ''}`;
+    const filter = voterFilters(req, 'v', { ranked });
+    const total = await get(`SELECT COUNT(*) AS n FROM ${from} ${filter.sql}`, filter.params);
+
+    const where = { sql: filter.sql, params: [...filter.params] };
+    if (cursor) {
+      const next = voterQuery.after(cursor);
+      where.sql += ` AND ${next.sql}`;
+      where.params.push(...next.params);
+    }
+    const ordering = voterQuery.ordering(sort, order);
+    // One extra row tells whether another page follows
+    const rows = await all(`
+      SELECT v.id, v.full_name, v.dob, v.electoral_card, v.candidate_id, v.assistant_id,
+             v.district_id, v.polling_center, v.polling_center_id, v.verified_at, v.voted_at, v.created_at,
+             c.name AS candidate_name, a.name AS assistant_name, d.name AS district_name,
+             ${ordering.key} AS _key
+      FROM ${from}
+      LEFT JOIN candidates c ON c.id = v.candidate_id
+      LEFT JOIN assistants a ON a.id = v.assistant_id
+      LEFT JOIN districts d ON d.id = v.district_id
+      ${where.sql}
+      ORDER BY ${ordering.sql}
+      LIMIT ? OFFSET ?`, [...where.params, size + 1, page ? (page - 1) * size : 0]);
+
+    const more = rows.length > size;
+    const items = rows.slice(0, size);
+    const next_cursor = more ? voterQuery.encodeCursor(sort, order, items[items.length - 1]) : null;
+    items.forEach(r => { delete r._key; });
+    res.json({ ok: true, sort, order, size, page, total: total.n, next_cursor, items });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+}
+
+const VOTER_LIST_QUERY = v.object({
+  ...VOTER_FILTERS,
+  ...PAGING,
+  sort: v.oneOf(voterQuery.SORT_KEYS),
+  order: v.oneOf(voterQuery.ORDERS),
+  cursor: v.string().max(1000).test(s => voterQuery.decodeCursor(s) !== null, 'invalid_format')
+}).check(q => {
+  if (q.sort === 'relevance' && !q.search) return [{ field: 'search', code: 'required' }];
+  // A cursor continues the sort it was made for
+  const c = q.cursor && voterQuery.decodeCursor(q.cursor);
+  if (!c) return [];
+  if (c.sort === 'relevance' && !q.search) return [{ field: 'search', code: 'required' }];
+  if (q.sort && q.sort !== c.sort) return [{ field: 'cursor', code: 'invalid_format' }];
+  if (q.order && q.order !== c.order) return [{ field: 'cursor', code: 'invalid_format' }];
+  return [];
+});
+app.get('/api/voters', authRequired, validate({ query: VOTER_LIST_QUERY }), listVoters);
+app.get('/api/admin/voters', authRequired, adminOnly, validate({ query: VOTER_LIST_QUERY }), listVoters);
+
+// Update voter (only the fields sent are changed)
+app.put('/api/voters/:id', authRequired, validate({ params: ID_PARAMS, body: VOTER_FIELDS }), async (req, res) => {
+  try {
+    const id = req.params.id;
+    const current = await get(`SELECT * FROM voters WHERE id=? AND deleted_at IS NULL`, [id]);
+    if (!current) return sendError(req, res, 404, 'VOTER_NOT_FOUND');
+    if (!canSeeVoter(req.user, current)) return sendError(req, res, 403, 'FORBIDDEN');
+
+    const {
+      full_name, dob, district_id, polling_center, polling_center_id, electoral_card
+    } = req.body;
+    let { candidate_id, assistant_id } = req.body;
+
+    const fields = [];
+    const vals = [];
+    function set(col, val) {
+      fields.push(`${col}=?`);
+      vals.push(val);
+    }
+    if (candidate_id !== undefined || assistant_id !== undefined) {
+      const owner = await resolveOwnership(
+        req.user,
+        candidate_id !== undefined ? candidate_id : current.candidate_id,
+        assistant_id !== undefined ? assistant_id : current.assistant_id
+      );
+      if (owner.error) return sendInvalid(req, res, [owner.error]);
+      ({ candidate_id, assistant_id } = owner);
+      set('candidate_id', candidate_id);
+      set('assistant_id', assistant_id || null);
+    }
+    if (full_name !== undefined) {
+      set('full_name', full_name);
+      set('name_norm', normalizeName(full_name));
+    }
+    if (dob !== undefined) set('dob', dob || null);
+    if (polling_center !== undefined || polling_center_id !== undefined) {
+      const center = await resolveCenter(polling_center_id, polling_center,
+        district_id !== undefined ? district_id : current.district_id);
+      if (center.error) return sendInvalid(req, res, [center.error]);
+      set('polling_center', center.polling_center);
+      set('polling_center_id', center.polling_center_id);
+      if (district_id !== undefined || center.district_id !== current.district_id) set('district_id', center.district_id);
+    } else if (district_id !== undefined) {
+      set('district_id', district_id || null);
+    }
+    if (electoral_card !== undefined) {
+      if (electoral_card) {
+        const dupe = await get(`SELECT id FROM voters WHERE electoral_card=? AND id<>?`,
+          [electoral_card, id]);
+        if (dupe) return sendInvalid(req, res, [{ field: 'electoral_card', code: 'duplicate' }]);
+      }
+      set('electoral_card', electoral_card || null);
+    }
+
+    if (!fields.length) return res.json({ ok: true, changes: 0 });
+
+    const sql = `UPDATE voters SET ${fields.join(', ')} WHERE id=?`;
+    const r = await run(sql, [...vals, id]);
+    const updated = await get(`SELECT * FROM voters WHERE id=?`, [id]);
+    await audit(req, 'update', 'voter', id, current, updated);
+    publishTotals();
+    if (full_name !== undefined || dob !== undefined || electoral_card !== undefined) await queueDuplicatesFor(updated);
+    res.json({ ok: true, changes: r.changes });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+// Delete voter (moves it to the trash; see the trash endpoints below)
+app.delete('/api/voters/:id', authRequired, validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const id = req.params.id;
+    const current = await get(`SELECT * FROM voters WHERE id=? AND deleted_at IS NULL`, [id]);
+    if (!current) return res.json({ ok: true, changes: 0 });
+    if (!canSeeVoter(req.user, current)) return sendError(req, res, 403, 'FORBIDDEN');
+    const r = await run(`UPDATE voters SET deleted_at=CURRENT_TIMESTAMP, deleted_by=? WHERE id=?`, [req.user.uid, id]);
+    await audit(req, 'delete', 'voter', id, current, await get(`SELECT * FROM voters WHERE id=?`, [id]));
+    publishTotals();
+    res.json({ ok: true, changes: r.changes });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+/* ------------------------------- Voter trash ----------------------------- */
+
+// Deleted voters visible to the current user (same filters as the live list)
+app.get('/api/voters/trash', authRequired, validate({ query: { ...VOTER_FILTERS, ...PAGING } }), async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page || '1', 10));
+    const size = Math.min(50, Math.max(5, parseInt(req.query.size || '20', 10)));
+    const filter = voterFilters(req, 'v', { trash: true });
+    const total = await get(`SELECT COUNT(*) AS n FROM voters v ${filter.sql}`, filter.params);
+    const items = await all(`
+      SELECT v.id, v.full_name, v.electoral_card, v.candidate_id, v.district_id,
+             v.deleted_at, u.email AS deleted_by_email,
+             CAST(julianday(v.deleted_at, '+${TRASH_RETENTION_DAYS} days') <= julianday('now') AS INTEGER) AS purgeable
+      FROM voters v
+      LEFT JOIN users u ON u.id = v.deleted_by
+      ${filter.sql}
+      ORDER BY v.deleted_at DESC, v.id DESC
+      LIMIT ? OFFSET ?`, [...filter.params, size, (page - 1) * size]);
+    res.json({ ok: true, page, size, total: total.n, retention_days: TRASH_RETENTION_DAYS, items });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+// Restore a voter from the trash
+app.post('/api/voters/:id/restore', authRequired, validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const id = req.params.id;
+    const current = await get(`SELECT * FROM voters WHERE id=? AND deleted_at IS NOT NULL`, [id]);
+    if (!current) return sendError(req, res, 404, 'VOTER_NOT_IN_TRASH');
+    if (!canSeeVoter(req.user, current)) return sendError(req, res, 403, 'FORBIDDEN');
+    const r = await run(`UPDATE voters SET deleted_at=NULL, deleted_by=NULL, merged_into=NULL WHERE id=?`, [id]);
+    await audit(req, 'restore', 'voter', id, current, await get(`SELECT * FROM voters WHERE id=?`, [id]));
+    publishTotals();
+    res.json({ ok: true, changes: r.changes });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+// Permanently remove trashed voters older than the retention period (admin).
+// Pass ids to purge a selection; otherwise everything past retention goes.
+app.post('/api/admin/voters/trash/purge', authRequired, adminOnly, validate({ body: { ids: v.array(v.id().required()) } }), async (req, res) => {
+  try {
+    const ids = req.body.ids || null;
+    const where = [
+      `deleted_at IS NOT NULL`,
+      `julianday(deleted_at, '+${TRASH_RETENTION_DAYS} days') <= julianday('now')`
+    ];
+    if (ids) where.push(`id IN (${ids.map(() => '?').join(',') || 'NULL'})`);
+    const rows = await all(`SELECT * FROM voters WHERE ${where.join(' AND ')}`, ids || []);
+    await transaction(async () => {
+      for (const voter of rows) {
+        await run(`DELETE FROM voters WHERE id=?`, [voter.id]);
+        // Review pairs (pending or decided) would point at a voter that no longer exists
+        await run(`DELETE FROM voter_duplicates WHERE voter_a=? OR voter_b=?`, [voter.id, voter.id]);
+        await audit(req, 'purge', 'voter', voter.id, voter);
+      }
+    });
+    res.json({ ok: true, purged: rows.length, retention_days: TRASH_RETENTION_DAYS });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+/* -------------------------------- Turnout -------------------------------- */
+
+/**
+ * Mark a supporter as having voted (or undo with voted=false).
+ * Body: { electoral_card } or { voter_id }, optional voted (default true).
+ * Staff can only mark voters inside their own scope.
+ */
+const TURNOUT_MARK_BODY = v.object({
+  electoral_card: v.string().max(40),
+  voter_id: v.id(),
+  voted: v.bool().default(true)
+}).check(eitherOf('electoral_card', 'voter_id'));
+
+app.post('/api/turnout/mark', authRequired, validate({ body: TURNOUT_MARK_BODY }), async (req, res) => {
+  try {
+    const { electoral_card, voter_id, voted } = req.body;
+    const scope = voterScope(req.user);
+    let voter;
+    if (voter_id) {
+      voter = await get(`SELECT * FROM voters WHERE id=? AND deleted_at IS NULL AND ${scope.sql}`,
+        [voter_id, ...scope.params]);
+    } else {
+      const card = westernDigits(electoral_card);
+      voter = await get(`SELECT * FROM voters WHERE electoral_card IN (?, ?) AND deleted_at IS NULL AND ${scope.sql}`,
+        [card, card.toUpperCase(), ...scope.params]);
+    }
+    if (!voter) return sendError(req, res, 404, 'SUPPORTER_NOT_FOUND');
+
+    const pick = voter => ({ id: voter.id, full_name: voter.full_name, electoral_card: voter.electoral_card, polling_center: voter.polling_center, voted_at: voter.voted_at });
+    if (!!voter.voted_at === voted) return res.json({ ok: true, already: true, voter: pick(voter) });
+
+    await run(`UPDATE voters SET voted_at=${voted ? 'CURRENT_TIMESTAMP' : 'NULL'}, voted_by=? WHERE id=?`,
+      [voted ? req.user.uid : null, voter.id]);
+    const after = await get(`SELECT * FROM voters WHERE id=?`, [voter.id]);
+    await audit(req, voted ? 'vote' : 'unvote', 'voter', voter.id,
+      { voted_at: voter.voted_at, voted_by: voter.voted_by }, { voted_at: after.voted_at, voted_by: after.voted_by });
+    res.json({ ok: true, voter: pick(after) });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+// Turnout against registered supporters, per polling center or candidate
+// ?by=polling_center|candidate|assistant&candidate_id=
+const TURNOUT_SUMMARY_QUERY = {
+  ...VOTER_FILTERS,
+  by: v.oneOf(['polling_center', 'candidate', 'assistant']).default('polling_center')
+};
+
+app.get('/api/turnout/summary', authRequired, validate({ query: TURNOUT_SUMMARY_QUERY }), async (req, res) => {
+  try {
+    const by = req.query.by;
+    const filter = voterFilters(req, 'v');
+    const group = {
+      polling_center: { key: `IFNULL(v.polling_center,'')`, name: `IFNULL(v.polling_center,'')`, join: '' },
+      candidate: { key: 'v.candidate_id', name: 'c.name', join: 'LEFT JOIN candidates c ON c.id = v.candidate_id' },
+      assistant: { key: 'v.assistant_id', name: 'a.name', join: 'LEFT JOIN assistants a ON a.id = v.assistant_id' }
+    }[by];
+    const rows = await all(`
+      SELECT ${group.key} AS id, ${group.name} AS name,
+             COUNT(*) AS registered,
+             SUM(CASE WHEN v.voted_at IS NOT NULL THEN 1 ELSE 0 END) AS voted
+      FROM voters v
+      ${group.join}
+      ${filter.sql}
+      GROUP BY ${group.key}
+      ORDER BY registered DESC`, filter.params);
+    const pct = (n, d) => (d ? Math.round((1000 * n) / d) / 10 : 0);
+    rows.forEach(r => { r.pct = pct(r.voted, r.registered); });
+    const registered = rows.reduce((n, r) => n + r.registered, 0);
+    const voted = rows.reduce((n, r) => n + r.voted, 0);
+    res.json({ ok: true, by, total: { registered, voted, pct: pct(voted, registered) }, rows });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+/**
+ * Supporters who have not voted yet, with the assistant responsible for them.
+ * Same filters as the voter list (assistant_id, polling_center, candidate_id,
+ * search); format=csv downloads the whole list.
+ */
+const CALL_LIST_QUERY = { ...VOTER_FILTERS, ...PAGING, format: v.oneOf(['json', 'csv']) };
+
+app.get('/api/turnout/call-list', authRequired, validate({ query: CALL_LIST_QUERY }), async (req, res) => {
+  try {
+    const filter = voterFilters(req, 'v');
+    filter.sql += ' AND v.voted_at IS NULL';
+    const orderBy = `IFNULL(v.polling_center,''), v.full_name, v.id`;
+
+    if (req.query.format === 'csv') {
+      const cols = CALL_LIST_COLUMNS;
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="call-list-${new Date().toISOString().slice(0, 10)}.csv"`);
+      const lang = downloadLanguage(req);
+      await writeChunk(res, '\uFEFF' + csvLine(cols.map(k => reportText(lang, k))));
+      for await (const r of exportRows(filter, cols, orderBy)) {
+        await writeChunk(res, csvLine(cols.map(k => r[k])));
+      }
+      return res.end();
+    }
+
+    const page = Math.max(1, parseInt(req.query.page || '1', 10));
+    const size = Math.min(200, Math.max(10, parseInt(req.query.size || '50', 10)));
+    const total = await get(`SELECT COUNT(*) AS n FROM voters v ${filter.sql}`, filter.params);
+    const items = await all(`
+      SELECT v.id, v.full_name, v.electoral_card, v.polling_center,
+             v.assistant_id, a.name AS assistant_name, a.phone AS assistant_phone
+      FROM voters v
+      LEFT JOIN assistants a ON a.id = v.assistant_id
+      ${filter.sql}
+      ORDER BY ${orderBy}
+      LIMIT ? OFFSET ?`, [...filter.params, size, (page - 1) * size]);
+    res.json({ ok: true, page, size, total: total.n, items });
+  } catch (e) {
+    if (res.headersSent) {
+      console.error(e);
+      return res.destroy(e);
+    }
+    sendFailure(req, res, e);
+  }
+});
+
+/* ---------------------------- Duplicate review --------------------------- */
+
+// Pairs scoring at or above this are queued for review
+const DUP_THRESHOLD = Math.min(1, Math.max(0.5, parseFloat(process.env.DUP_THRESHOLD || '0.85') || 0.85));
+// Buckets bigger than this (very common first names) are skipped by full scans
+const DUP_BLOCK_MAX = 400;
+const DUP_COLUMNS = `id, candidate_id, name_norm, dob, electoral_card, created_at`;
+
+async function queuePairs(pairs) {
+  let added = 0;
+  for (const p of pairs) {
+    const [a, b] = p.a < p.b ? [p.a, p.b] : [p.b, p.a];
+    const r = await run(
+      `INSERT OR IGNORE INTO voter_duplicates(voter_a, voter_b, score, reasons) VALUES (?,?,?,?)`,
+      [a, b, p.score, JSON.stringify(p.reasons)]
+    );
+    added += r.changes;
+  }
+  return added;
+}
+
+// Compare one voter against the live voters sharing a name part, dob or card
+async function queueDuplicatesFor(voter) {
+  if (!voter || voter.deleted_at) return [];
+  const tokens = (voter.name_norm || '').split(' ').filter(Boolean);
+  const where = [];
+  const params = [];
+  if (tokens[0]) { where.push(`name_norm = ? OR name_norm LIKE ?`); params.push(tokens[0], `${tokens[0]} %`); }
+  if (voter.dob) { where.push(`dob = ?`); params.push(voter.dob); }
+  if (voter.electoral_card) { where.push(`electoral_card = ?`); params.push(voter.electoral_card); }
+  if (!where.length) return [];
+
+  const pool = await all(`
+    SELECT ${DUP_COLUMNS} FROM voters
+    WHERE deleted_at IS NULL AND id <> ? AND (${where.join(' OR ')})
+    LIMIT ${DUP_BLOCK_MAX * 5}`, [voter.id, ...params]);
+  const pairs = [];
+  for (const other of pool) {
+    const { score, reasons } = scorePair(voter, other);
+    if (score >= DUP_THRESHOLD) pairs.push({ a: voter.id, b: other.id, score, reasons });
+  }
+  if (pairs.length) await queuePairs(pairs);
+  return pairs;
+}
+
+/**
+ * Scan all live voters for look-alikes. With importBatchId only pairs that
+ * involve a voter from that import are considered.
+ */
+async function scanDuplicates({ importBatchId = null } = {}) {
+  const voters = await all(`SELECT ${DUP_COLUMNS}, import_batch_id FROM voters WHERE deleted_at IS NULL`);
+  const blocks = new Map();
+  for (const voter of voters) {
+    for (const key of blockingKeys(voter)) {
+      if (!blocks.has(key)) blocks.set(key, []);
+      blocks.get(key).push(voter);
+    }
+  }
+
+  const seen = new Set();
+  const pairs = [];
+  let compared = 0;
+  for (const block of blocks.values()) {
+    if (block.length < 2 || block.length > DUP_BLOCK_MAX) continue;
+    for (let i = 0; i < block.length; i++) {
+      for (let j = i + 1; j < block.length; j++) {
+        const a = block[i];
+        const b = block[j];
+        if (importBatchId && a.import_batch_id !== importBatchId && b.import_batch_id !== importBatchId) continue;
+        const key = a.id < b.id ? `${a.id}:${b.id}` : `${b.id}:${a.id}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        compared++;
+        const { score, reasons } = scorePair(a, b);
+        if (score >= DUP_THRESHOLD) pairs.push({ a: a.id, b: b.id, score, reasons });
+      }
+    }
+  }
+  const added = await transaction(() => queuePairs(pairs));
+  return { compared, found: pairs.length, added };
+}
+
+// Review queue (admin). Pending pairs whose voters were deleted meanwhile are hidden.
+const DUPLICATES_QUERY = {
+  ...PAGING,
+  status: v.oneOf(['pending', 'merged', 'dismissed']).default('pending'),
+  min_score: v.number().min(0).max(1)
+};
+
+app.get('/api/admin/duplicates', authRequired, adminOnly, validate({ query: DUPLICATES_QUERY }), async (req, res) => {
+  try {
+    const status = req.query.status;
+    const page = Math.max(1, parseInt(req.query.page || '1', 10));
+    const size = Math.min(100, Math.max(10, parseInt(req.query.size || '20', 10)));
+    const minScore = req.query.min_score || 0;
+    const live = status === 'pending' ? 'AND va.deleted_at IS NULL AND vb.deleted_at IS NULL' : '';
+    const from = `
+      FROM voter_duplicates d
+      JOIN voters va ON va.id = d.voter_a
+      JOIN voters vb ON vb.id = d.voter_b
+      WHERE d.status = ? AND d.score >= ? ${live}`;
+
+    const total = await get(`SELECT COUNT(*) AS n ${from}`, [status, minScore]);
+    const rows = await all(`SELECT d.* ${from} ORDER BY d.score DESC, d.id ASC LIMIT ? OFFSET ?`,
+      [status, minScore, size, (page - 1) * size]);
+
+    const ids = [...new Set(rows.flatMap(r => [r.voter_a, r.voter_b]))];
+    const voters = ids.length ? await all(`
+      SELECT v.id, v.full_name, v.dob, v.electoral_card, v.polling_center, v.created_at, v.deleted_at,
+             v.candidate_id, c.name AS candidate_name, v.assistant_id, a.name AS assistant_name
+      FROM voters v
+      LEFT JOIN candidates c ON c.id = v.candidate_id
+      LEFT JOIN assistants a ON a.id = v.assistant_id
+      WHERE v.id IN (${ids.map(() => '?').join(',')})`, ids) : [];
+    const byId = new Map(voters.map(voter => [voter.id, voter]));
+
+    const items = rows.map(r => ({
+      id: r.id,
+      score: r.score,
+      reasons: r.reasons ? JSON.parse(r.reasons) : [],
+      status: r.status,
+      kept_id: r.kept_id,
+      first_candidate_id: r.first_candidate_id,
+      reviewed_at: r.reviewed_at,
+      a: byId.get(r.voter_a),
+      b: byId.get(r.voter_b)
+    }));
+    res.json({ ok: true, page, size, total: total.n, threshold: DUP_THRESHOLD, items });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+// Run a full scan and queue any new pairs
+app.post('/api/admin/duplicates/scan', authRequired, adminOnly, async (req, res) => {
+  try {
+    const result = await scanDuplicates();
+    res.json({ ok: true, threshold: DUP_THRESHOLD, ...result });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+/**
+ * Merge a pair: keep one voter, move the other to the trash (merged_into).
+ * By default the voter registered first is kept. Empty fields on the kept
+ * voter are filled from the other one; the candidate that claimed the
+ * supporter first is recorded on the pair and in the audit log.
+ */
+app.post('/api/admin/duplicates/:id/merge', authRequired, adminOnly, validate({ params: ID_PARAMS, body: { keep_id: v.id() } }), async (req, res) => {
+  try {
+    const pair = await get(`SELECT * FROM voter_duplicates WHERE id=?`, [req.params.id]);
+    if (!pair) return sendError(req, res, 404, 'PAIR_NOT_FOUND');
+    if (pair.status !== 'pending') return sendError(req, res, 400, 'PAIR_SETTLED', { status: pair.status });
+
+    const a = await get(`SELECT * FROM voters WHERE id=?`, [pair.voter_a]);
+    const b = await get(`SELECT * FROM voters WHERE id=?`, [pair.voter_b]);
+    if (!a || !b || a.deleted_at || b.deleted_at) {
+      return sendError(req, res, 409, 'PAIR_VOTER_DELETED');
+    }
+
+    const [first] = [a, b].sort((x, y) => String(x.created_at).localeCompare(String(y.created_at)) || x.id - y.id);
+    const keepId = req.body.keep_id ?? first.id;
+    if (![a.id, b.id].includes(keepId)) {
+      return sendInvalid(req, res, [{ field: 'keep_id', code: 'invalid_choice', params: { choices: [a.id, b.id] } }]);
+    }
+    const keep = keepId === a.id ? a : b;
+    const drop = keepId === a.id ? b : a;
+
+    const fill = {};
+    for (const col of ['dob', 'district_id', 'polling_center', 'electoral_card']) {
+      if ((keep[col] == null || keep[col] === '') && drop[col] != null && drop[col] !== '') fill[col] = drop[col];
+    }
+    if (fill.polling_center) fill.polling_center_id = drop.polling_center_id;
+    const firstCandidate = await get(`SELECT id, name FROM candidates WHERE id=?`, [first.candidate_id]);
+
+    const kept = await transaction(async () => {
+      // The card moves with the merge, so release it first (cards are unique)
+      if (fill.electoral_card) await run(`UPDATE voters SET electoral_card=NULL WHERE id=?`, [drop.id]);
+      const cols = Object.keys(fill);
+      if (cols.length) {
+        await run(`UPDATE voters SET ${cols.map(c => `${c}=?`).join(', ')} WHERE id=?`,
+          [...cols.map(c => fill[c]), keep.id]);
+      }
+      await run(`UPDATE voters SET deleted_at=CURRENT_TIMESTAMP, deleted_by=?, merged_into=? WHERE id=?`,
+        [req.user.uid, keep.id, drop.id]);
+      await run(`
+        UPDATE voter_duplicates
+        SET status='merged', kept_id=?, first_candidate_id=?, reviewed_by=?, reviewed_at=CURRENT_TIMESTAMP
+        WHERE id=?`, [keep.id, first.candidate_id, req.user.uid, pair.id]);
+
+      const after = await get(`SELECT * FROM voters WHERE id=?`, [keep.id]);
+      const firstClaim = {
+        voter_id: first.id,
+        candidate_id: first.candidate_id,
+        candidate_name: firstCandidate?.name || null,
+        registered_at: first.created_at
+      };
+      await audit(req, 'merge', 'voter', keep.id, keep, { ...after, merged_id: drop.id, pair_id: pair.id, first_claim: firstClaim });
+      await audit(req, 'delete', 'voter', drop.id, drop, await get(`SELECT * FROM voters WHERE id=?`, [drop.id]));
+      return { voter: after, first_claim: firstClaim };
+    });
+
+    publishTotals();
+    res.json({ ok: true, kept_id: keep.id, merged_id: drop.id, ...kept });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+// Mark a pair as two different people; scans will not queue it again
+app.post('/api/admin/duplicates/:id/dismiss', authRequired, adminOnly, validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const r = await run(`
+      UPDATE voter_duplicates SET status='dismissed', reviewed_by=?, reviewed_at=CURRENT_TIMESTAMP
+      WHERE id=? AND status='pending'`, [req.user.uid, req.params.id]);
+    if (!r.changes) return sendError(req, res, 404, 'PENDING_PAIR_NOT_FOUND');
+    await audit(req, 'dismiss', 'duplicate', req.params.id);
+    res.json({ ok: true });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+/* ------------------------------ Voter export ----------------------------- */
+
+// Exportable columns: key → SQL expression, PDF width weight; the header is
+// reportText(lang, key) (lib/messages.js)
+const EXPORT_COLUMNS = {
+  id: { sql: 'v.id', weight: 0.7 },
+  full_name: { sql: 'v.full_name', weight: 3 },
+  dob: { sql: 'v.dob', weight: 1.3 },
+  electoral_card: { sql: 'v.electoral_card', weight: 1.6 },
+  polling_center: { sql: 'v.polling_center', weight: 2 },
+  district: { sql: 'd.name', weight: 1.3 },
+  candidate: { sql: 'c.name', weight: 1.8 },
+  assistant: { sql: 'a.name', weight: 1.5 },
+  created_at: { sql: 'v.created_at', weight: 1.5 },
+  verified_at: { sql: 'v.verified_at', weight: 1.5 },
+  voted_at: { sql: 'v.voted_at', weight: 1.5 },
+  assistant_phone: { sql: 'a.phone', weight: 1.2 }
+};
+const EXPORT_DEFAULT_COLUMNS = ['id', 'full_name', 'dob', 'electoral_card', 'polling_center', 'district', 'candidate', 'assistant', 'created_at'];
+const ROSTER_DEFAULT_COLUMNS = ['full_name', 'electoral_card', 'dob', 'assistant'];
+const CALL_LIST_COLUMNS = ['id', 'full_name', 'electoral_card', 'polling_center', 'assistant', 'assistant_phone'];
+const EXPORT_CHUNK = 1000;
+
+// Page through the filtered voters without loading the whole roll at once
+async function* exportRows(filter, cols, orderBy) {
+  const select = cols.map(k => `${EXPORT_COLUMNS[k].sql} AS ${k}`).join(', ');
+  for (let offset = 0; ; offset += EXPORT_CHUNK) {
+    const rows = await all(`
+      SELECT ${select}, v.polling_center AS _center
+      FROM voters v
+      LEFT JOIN districts d ON d.id = v.district_id
+      LEFT JOIN candidates c ON c.id = v.candidate_id
+      LEFT JOIN assistants a ON a.id = v.assistant_id
+      ${filter.sql}
+      ORDER BY ${orderBy}
+      LIMIT ? OFFSET ?`, [...filter.params, EXPORT_CHUNK, offset]);
+    for (const r of rows) yield r;
+    if (rows.length < EXPORT_CHUNK) return;
+  }
+}
+
+// Respect backpressure while streaming text to the response
+function writeChunk(res, chunk) {
+  return res.write(chunk) ? Promise.resolve() : new Promise(r => res.once('drain', r));
+}
+
+const EXPORT_QUERY = {
+  ...VOTER_FILTERS,
+  format: v.oneOf(['csv', 'xlsx', 'pdf']).default('csv'),
+  columns: v.string().max(500).test(s => columnList(s).every(k => EXPORT_COLUMNS[k]), 'invalid_choice',
+    { choices: Object.keys(EXPORT_COLUMNS) })
+};
+
+// Export voters as CSV, XLSX or a PDF roster grouped by polling center.
+// Accepts the same filters as the voter search plus ?columns=a,b,c.
+app.get('/api/voters/export', authRequired, validate({ query: EXPORT_QUERY }), async (req, res) => {
+  const format = req.query.format;
+  const requested = columnList(req.query.columns || '');
+  const cols = requested.length ? requested
+    : (format === 'pdf' ? ROSTER_DEFAULT_COLUMNS : EXPORT_DEFAULT_COLUMNS);
+
+  const filter = voterFilters(req, 'v');
+  const lang = downloadLanguage(req);
+  const columns = labelColumns(lang, cols.map(key => ({ key, ...EXPORT_COLUMNS[key] })));
+  const stamp = new Date().toISOString().slice(0, 10);
+  const filename = `voters-${stamp}.${format}`;
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  try {
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      await writeChunk(res, '\uFEFF' + csvLine(columns.map(c => c.label)));
+      for await (const r of exportRows(filter, cols, 'v.id')) {
+        await writeChunk(res, csvLine(cols.map(k => r[k])));
+      }
+      return res.end();
+    }
+
+    if (format === 'xlsx') {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      const wb = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+      const ws = wb.addWorksheet('Voters', { views: [{ rightToLeft: lang === 'ar', state: 'frozen', ySplit: 1 }] });
+      ws.columns = columns.map(c => ({ header: c.label, key: c.key, width: 8 + c.weight * 8 }));
+      ws.getRow(1).font = { bold: true };
+      for await (const r of exportRows(filter, cols, 'v.id')) {
+        ws.addRow(cols.map(k => r[k])).commit();
+      }
+      ws.commit();
+      return await wb.commit();
+    }
+
+    // PDF roster: one section per polling center, numbered rows
+    res.setHeader('Content-Type', 'application/pdf');
+    const roster = createRoster(res, {
+      title: reportText(lang, 'roster_title'),
+      columns: [{ label: '#', weight: 0.5 }, ...columns]
+    });
+    let center;
+    let n = 0;
+    for await (const r of exportRows(filter, cols, `IFNULL(v.polling_center,'') , v.full_name, v.id`)) {
+      const c = r._center || reportText(lang, 'no_center');
+      if (c !== center) { center = c; n = 0; roster.group(reportText(lang, 'center_group', { name: c })); }
+      roster.row([++n, ...cols.map(k => r[k])]);
+    }
+    roster.end();
+  } catch (e) {
+    if (!res.headersSent) {
+      res.removeHeader('Content-Disposition');
+      return sendFailure(req, res, e);
+    }
+    console.error(e);
+    res.destroy(e);
+  }
+});
+
+/* ------------------------------ Voter import ----------------------------- */
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024, files: 1 }
+});
+
+// Multer errors (size limit, extra files) as JSON instead of an HTML 500
+function uploadFile(req, res, next) {
+  upload.single('file')(req, res, (err) => {
+    if (err) return sendError(req, res, 400, err.code === 'LIMIT_FILE_SIZE' ? 'FILE_TOO_LARGE' : 'UPLOAD_REJECTED');
+    next();
+  });
+}
+
+const IMPORT_MAX_ROWS = 20000;
+const IMPORT_FIELDS = ['full_name', 'dob', 'electoral_card', 'polling_center', 'district', 'candidate', 'assistant'];
+
+// Header names recognised when no explicit mapping is given (the export
+// headers of both languages included)
+const IMPORT_HEADER_ALIASES = {
+  full_name: ['full_name', 'name', 'full name', 'الاسم', 'الاسم الكامل'],
+  dob: ['dob', 'date_of_birth', 'birth_date', 'date of birth', 'تاريخ الميلاد'],
+  electoral_card: ['electoral_card', 'card', 'electoral card', 'البطاقة', 'البطاقة الانتخابية', 'رقم البطاقة'],
+  polling_center: ['polling_center', 'center', 'polling center', 'المركز الانتخابي', 'مركز الاقتراع'],
+  district: ['district', 'district_id', 'الدائرة'],
+  candidate: ['candidate', 'candidate_id', 'المرشح'],
+  assistant: ['assistant', 'assistant_id', 'المعاون', 'المُعاون']
+};
+
+// Accepts YYYY-MM-DD, YYYY/MM/DD, DD/MM/YYYY, DD-MM-YYYY, Excel dates/serials.
+// Serials only come from numeric cells: text such as "1985" is a bare year,
+// not a day count. Returns '' for empty input and null when the value is not
+// a valid past date.
+function normalizeDob(value) {
+  if (value == null || value === '') return '';
+  let y, m, d;
+  if (value instanceof Date) {
+    y = value.getUTCFullYear(); m = value.getUTCMonth() + 1; d = value.getUTCDate();
+  } else if (typeof value === 'number') {
+    // Excel serial day number (1900 date system)
+    const dt = new Date(Date.UTC(1899, 11, 30) + Number(value) * 86400000);
+    y = dt.getUTCFullYear(); m = dt.getUTCMonth() + 1; d = dt.getUTCDate();
+  } else {
+    const s = String(value).trim();
+    let mt;
+    if ((mt = s.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/))) [, y, m, d] = mt.map(Number);
+    else if ((mt = s.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/))) [, d, m, y] = mt.map(Number);
+    else return null;
+  }
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  if (dt.getUTCFullYear() !== y || dt.getUTCMonth() !== m - 1 || dt.getUTCDate() !== d) return null;
+  if (y < 1900 || dt > new Date()) return null;
+  return dt.toISOString().slice(0, 10);
+}
+
+// Map each import field to a column index, from an explicit mapping
+// ({ field: header name or 0-based index }) or from recognised headers.
+// Failures come back as { error: { code, ...params } } (see sendError).
+function resolveColumns(header, mapping) {
+  const norm = h => String(h ?? '').trim().toLowerCase();
+  const headers = header.map(norm);
+  const cols = {};
+  for (const f of IMPORT_FIELDS) {
+    const ref = mapping?.[f];
+    if (ref === undefined || ref === null || ref === '') {
+      const idx = headers.findIndex(h => IMPORT_HEADER_ALIASES[f].includes(h));
+      if (idx !== -1) cols[f] = idx;
+    } else if (/^\d+$/.test(String(ref))) {
+      cols[f] = +ref;
+    } else {
+      const idx = headers.indexOf(norm(ref));
+      if (idx === -1) return { error: { code: 'COLUMN_NOT_FOUND', column: ref, field: f } };
+      cols[f] = idx;
+    }
+  }
+  if (cols.full_name === undefined) return { error: { code: 'NAME_COLUMN_MISSING' } };
+  return { cols };
+}
+
+// Lookup helper resolving a cell to a row id by numeric id or exact name
+function makeLookup(rows) {
+  const byId = new Map(rows.map(r => [String(r.id), r]));
+  const byName = new Map(rows.map(r => [String(r.name).trim(), r]));
+  return value => {
+    const s = String(value ?? '').trim();
+    return s ? (byId.get(s) || byName.get(s) || null) : undefined;
+  };
+}
+
+// Validate all rows of a sheet without writing voters
+async function dryRunImport(user, rows, cols, defaults) {
+  const findCandidate = makeLookup(await all(`SELECT id, name FROM candidates`));
+  const findDistrict = makeLookup(await all(`SELECT id, name FROM districts`));
+  const assistants = await all(`SELECT id, name, candidate_id FROM assistants`);
+  const findAssistant = makeLookup(assistants);
+  const cards = new Set(
+    (await all(`SELECT electoral_card FROM voters WHERE IFNULL(electoral_card,'') <> ''`))
+      .map(r => r.electoral_card)
+  );
+  const seenInFile = new Set();
+  const cell = (row, f) => (cols[f] === undefined ? '' : row[cols[f]]);
+  const text = value => (value instanceof Date ? value.toISOString().slice(0, 10) : String(value ?? '').trim());
+
+  return rows.map((row, i) => {
+    const errors = [];
+    const data = {
+      full_name: text(cell(row, 'full_name')),
+      electoral_card: text(cell(row, 'electoral_card')) || null,
+      polling_center: text(cell(row, 'polling_center')) || null
+    };
+    if (!data.full_name) errors.push('missing_name');
+
+    // Candidate / assistant, constrained to the uploader's own scope
+    const cand = findCandidate(cell(row, 'candidate'));
+    const fallback = user.role === 'admin' ? defaults.candidate_id : user.cid;
+    data.candidate_id = cand === undefined ? (fallback || null) : (cand && cand.id);
+    if (user.role !== 'admin' && data.candidate_id && +data.candidate_id !== +user.cid) data.candidate_id = null;
+    if (!data.candidate_id) errors.push('unknown_candidate');
+
+    if (user.role === 'assistant') {
+      data.assistant_id = user.aid;
+    } else {
+      const a = findAssistant(cell(row, 'assistant'));
+      data.assistant_id = a === undefined ? (defaults.assistant_id || null) : (a && a.id);
+      if (a === null || (data.assistant_id && !assistants.some(x => x.id === +data.assistant_id
+          && +x.candidate_id === +data.candidate_id))) {
+        errors.push('unknown_assistant');
+      }
+    }
+
+    const dist = findDistrict(cell(row, 'district'));
+    data.district_id = dist === undefined ? (defaults.district_id || null) : (dist && dist.id);
+    if (dist === null) errors.push('unknown_district');
+
+    const dob = normalizeDob(cell(row, 'dob'));
+    if (dob === null) errors.push('bad_dob');
+    data.dob = dob || null;
+
+    if (data.electoral_card) {
+      if (cards.has(data.electoral_card) || seenInFile.has(data.electoral_card)) errors.push('duplicate');
+      seenInFile.add(data.electoral_card);
+    }
+
+    return { row_no: i + 2, status: errors[0] || 'valid', errors, data };
+  });
+}
+
+function canSeeBatch(user, batch) {
+  if (user.role === 'admin') return true;
+  if (user.role === 'candidate') return +batch.candidate_id === +user.cid;
+  return +batch.user_id === +user.uid;
+}
+
+async function loadBatch(req, res) {
+  const batch = await get(`SELECT * FROM import_batches WHERE id=?`, [req.params.id]);
+  if (!batch) { sendError(req, res, 404, 'IMPORT_NOT_FOUND'); return null; }
+  if (!canSeeBatch(req.user, batch)) { sendError(req, res, 403, 'FORBIDDEN'); return null; }
+  return batch;
+}
+
+function summarize(results) {
+  const summary = {};
+  results.forEach(r => { summary[r.status] = (summary[r.status] || 0) + 1; });
+  return summary;
+}
+
+// Multipart fields next to the file; mapping is a JSON object
+const IMPORT_BODY = {
+  mapping: v.string().max(10000),
+  candidate_id: v.id().ref('candidates'),
+  assistant_id: v.id().ref('assistants'),
+  district_id: v.id().ref('districts')
+};
+
+// Dry-run: upload CSV/XLSX (+ mapping JSON, default ids); stages a pending batch
+app.post('/api/imports', authRequired, uploadFile, validate({ body: IMPORT_BODY }), async (req, res) => {
+  try {
+    if (!req.file) return sendInvalid(req, res, [{ field: 'file', code: 'required' }]);
+    let mapping = {};
+    try {
+      mapping = req.body.mapping ? JSON.parse(req.body.mapping) : {};
+    } catch {
+      return sendInvalid(req, res, [{ field: 'mapping', code: 'invalid_json' }]);
+    }
+
+    let rows;
+    try {
+      rows = await readRows(req.file.buffer, req.file.originalname);
+    } catch {
+      return sendError(req, res, 400, 'UNREADABLE_SPREADSHEET');
+    }
+    if (rows.length < 2) return sendError(req, res, 400, 'NO_DATA_ROWS');
+    if (rows.length - 1 > IMPORT_MAX_ROWS) {
+      return sendError(req, res, 400, 'TOO_MANY_ROWS', { max: IMPORT_MAX_ROWS });
+    }
+    const { cols, error } = resolveColumns(rows[0], mapping);
+    if (error) {
+      const { code, ...params } = error;
+      return sendError(req, res, 400, code, params);
+    }
+
+    const defaults = {
+      candidate_id: req.body.candidate_id || null,
+      assistant_id: req.body.assistant_id || null,
+      district_id: req.body.district_id || null
+    };
+    const results = await dryRunImport(req.user, rows.slice(1), cols, defaults);
+    const valid = results.filter(r => r.status === 'valid').length;
+
+    const batchId = await transaction(async () => {
+      const b = await run(`
+        INSERT INTO import_batches(user_id, candidate_id, filename, total_rows, valid_rows)
+        VALUES (?,?,?,?,?)`,
+        [req.user.uid, req.user.role === 'admin' ? defaults.candidate_id : req.user.cid,
+          req.file.originalname, results.length, valid]
+      );
+      for (const r of results) {
+        await run(`INSERT INTO import_rows(batch_id, row_no, status, errors, data) VALUES (?,?,?,?,?)`,
+          [b.lastID, r.row_no, r.status, JSON.stringify(r.errors), JSON.stringify(r.data)]);
+      }
+      await audit(req, 'dry_run', 'import', b.lastID, null,
+        { filename: req.file.originalname, total: results.length, valid });
+      return b.lastID;
+    });
+
+    res.json({ ok: true, id: batchId, total: results.length, valid, summary: summarize(results), rows: results });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+// List import batches visible to the user
+app.get('/api/imports', authRequired, async (req, res) => {
+  try {
+    const where = [];
+    const params = [];
+    if (req.user.role === 'candidate') { where.push('b.candidate_id=?'); params.push(req.user.cid); }
+    if (req.user.role === 'assistant') { where.push('b.user_id=?'); params.push(req.user.uid); }
+    const rows = await all(`
+      SELECT b.*, u.email AS user_email
+      FROM import_batches b
+      LEFT JOIN users u ON u.id = b.user_id
+      ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+      ORDER BY b.id DESC
+      LIMIT 100
+    `, params);
+    res.json({ ok: true, imports: rows });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+// Batch detail with its per-row report (?status= filters rows)
+app.get('/api/imports/:id', authRequired, validate({ params: ID_PARAMS, query: { status: v.string().max(40) } }), async (req, res) => {
+  try {
+    const batch = await loadBatch(req, res);
+    if (!batch) return;
+    const status = req.query.status;
+    const rows = await all(`
+      SELECT row_no, status, errors, data, voter_id FROM import_rows
+      WHERE batch_id=? ${status ? 'AND status=?' : ''}
+      ORDER BY row_no`, status ? [batch.id, status] : [batch.id]);
+    rows.forEach(r => { r.errors = JSON.parse(r.errors || '[]'); r.data = JSON.parse(r.data); });
+    res.json({ ok: true, batch, rows });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+// Commit: insert every valid row in one transaction, tagged with the batch id.
+// Cards are re-checked because voters may have been added since the dry-run.
+app.post('/api/imports/:id/commit', authRequired, validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const batch = await loadBatch(req, res);
+    if (!batch) return;
+    if (batch.status !== 'pending') return sendError(req, res, 400, 'IMPORT_SETTLED', { status: batch.status });
+
+    const result = await transaction(async () => {
+      const rows = await all(
+        `SELECT id, data FROM import_rows WHERE batch_id=? AND status='valid' ORDER BY row_no`, [batch.id]
+      );
+      let inserted = 0;
+      let duplicates = 0;
+      const centers = new Map();
+      for (const r of rows) {
+        const voter = JSON.parse(r.data);
+        if (voter.electoral_card && await get(`SELECT id FROM voters WHERE electoral_card=?`, [voter.electoral_card])) {
+          await run(`UPDATE import_rows SET status='duplicate', errors=? WHERE id=?`,
+            [JSON.stringify(['duplicate']), r.id]);
+          duplicates++;
+          continue;
+        }
+        const centerKey = `${voter.district_id || ''}|${voter.polling_center || ''}`;
+        if (!centers.has(centerKey)) centers.set(centerKey, await resolveCenter(null, voter.polling_center, voter.district_id));
+        const center = centers.get(centerKey);
+        const ins = await run(`
+          INSERT INTO voters(candidate_id, assistant_id, full_name, dob, district_id, polling_center,
+                             polling_center_id, electoral_card, import_batch_id, name_norm, created_by)
+          VALUES (?,?,?,?,?,?,?,?,?,?,?)`,
+          [voter.candidate_id, voter.assistant_id || null, voter.full_name, voter.dob || null, center.district_id,
+            center.polling_center, center.polling_center_id, voter.electoral_card || null, batch.id,
+            normalizeName(voter.full_name), req.user.uid]
+        );
+        await run(`UPDATE import_rows SET voter_id=? WHERE id=?`, [ins.lastID, r.id]);
+        inserted++;
+      }
+      await run(`
+        UPDATE import_batches SET status='committed', inserted_rows=?, committed_at=CURRENT_TIMESTAMP
+        WHERE id=?`, [inserted, batch.id]);
+      await audit(req, 'commit', 'import', batch.id, null, { inserted, duplicates });
+      return { inserted, duplicates };
+    });
+
+    // Queue look-alikes of the new rows for review without holding up the response
+    scanDuplicates({ importBatchId: batch.id }).catch(e => console.error('Duplicate scan failed:', e));
+    publishTotals();
+    res.json({ ok: true, id: batch.id, ...result });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+// Roll back a committed batch as a unit
+app.post('/api/imports/:id/rollback', authRequired, validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const batch = await loadBatch(req, res);
+    if (!batch) return;
+    if (batch.status !== 'committed') return sendError(req, res, 400, 'IMPORT_NOT_COMMITTED');
+
+    // Rolled back voters go to the trash like any other deletion
+    const removed = await transaction(async () => {
+      const r = await run(
+        `UPDATE voters SET deleted_at=CURRENT_TIMESTAMP, deleted_by=? WHERE import_batch_id=? AND deleted_at IS NULL`,
+        [req.user.uid, batch.id]
+      );
+      await run(`UPDATE import_batches SET status='rolled_back', rolled_back_at=CURRENT_TIMESTAMP WHERE id=?`,
+        [batch.id]);
+      await audit(req, 'rollback', 'import', batch.id, null, { removed: r.changes });
+      return r.changes;
+    });
+    publishTotals();
+    res.json({ ok: true, id: batch.id, removed });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+// Discard a dry-run that will not be committed
+app.delete('/api/imports/:id', authRequired, validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const batch = await loadBatch(req, res);
+    if (!batch) return;
+    if (batch.status !== 'pending') return sendError(req, res, 400, 'IMPORT_NOT_PENDING');
+    await transaction(async () => {
+      await run(`DELETE FROM import_rows WHERE batch_id=?`, [batch.id]);
+      await run(`DELETE FROM import_batches WHERE id=?`, [batch.id]);
+      await audit(req, 'discard', 'import', batch.id, batch);
+    });
+    res.json({ ok: true });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+/* -------------------------------- Backups -------------------------------- */
+
+// Snapshot + rotation; snapshots wait for running transactions and writes to finish
+async function takeBackup(reason) {
+  const info = await exclusive(() => backup.snapshot(db, BACKUP_DIR, reason));
+  const rotated = backup.rotate(BACKUP_DIR, BACKUP_KEEP);
+  return { ...info, rotated };
+}
+
+function backupFile(req, res) {
+  const name = req.params.name;
+  if (!backup.isBackupName(name)) {
+    sendError(req, res, 400, 'INVALID_BACKUP_NAME');
+    return null;
+  }
+  const file = path.join(BACKUP_DIR, name);
+  if (!fs.existsSync(file)) {
+    sendError(req, res, 404, 'BACKUP_NOT_FOUND');
+    return null;
+  }
+  return file;
+}
+
+app.get('/api/admin/backups', authRequired, adminOnly, async (req, res) => {
+  try {
+    res.json({
+      ok: true,
+      dir: BACKUP_DIR,
+      interval_hours: BACKUP_INTERVAL_HOURS,
+      keep: BACKUP_KEEP,
+      maintenance,
+      backups: backup.list(BACKUP_DIR)
+    });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+app.post('/api/admin/backups', authRequired, adminOnly, async (req, res) => {
+  try {
+    const info = await takeBackup('manual');
+    await audit(req, 'backup', 'backup', null, null, { name: info.name, size: info.size, rotated: info.rotated });
+    res.json({ ok: true, backup: info });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+app.get('/api/admin/backups/:name/download', authRequired, adminOnly, (req, res) => {
+  const file = backupFile(req, res);
+  if (!file) return;
+  res.download(file, req.params.name);
+});
+
+app.post('/api/admin/backups/:name/verify', authRequired, adminOnly, async (req, res) => {
+  try {
+    const file = backupFile(req, res);
+    if (!file) return;
+    res.json({ ok: true, name: req.params.name, result: await backup.verify(file) });
+  } catch (e) {
+    sendFailure(req, res, e);
+  }
+});
+
+/**
+ * Restore a backup into the live database. Body: { confirm: <backup name> }.
+ * Writes are refused (503) for the duration; the current data is saved as a
+ * pre-restore backup first, and migrations are re-applied in case the backup
+ * predates the running build.
+ */
+app.post('/api/admin/backups/:name/restore', authRequired, adminOnly, validate({ body: { confirm: v.string().max(200) } }), async (req, res) => {
+  const file = backupFile(req, res);
+  if (!file) return;
+  const name = req.params.name;
+  // The backup name has to be typed back
+  if (req.body.confirm !== name) {
+    return sendInvalid(req, res, [{ field: 'confirm', code: req.body.confirm ? 'invalid_choice' : 'required', params: { choices: [name] } }]);
+  }
+  if (maintenance) return sendError(req, res, 409, 'RESTORE_RUNNING');
+
+  maintenance = { action: 'restore', backup: name, by: req.user.email, since: new Date().toISOString() };
+  try {
+    const check = await backup.verify(file);
+    if (!check.ok) {
+      return sendError(req, res, 400, 'BACKUP_INVALID', { result: check });
+    }
+    // Writes stay queued until the restored copy is migrated to the current schema
+    const safety = await exclusive(async () => {
+      const info = await backup.snapshot(db, BACKUP_DIR, 'pre-restore');
+      await backup.restore(db, file);
+      await migrate(db, { log: console.log });
+      await loadSettings();
+      return info;
+    });
+    await audit(req, 'restore', 'backup', null, null, { name, safety_backup: safety.name });
+    console.log(`Restored ${name} (previous data saved as ${safety.name})`);
+    publishTotals();
+    res.json({ ok: true, restored: name, safety_backup: safety.name, result: check });
+  } catch (e) {
+    sendFailure(req, res, e);
+  } finally {
+    maintenance = null;
+  }
+});
+
+function scheduleBackups() {
+  if (!BACKUP_INTERVAL_HOURS) return;
+  const timer = setInterval(() => {
+    takeBackup('scheduled')
+      .then(info => console.log(`Scheduled backup ${info.name}`))
+      .catch(e => console.error('Scheduled backup failed:', e));
+  }, BACKUP_INTERVAL_HOURS * 3600 * 1000);
+  timer.unref();
+}
+
 /* -------------------------------- Health -------------------------------- */
 
-app.get('/api/health', (req, res) => res.json({ ok: true }));
+app.get('/api/health', (req, res) => res.json({ ok: true, maintenance: !!maintenance }));
 
 /* ------------------------------ Error/Not found -------------------------- */
 
-app.use('/api', (req, res) => res.status(404).json({ ok: false, msg: 'Not found' }));
+app.use('/api', (req, res) => sendError(req, res, 404, 'NOT_FOUND'));
 
 /* --------------------------------- Start --------------------------------- */
 
-app.listen(PORT, () => console.log(`Server → http://localhost:${PORT}`));
+// Listen only once the schema is current
+ensureSchema()
+  .then(() => {
+    scheduleBackups();
+    app.listen(PORT, () => console.log(`Server → http://localhost:${PORT}`));
+  })
+  .catch(e => { console.error('Schema error', e); process.exit(1); });
@@ -0,0 +1,97 @@
+/**
+ * Supporter growth analytics
+ * - Turns per-day counts from SQL into zero-filled daily or weekly series
+ * - Weeks start on Monday (ISO); periods are labelled by their first day
+ * - Run-rate projections toward a target (party threshold, candidate target)
+ */
+
+const DAY_MS = 86400000;
+// Run rate is measured over this many trailing days
+const RATE_WINDOW_DAYS = 28;
+
+function toDay(d) {
+  return new Date(d).toISOString().slice(0, 10);
+}
+
+function addDays(day, n) {
+  return toDay(Date.parse(`${day}T00:00:00Z`) + n * DAY_MS);
+}
+
+// Monday of the week containing `day`
+function weekStart(day) {
+  const dow = new Date(`${day}T00:00:00Z`).getUTCDay(); // 0 = Sunday
+  return addDays(day, -((dow + 6) % 7));
+}
+
+function periodOf(day, interval) {
+  return interval === 'week' ? weekStart(day) : day;
+}
+
+/**
+ * Default window when the caller gives no dates: 30 days or 12 weeks back.
+ * Dates are YYYY-MM-DD strings; `to` is inclusive and weekly ranges start on
+ * the Monday of the first week.
+ */
+function resolveRange(interval, from, to, maxDays = 730) {
+  const today = toDay(Date.now());
+  const isDay = s => /^\d{4}-\d{2}-\d{2}$/.test(s || '') && !Number.isNaN(Date.parse(s));
+  let end = isDay(to) ? to : today;
+  let start = isDay(from) ? from : addDays(end, interval === 'week' ? -83 : -29);
+  if (start > end) [start, end] = [end, start];
+  if ((Date.parse(end) - Date.parse(start)) / DAY_MS > maxDays) start = addDays(end, -maxDays);
+  return { from: periodOf(start, interval), to: end };
+}
+
+/**
+ * Build the series.
+ * @param {{ day: string, n: number }[]} daily counts per day inside the range
+ * @param {number} before count of supporters registered before `from`
+ */
+function buildSeries(daily, { interval, from, to, before = 0 }) {
+  const counts = new Map();
+  for (const r of daily) {
+    const p = periodOf(r.day, interval);
+    counts.set(p, (counts.get(p) || 0) + r.n);
+  }
+  const points = [];
+  let cumulative = before;
+  const step = interval === 'week' ? 7 : 1;
+  for (let p = periodOf(from, interval); p <= to; p = addDays(p, step)) {
+    const count = counts.get(p) || 0;
+    cumulative += count;
+    points.push({ period: p, count, cumulative });
+  }
+  return points;
+}
+
+/**
+ * Project when `total` reaches `target` at the trailing run rate.
+ * @param {{ day: string, n: number }[]} recent per-day counts for the last RATE_WINDOW_DAYS
+ */
+function projection(recent, total, target, today = toDay(Date.now())) {
+  const added = recent.reduce((n, r) => n + r.n, 0);
+  const perDay = added / RATE_WINDOW_DAYS;
+  const out = {
+    window_days: RATE_WINDOW_DAYS,
+    rate_per_day: Math.round(perDay * 100) / 100,
+    rate_per_week: Math.round(perDay * 7 * 10) / 10,
+    target: target || null,
+    remaining: null,
+    pct: null,
+    days_to_target: null,
+    eta: null
+  };
+  if (!target) return out;
+  out.remaining = Math.max(0, target - total);
+  out.pct = Math.round((1000 * total) / target) / 10;
+  if (out.remaining === 0) {
+    out.days_to_target = 0;
+    out.eta = today;
+  } else if (perDay > 0) {
+    out.days_to_target = Math.ceil(out.remaining / perDay);
+    out.eta = addDays(today, out.days_to_target);
+  }
+  return out;
+}
+
+module.exports = { RATE_WINDOW_DAYS, resolveRange, buildSeries, projection, addDays, toDay };
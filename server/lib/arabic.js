@@ -0,0 +1,121 @@
+/**
+ * Arabic text helpers for matching voter names
+ * - Folds spelling variants (hamza/alef forms, taa marbuta, alef maqsura)
+ * - Strips diacritics and tatweel, unifies digits and whitespace
+ * - Scores how alike two voter records are for the duplicate review queue
+ */
+
+const DIACRITICS = /[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06ED]/g;
+const TATWEEL = /\u0640/g;
+const FOLD = [
+  [/[\u0622\u0623\u0625\u0671]/g, '\u0627'], // alef with madda/hamza/wasla -> bare alef
+  [/\u0649/g, '\u064A'], // alef maqsura -> yeh
+  [/\u0629/g, '\u0647'], // taa marbuta -> heh
+  [/\u0624/g, '\u0648'], // waw with hamza -> waw
+  [/\u0626/g, '\u064A'], // yeh with hamza -> yeh
+  [/\u0621/g, ''], // lone hamza
+  [/\u06CC/g, '\u064A'], // Persian yeh
+  [/\u06A9/g, '\u0643'] // Persian kaf
+];
+
+// Arabic-Indic and Persian digits -> 0-9
+function westernDigits(s) {
+  return String(s ?? '').replace(/[\u0660-\u0669\u06F0-\u06F9]/g, d => String(d.charCodeAt(0) & 0xF));
+}
+
+/**
+ * Normalize a name for comparison. "عبد الله" and "عبدالله" fold to the same
+ * token because compound names are written both ways.
+ */
+function normalizeName(s) {
+  let t = westernDigits(s).normalize('NFC').replace(DIACRITICS, '').replace(TATWEEL, '');
+  for (const [re, to] of FOLD) t = t.replace(re, to);
+  return t
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .replace(/(^| )(\u0639\u0628\u062F|\u0627\u0628\u0648) (?=\S)/g, '$1$2') // "abd"/"abu" compounds
+    .trim();
+}
+
+// Cards are compared without spaces/dashes and case
+function normalizeCard(s) {
+  return westernDigits(s).replace(/[\s\-_/.]/g, '').toUpperCase();
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function ratio(a, b) {
+  const len = Math.max(a.length, b.length);
+  return len ? 1 - levenshtein(a, b) / len : 1;
+}
+
+/**
+ * Similarity of two normalized names in [0, 1]. A shorter name that matches
+ * the start of a longer one ("علي حسين" / "علي حسين كاظم") scores high, since
+ * voters are often registered with a different number of name parts.
+ */
+function nameSimilarity(a, b) {
+  if (!a || !b) return 0;
+  const ta = a.split(' ');
+  const tb = b.split(' ');
+  let best = ratio(a, b);
+  best = Math.max(best, ratio([...ta].sort().join(' '), [...tb].sort().join(' ')) * 0.95);
+  const [short, long] = ta.length <= tb.length ? [ta, tb] : [tb, ta];
+  if (short.length >= 2 && short.length < long.length) {
+    best = Math.max(best, ratio(short.join(' '), long.slice(0, short.length).join(' ')) * 0.9);
+  }
+  return best;
+}
+
+/**
+ * Score a pair of voters ({ name_norm, dob, electoral_card }).
+ * Returns { score, reasons } where score is in [0, 1].
+ */
+function scorePair(a, b) {
+  const reasons = [];
+  const cardA = normalizeCard(a.electoral_card);
+  const cardB = normalizeCard(b.electoral_card);
+  if (cardA && cardA === cardB) return { score: 1, reasons: ['same_card'] };
+
+  const name = nameSimilarity(a.name_norm, b.name_norm);
+  if (name === 1) reasons.push('same_name');
+  else if (name >= 0.8) reasons.push('similar_name');
+
+  let dob = 0.5; // unknown on either side: neither for nor against
+  if (a.dob && b.dob) {
+    if (a.dob === b.dob) { dob = 1; reasons.push('same_dob'); }
+    else if (String(a.dob).slice(0, 4) === String(b.dob).slice(0, 4)) { dob = 0.6; reasons.push('same_birth_year'); }
+    else dob = 0;
+  }
+  // Two different cards are a strong sign of two different people
+  const cardPenalty = cardA && cardB ? 0.15 : 0;
+  const score = Math.max(0, 0.7 * name + 0.3 * dob - cardPenalty);
+  return { score: Math.round(score * 1000) / 1000, reasons };
+}
+
+// Keys used to bucket voters so only plausible pairs are compared
+function blockingKeys(v) {
+  const keys = [];
+  const tokens = (v.name_norm || '').split(' ').filter(Boolean);
+  if (tokens[0]) keys.push(`f:${tokens[0]}`);
+  if (tokens.length > 1) keys.push(`s:${tokens[1]}`);
+  if (v.dob) keys.push(`d:${v.dob}`);
+  const card = normalizeCard(v.electoral_card);
+  if (card) keys.push(`c:${card}`);
+  return keys;
+}
+
+module.exports = { normalizeName, normalizeCard, westernDigits, nameSimilarity, scorePair, blockingKeys };
@@ -0,0 +1,135 @@
+/**
+ * SQLite backups
+ * - Snapshots use SQLite's online backup API, so they are consistent while the
+ *   server keeps running; the same API copies a snapshot back for a restore
+ * - Files are named votes-<UTC stamp>-<reason>.db; rotation keeps the newest N
+ * - verify() runs an integrity check on a scratch copy of a snapshot
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+
+const REASONS = ['manual', 'scheduled', 'pre-restore'];
+const NAME_RE = /^votes-(\d{8})T(\d{6})Z-(manual|scheduled|pre-restore)\.db$/;
+
+function backupName(reason, now = new Date()) {
+  if (!REASONS.includes(reason)) throw new Error(`Unknown backup reason ${reason}`);
+  const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+  return `votes-${stamp}-${reason}.db`;
+}
+
+// Also guards every endpoint that takes a name from the URL against path tricks
+function isBackupName(name) {
+  return NAME_RE.test(String(name || ''));
+}
+
+function describe(dir, name) {
+  const [, d, t, reason] = NAME_RE.exec(name);
+  const stat = fs.statSync(path.join(dir, name));
+  return {
+    name,
+    reason,
+    size: stat.size,
+    created_at: `${d.slice(0, 4)}-${d.slice(4, 6)}-${d.slice(6)}T${t.slice(0, 2)}:${t.slice(2, 4)}:${t.slice(4)}Z`
+  };
+}
+
+// Newest first
+function list(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(isBackupName)
+    .map(name => describe(dir, name))
+    .sort((a, b) => b.created_at.localeCompare(a.created_at) || b.name.localeCompare(a.name));
+}
+
+// Copy a whole database with the backup API; toFile=false copies file -> db
+function copy(db, file, toFile) {
+  return new Promise((resolve, reject) => {
+    const b = db.backup(file, 'main', 'main', toFile, (err) => {
+      if (err) return reject(err);
+      b.step(-1, (stepErr) => {
+        b.finish(() => (stepErr ? reject(stepErr) : resolve()));
+      });
+    });
+  });
+}
+
+/**
+ * Write a snapshot of `db` into `dir`. The file only gets its final name once
+ * complete, so a crash never leaves a half-written backup in the list.
+ */
+async function snapshot(db, dir, reason) {
+  fs.mkdirSync(dir, { recursive: true });
+  const name = backupName(reason);
+  const part = path.join(dir, `${name}.part`);
+  try {
+    await copy(db, part, true);
+    fs.renameSync(part, path.join(dir, name));
+  } catch (e) {
+    fs.rmSync(part, { force: true });
+    throw e;
+  }
+  return describe(dir, name);
+}
+
+// Replace the contents of `db` with a snapshot (the connection stays open)
+function restore(db, file) {
+  return copy(db, file, false);
+}
+
+// Delete all but the newest `keep` backups; returns the deleted names
+function rotate(dir, keep) {
+  if (!(keep > 0)) return [];
+  const old = list(dir).slice(keep);
+  old.forEach(b => fs.rmSync(path.join(dir, b.name), { force: true }));
+  return old.map(b => b.name);
+}
+
+/**
+ * Check a snapshot can be restored: integrity check, schema version and a few
+ * row counts. The FTS5 part of the integrity check needs a writable database,
+ * so it runs on a scratch copy and the snapshot itself is never opened.
+ */
+async function verify(file) {
+  const scratch = `${file}.verify`;
+  try {
+    fs.copyFileSync(file, scratch);
+    return await check(scratch);
+  } catch (e) {
+    return { ok: false, error: e.message };
+  } finally {
+    for (const f of [scratch, `${scratch}-journal`]) fs.rmSync(f, { force: true });
+  }
+}
+
+function check(file) {
+  return new Promise((resolve) => {
+    const db = new sqlite3.Database(file, sqlite3.OPEN_READWRITE, async (openErr) => {
+      if (openErr) return resolve({ ok: false, error: openErr.message });
+      const get = sql => new Promise((res, rej) => db.get(sql, (e, row) => (e ? rej(e) : res(row))));
+      let result;
+      try {
+        const integrity = (await get(`PRAGMA integrity_check`)).integrity_check;
+        const tables = await get(`
+          SELECT SUM(name='schema_migrations') AS migrations, SUM(name='voters') AS voters, SUM(name='users') AS users
+          FROM sqlite_master WHERE type='table'`);
+        if (!tables.voters || !tables.users) {
+          result = { ok: false, integrity, error: 'Not a CitizenVote database' };
+        } else {
+          const version = tables.migrations ? (await get(`SELECT MAX(version) AS v FROM schema_migrations`)).v : null;
+          const voters = (await get(`SELECT COUNT(*) AS n FROM voters`)).n;
+          const users = (await get(`SELECT COUNT(*) AS n FROM users`)).n;
+          result = { ok: integrity === 'ok', integrity, schema_version: version, voters, users };
+        }
+      } catch (e) {
+        result = { ok: false, error: e.message };
+      }
+      // The scratch copy is deleted once closed
+      db.close(() => resolve(result));
+    });
+  });
+}
+
+module.exports = { isBackupName, list, snapshot, restore, rotate, verify };
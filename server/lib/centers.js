@@ -0,0 +1,69 @@
+/**
+ * Polling center clean-up
+ * - Groups the free-text spellings voters were registered with ("مدرسة الرشيد",
+ *   "مدرسه الرشيد", "مدرسة الرشيد الابتدائية") into clusters
+ * - Suggests the managed polling center each cluster most likely refers to
+ * Clusters never span districts: two schools with the same name in different
+ * districts are different centers.
+ */
+
+const { normalizeName, nameSimilarity } = require('./arabic');
+
+const CLUSTER_THRESHOLD = 0.85;
+const SUGGEST_THRESHOLD = 0.75;
+
+/**
+ * @param {{ text: string, district_id: number|null, voters: number }[]} values
+ *   distinct free-text values with the number of voters using each
+ * @returns {{ district_id, label, voters, variants: { text, voters }[] }[]}
+ *   biggest clusters first; the label is the most used spelling
+ */
+function clusterValues(values, threshold = CLUSTER_THRESHOLD) {
+  const byDistrict = new Map();
+  for (const v of values) {
+    const key = v.district_id ?? null;
+    if (!byDistrict.has(key)) byDistrict.set(key, []);
+    byDistrict.get(key).push({ ...v, norm: normalizeName(v.text) });
+  }
+
+  const clusters = [];
+  for (const [districtId, list] of byDistrict) {
+    const local = [];
+    // Most used spellings first, so they become the cluster representatives
+    list.sort((a, b) => b.voters - a.voters || a.text.localeCompare(b.text));
+    for (const v of list) {
+      let best = null;
+      let bestScore = 0;
+      for (const c of local) {
+        const score = c.norm === v.norm ? 1 : nameSimilarity(c.norm, v.norm);
+        if (score > bestScore) { best = c; bestScore = score; }
+      }
+      if (best && bestScore >= threshold) {
+        best.variants.push({ text: v.text, voters: v.voters });
+        best.voters += v.voters;
+      } else {
+        local.push({ district_id: districtId, label: v.text, norm: v.norm, voters: v.voters, variants: [{ text: v.text, voters: v.voters }] });
+      }
+    }
+    clusters.push(...local);
+  }
+  return clusters.sort((a, b) => b.voters - a.voters);
+}
+
+/**
+ * Closest managed center for a cluster, or null.
+ * @param {{ id, name, name_norm, district_id }[]} centers
+ */
+function suggestCenter(cluster, centers, threshold = SUGGEST_THRESHOLD) {
+  let best = null;
+  for (const c of centers) {
+    if (cluster.district_id != null && c.district_id != null && c.district_id !== cluster.district_id) continue;
+    const score = Math.max(...cluster.variants.map(v => nameSimilarity(normalizeName(v.text), c.name_norm)));
+    if (score >= threshold && (!best || score > best.score)) {
+      best = { center_id: c.id, name: c.name, score: Math.round(score * 1000) / 1000 };
+    }
+  }
+  return best;
+}
+
+module.exports = { CLUSTER_THRESHOLD, clusterValues, suggestCenter };
@@ -0,0 +1,50 @@
+/**
+ * Login hardening rules
+ * - lockoutSeconds(): progressive lockout after repeated failures on one
+ *   account, whatever IP they come from (authLimiter only sees IPs)
+ * - passwordProblems(): the strength policy for new passwords; returns
+ *   validation codes (lib/messages.js)
+ */
+
+const LOCK_BASE_SECONDS = 60;
+
+// The seeded admin password; anyone still using it must change it
+const DEFAULT_PASSWORD = 'ChangeMe123';
+
+/**
+ * How long to lock an account after `failures` consecutive failed logins:
+ * nothing below the threshold, then 1 min, 2 min, 4 min... up to maxSeconds.
+ */
+function lockoutSeconds(failures, threshold = 5, maxSeconds = 3600) {
+  if (failures < threshold) return 0;
+  return Math.min(maxSeconds, LOCK_BASE_SECONDS * 2 ** (failures - threshold));
+}
+
+const MIN_LENGTH = 10;
+// Passwords that pass the character rules but are guessed first anyway
+const COMMON = new Set([
+  'changeme123', 'password123', 'password1234', 'qwerty12345', 'qwertyuiop1', '1234567890a',
+  'a1234567890', 'admin12345', 'administrator1', 'welcome123', 'letmein123', 'iloveyou123',
+  'citizenvote1', 'citizenvote123', 'baghdad123', 'iraq123456', 'election2025', 'election2026'
+]);
+
+/**
+ * @returns {string[]} problem codes, empty when the password is acceptable:
+ *   too_short, needs_letter, needs_digit, too_common, contains_email
+ */
+function passwordProblems(password, { email } = {}) {
+  const pw = String(password || '');
+  const problems = [];
+  if (pw.length < MIN_LENGTH) problems.push('too_short');
+  // Arabic letters count as letters too
+  if (!/[A-Za-z؀-ۿ]/.test(pw)) problems.push('needs_letter');
+  if (!/[0-9٠-٩]/.test(pw)) problems.push('needs_digit');
+  if (COMMON.has(pw.toLowerCase()) || /^(.)\1+$/.test(pw)) problems.push('too_common');
+  const local = String(email || '').split('@')[0].toLowerCase();
+  if (local.length >= 4 && pw.toLowerCase().includes(local)) problems.push('contains_email');
+  return problems;
+}
+
+module.exports = {
+  DEFAULT_PASSWORD, MIN_LENGTH, lockoutSeconds, passwordProblems
+};
@@ -0,0 +1,405 @@
+/**
+ * Validation and error messages in Arabic and English
+ * - pickLanguage(): the best supported language of an Accept-Language header
+ * - localize(): adds `msg` to { field, code, params } errors (lib/validate.js)
+ * - errorMessage(): text of an API error code (the `code` of { ok: false }
+ *   responses), with {placeholders} filled from the response fields
+ * - reportText(): column headers and titles of the CSV/XLSX/PDF downloads
+ * Field names are shown by their label; a nested field such as
+ * "records[3].dob" uses the label of its last part.
+ */
+
+const LANGUAGES = ['ar', 'en'];
+const DEFAULT_LANGUAGE = 'en';
+
+const MESSAGES = {
+  en: {
+    required: '{field} is required',
+    type_string: '{field} must be text',
+    type_integer: '{field} must be a whole number',
+    type_number: '{field} must be a number',
+    type_boolean: '{field} must be true or false',
+    type_array: '{field} must be a list',
+    type_object: '{field} is not valid',
+    invalid_date: '{field} must be a valid date (YYYY-MM-DD)',
+    date_in_future: '{field} cannot be in the future',
+    date_too_early: '{field} cannot be before {min}',
+    date_too_late: '{field} cannot be after {max}',
+    too_short: '{field} must be at least {min} characters',
+    too_long: '{field} must be at most {max} characters',
+    too_small: '{field} must be at least {min}',
+    too_large: '{field} must be at most {max}',
+    too_few: '{field} needs at least {min} items',
+    too_many: '{field} can have at most {max} items',
+    invalid_email: '{field} must be a valid email address',
+    invalid_choice: '{field} must be one of: {choices}',
+    invalid_format: '{field} has an invalid format',
+    invalid_json: '{field} is not valid JSON',
+    not_found: '{field} does not match an existing record',
+    wrong_candidate: '{field} belongs to another candidate',
+    wrong_district: '{field} belongs to another district',
+    duplicate: '{field} is already in use',
+    must_differ: '{field} must differ from {other}',
+    one_required: 'Enter {field} or {other}',
+    needs_letter: '{field} must contain a letter',
+    needs_digit: '{field} must contain a digit',
+    too_common: '{field} is too common and easy to guess',
+    contains_email: '{field} must not contain your email name'
+  },
+  ar: {
+    required: 'حقل «{field}» مطلوب',
+    type_string: 'حقل «{field}» يجب أن يكون نصًا',
+    type_integer: 'حقل «{field}» يجب أن يكون عددًا صحيحًا',
+    type_number: 'حقل «{field}» يجب أن يكون رقمًا',
+    type_boolean: 'حقل «{field}» يجب أن يكون نعم أو لا',
+    type_array: 'حقل «{field}» يجب أن يكون قائمة',
+    type_object: 'حقل «{field}» غير صالح',
+    invalid_date: 'حقل «{field}» ليس تاريخًا صحيحًا (سنة-شهر-يوم)',
+    date_in_future: 'حقل «{field}» لا يمكن أن يكون تاريخًا في المستقبل',
+    date_too_early: 'حقل «{field}» لا يمكن أن يكون قبل {min}',
+    date_too_late: 'حقل «{field}» لا يمكن أن يكون بعد {max}',
+    too_short: 'حقل «{field}» قصير جدًا (الحد الأدنى {min} أحرف)',
+    too_long: 'حقل «{field}» طويل جدًا (الحد الأقصى {max} حرفًا)',
+    too_small: 'حقل «{field}» يجب ألا يقل عن {min}',
+    too_large: 'حقل «{field}» يجب ألا يزيد على {max}',
+    too_few: 'عدد عناصر «{field}» أقل من المطلوب (الحد الأدنى {min})',
+    too_many: 'عدد عناصر «{field}» أكبر من المسموح (الحد الأقصى {max})',
+    invalid_email: 'حقل «{field}» ليس بريدًا إلكترونيًا صحيحًا',
+    invalid_choice: 'قيمة حقل «{field}» غير مقبولة (المسموح: {choices})',
+    invalid_format: 'صيغة حقل «{field}» غير صحيحة',
+    invalid_json: 'حقل «{field}» ليس JSON صالحًا',
+    not_found: 'قيمة حقل «{field}» لا تطابق أي سجل موجود',
+    wrong_candidate: 'قيمة حقل «{field}» تتبع مرشحًا آخر',
+    wrong_district: 'قيمة حقل «{field}» تتبع دائرة أخرى',
+    duplicate: 'قيمة حقل «{field}» مستخدمة مسبقًا',
+    must_differ: 'حقل «{field}» يجب أن يختلف عن «{other}»',
+    one_required: 'أدخل «{field}» أو «{other}»',
+    needs_letter: 'حقل «{field}» يجب أن يحتوي على حرف واحد على الأقل',
+    needs_digit: 'حقل «{field}» يجب أن يحتوي على رقم واحد على الأقل',
+    too_common: 'قيمة حقل «{field}» شائعة جدًا ويسهل تخمينها',
+    contains_email: 'حقل «{field}» يجب ألا يحتوي على اسم بريدك الإلكتروني'
+  }
+};
+
+// API error code -> text; {name} is filled from the response fields
+// ({field} shows the field's label)
+const ERRORS = {
+  en: {
+    MAINTENANCE: 'Maintenance in progress, try again shortly',
+    TOO_MANY_LOOKUPS: 'Too many lookups, try again later',
+    NOT_FOUND: 'Not found',
+    FORBIDDEN: 'Forbidden',
+    SESSION_EXPIRED: 'Session ended, sign in again',
+    PASSWORD_CHANGE_REQUIRED: 'Password change required',
+    TWO_FACTOR_SETUP_REQUIRED: 'Two-factor authentication must be enabled',
+    AUTH_CHECK_FAILED: 'Auth check failed',
+    INTERNAL_ERROR: 'Something went wrong on the server, try again',
+    ACCOUNT_LOCKED: 'Too many failed attempts; the account is locked for now',
+    INVALID_CREDENTIALS: 'Invalid credentials',
+    INVALID_2FA_CODE: 'Invalid verification code',
+    ACCOUNT_DISABLED: 'Account disabled',
+    LOGIN_FAILED: 'Login failed',
+    LOGIN_EXPIRED: 'Login expired, sign in again',
+    REFRESH_FAILED: 'Refresh failed',
+    SESSION_NOT_FOUND: 'Session not found',
+    USER_NOT_FOUND: 'User not found',
+    WRONG_PASSWORD: 'Current password incorrect',
+    CHANGE_PASSWORD_FAILED: 'Change password failed',
+    TWO_FACTOR_ALREADY_ENABLED: 'Two-factor authentication is already enabled',
+    TWO_FACTOR_NOT_STARTED: 'Start the setup first',
+    TWO_FACTOR_REQUIRED: 'Two-factor authentication is required for your role',
+    TWO_FACTOR_NOT_ENABLED: 'Two-factor authentication is not enabled',
+    OWN_TWO_FACTOR_REQUIRED: 'Enable two-factor authentication on your own account first',
+    LAST_ADMIN_DEMOTE: 'Cannot demote the last active admin',
+    LAST_ADMIN_DISABLE: 'Cannot disable the last active admin',
+    LAST_ADMIN_DELETE: 'Cannot delete the last active admin',
+    OWN_ACCOUNT_DISABLE: 'Cannot disable your own account',
+    OWN_ACCOUNT_DELETE: 'Cannot delete your own account',
+    AUDIT_ENTRY_NOT_FOUND: 'Audit entry not found',
+    NOT_RESTORABLE: 'Only voter edits and deletions can be restored',
+    VOTER_EXISTS: 'Voter already exists',
+    VOTER_GONE: 'Voter no longer exists; restore its deletion instead',
+    CARD_IN_USE: 'Electoral card now used by another voter',
+    NO_MATCHING_REGISTRATION: 'No matching registration',
+    CANDIDATE_NOT_FOUND: 'Candidate not found',
+    ASSISTANT_NOT_FOUND: 'Assistant not found',
+    GOVERNORATE_NOT_FOUND: 'Governorate not found',
+    DISTRICT_NOT_FOUND: 'District not found',
+    POLLING_CENTER_NOT_FOUND: 'Polling center not found',
+    GOVERNORATE_IN_USE: 'Governorate still has districts',
+    DISTRICT_IN_USE: 'District is still in use; pass reassign_to to move its records',
+    POLLING_CENTER_IN_USE: 'Polling center still has voters',
+    CANDIDATE_IN_USE: 'Candidate is still in use',
+    CLIENT_ID_CONFLICT: 'client_id is already used by another user',
+    DUPLICATE_CARD: 'Duplicate electoral card',
+    CARD_IN_TRASH: 'Electoral card belongs to a deleted voter; restore it from the trash',
+    TOO_MANY_RECORDS: 'At most {max} records per sync',
+    VOTER_NOT_FOUND: 'Voter not found',
+    VOTER_NOT_IN_TRASH: 'Voter not in trash',
+    SUPPORTER_NOT_FOUND: 'Supporter not found',
+    PAIR_NOT_FOUND: 'Duplicate pair not found',
+    PAIR_SETTLED: 'Pair already {status}',
+    PAIR_VOTER_DELETED: 'One of the voters was deleted; dismiss this pair instead',
+    PENDING_PAIR_NOT_FOUND: 'Pending pair not found',
+    FILE_TOO_LARGE: 'File too large',
+    UPLOAD_REJECTED: 'Upload rejected',
+    UNREADABLE_SPREADSHEET: 'Could not read spreadsheet',
+    NO_DATA_ROWS: 'No data rows found',
+    TOO_MANY_ROWS: 'Too many rows (max {max})',
+    COLUMN_NOT_FOUND: 'Mapped column "{column}" not found for {field}',
+    NAME_COLUMN_MISSING: 'No column mapped to full_name',
+    IMPORT_NOT_FOUND: 'Import not found',
+    IMPORT_SETTLED: 'Import already {status}',
+    IMPORT_NOT_COMMITTED: 'Only committed imports can be rolled back',
+    IMPORT_NOT_PENDING: 'Only pending imports can be discarded',
+    INVALID_BACKUP_NAME: 'Invalid backup name',
+    BACKUP_NOT_FOUND: 'Backup not found',
+    RESTORE_RUNNING: 'A restore is already running',
+    BACKUP_INVALID: 'Backup failed verification'
+  },
+  ar: {
+    MAINTENANCE: 'الصيانة جارية، حاول مجددًا بعد قليل',
+    TOO_MANY_LOOKUPS: 'عدد كبير من عمليات البحث، حاول لاحقًا',
+    NOT_FOUND: 'غير موجود',
+    FORBIDDEN: 'ليست لديك صلاحية لهذا الإجراء',
+    SESSION_EXPIRED: 'انتهت الجلسة، سجّل الدخول مجددًا',
+    PASSWORD_CHANGE_REQUIRED: 'يجب تغيير كلمة المرور أولًا',
+    TWO_FACTOR_SETUP_REQUIRED: 'يجب تفعيل التحقق بخطوتين أولًا',
+    AUTH_CHECK_FAILED: 'تعذّر التحقق من الجلسة',
+    INTERNAL_ERROR: 'حدث خطأ في الخادم، حاول مجددًا',
+    ACCOUNT_LOCKED: 'محاولات فاشلة كثيرة؛ الحساب مقفل مؤقتًا',
+    INVALID_CREDENTIALS: 'البريد الإلكتروني أو كلمة المرور غير صحيحة',
+    INVALID_2FA_CODE: 'رمز التحقق غير صحيح',
+    ACCOUNT_DISABLED: 'الحساب معطّل',
+    LOGIN_FAILED: 'تعذّر تسجيل الدخول',
+    LOGIN_EXPIRED: 'انتهت مهلة الدخول، سجّل الدخول مجددًا',
+    REFRESH_FAILED: 'تعذّر تجديد الجلسة',
+    SESSION_NOT_FOUND: 'الجلسة غير موجودة',
+    USER_NOT_FOUND: 'المستخدم غير موجود',
+    WRONG_PASSWORD: 'كلمة المرور الحالية غير صحيحة',
+    CHANGE_PASSWORD_FAILED: 'تعذّر تغيير كلمة المرور',
+    TWO_FACTOR_ALREADY_ENABLED: 'التحقق بخطوتين مفعّل مسبقًا',
+    TWO_FACTOR_NOT_STARTED: 'ابدأ الإعداد أولًا',
+    TWO_FACTOR_REQUIRED: 'التحقق بخطوتين إلزامي لدورك',
+    TWO_FACTOR_NOT_ENABLED: 'التحقق بخطوتين غير مفعّل',
+    OWN_TWO_FACTOR_REQUIRED: 'فعّل التحقق بخطوتين على حسابك أولًا',
+    LAST_ADMIN_DEMOTE: 'لا يمكن تغيير دور آخر مدير نشط',
+    LAST_ADMIN_DISABLE: 'لا يمكن تعطيل آخر مدير نشط',
+    LAST_ADMIN_DELETE: 'لا يمكن حذف آخر مدير نشط',
+    OWN_ACCOUNT_DISABLE: 'لا يمكنك تعطيل حسابك',
+    OWN_ACCOUNT_DELETE: 'لا يمكنك حذف حسابك',
+    AUDIT_ENTRY_NOT_FOUND: 'سجل التدقيق غير موجود',
+    NOT_RESTORABLE: 'يمكن التراجع عن تعديل الناخبين وحذفهم فقط',
+    VOTER_EXISTS: 'الناخب موجود مسبقًا',
+    VOTER_GONE: 'الناخب لم يعد موجودًا؛ تراجع عن حذفه بدلًا من ذلك',
+    CARD_IN_USE: 'البطاقة الانتخابية مستخدمة الآن لناخب آخر',
+    NO_MATCHING_REGISTRATION: 'لا يوجد تسجيل مطابق',
+    CANDIDATE_NOT_FOUND: 'المرشح غير موجود',
+    ASSISTANT_NOT_FOUND: 'المُعاون غير موجود',
+    GOVERNORATE_NOT_FOUND: 'المحافظة غير موجودة',
+    DISTRICT_NOT_FOUND: 'الدائرة غير موجودة',
+    POLLING_CENTER_NOT_FOUND: 'مركز الاقتراع غير موجود',
+    GOVERNORATE_IN_USE: 'المحافظة ما زالت تضم دوائر',
+    DISTRICT_IN_USE: 'الدائرة ما زالت مستخدمة؛ اختر دائرة تُنقل إليها سجلاتها',
+    POLLING_CENTER_IN_USE: 'مركز الاقتراع ما زال يضم ناخبين',
+    CANDIDATE_IN_USE: 'المرشح ما زال مرتبطًا بسجلات',
+    CLIENT_ID_CONFLICT: 'معرّف السجل مستخدم من قِبل مستخدم آخر',
+    DUPLICATE_CARD: 'البطاقة الانتخابية مسجلة مسبقًا',
+    CARD_IN_TRASH: 'البطاقة الانتخابية تعود لناخب محذوف؛ استرجعه من سلة المحذوفات',
+    TOO_MANY_RECORDS: 'الحد الأقصى {max} سجل في كل مزامنة',
+    VOTER_NOT_FOUND: 'الناخب غير موجود',
+    VOTER_NOT_IN_TRASH: 'الناخب غير موجود في سلة المحذوفات',
+    SUPPORTER_NOT_FOUND: 'المؤيد غير موجود',
+    PAIR_NOT_FOUND: 'زوج التكرار غير موجود',
+    PAIR_SETTLED: 'تمت معالجة هذا الزوج مسبقًا',
+    PAIR_VOTER_DELETED: 'أحد الناخبين محذوف؛ تجاهل هذا الزوج بدلًا من ذلك',
+    PENDING_PAIR_NOT_FOUND: 'لا يوجد زوج معلّق بهذا المعرّف',
+    FILE_TOO_LARGE: 'الملف كبير جدًا',
+    UPLOAD_REJECTED: 'تعذّر قبول الملف المرفوع',
+    UNREADABLE_SPREADSHEET: 'تعذّرت قراءة جدول البيانات',
+    NO_DATA_ROWS: 'لا توجد صفوف بيانات',
+    TOO_MANY_ROWS: 'عدد الصفوف كبير جدًا (الحد الأقصى {max})',
+    COLUMN_NOT_FOUND: 'العمود «{column}» المربوط بحقل {field} غير موجود',
+    NAME_COLUMN_MISSING: 'لم يُربط أي عمود بالاسم الكامل',
+    IMPORT_NOT_FOUND: 'عملية الاستيراد غير موجودة',
+    IMPORT_SETTLED: 'تمت معالجة عملية الاستيراد مسبقًا',
+    IMPORT_NOT_COMMITTED: 'يمكن التراجع عن عمليات الاستيراد المعتمدة فقط',
+    IMPORT_NOT_PENDING: 'يمكن إلغاء عمليات الاستيراد المعلّقة فقط',
+    INVALID_BACKUP_NAME: 'اسم النسخة الاحتياطية غير صالح',
+    BACKUP_NOT_FOUND: 'النسخة الاحتياطية غير موجودة',
+    RESTORE_RUNNING: 'هناك استعادة جارية بالفعل',
+    BACKUP_INVALID: 'فشل التحقق من النسخة الاحتياطية'
+  }
+};
+
+// Report and export texts: key -> [English, Arabic]
+const REPORT_TEXTS = {
+  // voter export columns (EXPORT_COLUMNS in app.js)
+  id: ['Id', 'المعرّف'],
+  full_name: ['Full name', 'الاسم الكامل'],
+  dob: ['Date of birth', 'تاريخ الميلاد'],
+  electoral_card: ['Electoral card', 'البطاقة الانتخابية'],
+  polling_center: ['Polling center', 'مركز الاقتراع'],
+  district: ['District', 'الدائرة'],
+  candidate: ['Candidate', 'المرشح'],
+  assistant: ['Assistant', 'المُعاون'],
+  created_at: ['Registered on', 'تاريخ التسجيل'],
+  verified_at: ['Confirmed by the voter', 'تاريخ تأكيد الناخب'],
+  voted_at: ['Voted at', 'وقت الاقتراع'],
+  assistant_phone: ["Assistant's phone", 'هاتف المُعاون'],
+  // assistant performance columns (PERFORMANCE_COLUMNS in app.js)
+  rank: ['Rank', 'الترتيب'],
+  supporters: ['Supporters', 'المؤيدون'],
+  per_day: ['Entries/day', 'تسجيلات/يوم'],
+  active_days: ['Active days', 'أيام النشاط'],
+  duplicate_pct: ['Duplicate rate %', 'نسبة التكرار %'],
+  missing_card_pct: ['No card %', 'بلا بطاقة %'],
+  missing_center_pct: ['No center %', 'بلا مركز %'],
+  area_coverage_pct: ['Area coverage %', 'تغطية المناطق %'],
+  uncovered: ['Areas without supporters', 'مناطق بلا مؤيدين'],
+  // titles and groups
+  performance_title: ['Assistant performance — {name}', 'أداء المعاونين — {name}'],
+  roster_title: ['Supporters', 'قائمة المؤيدين'],
+  center_group: ['Polling center: {name}', 'مركز الاقتراع: {name}'],
+  no_center: ['No center', 'بدون مركز'],
+  list_separator: [', ', '، ']
+};
+
+// field -> [English, Arabic]
+const LABELS = {
+  '': ['Request', 'الطلب'],
+  email: ['Email', 'البريد الإلكتروني'],
+  password: ['Password', 'كلمة المرور'],
+  current_password: ['Current password', 'كلمة المرور الحالية'],
+  new_password: ['New password', 'كلمة المرور الجديدة'],
+  full_name: ['Full name', 'الاسم الكامل'],
+  name: ['Name', 'الاسم'],
+  role: ['Role', 'الدور'],
+  candidate_id: ['Candidate', 'المرشح'],
+  assistant_id: ['Assistant', 'المُعاون'],
+  governorate_id: ['Governorate', 'المحافظة'],
+  district_id: ['District', 'الدائرة'],
+  polling_center_id: ['Polling center', 'مركز الاقتراع'],
+  polling_center: ['Polling center', 'مركز الاقتراع'],
+  center_id: ['Polling center', 'مركز الاقتراع'],
+  electoral_card: ['Electoral card', 'البطاقة الانتخابية'],
+  dob: ['Date of birth', 'تاريخ الميلاد'],
+  phone: ['Phone', 'الهاتف'],
+  area_tags: ['Areas', 'المناطق'],
+  target: ['Target', 'الهدف'],
+  official_voters: ['Official voters', 'عدد الناخبين الرسمي'],
+  code: ['Code', 'الرمز'],
+  address: ['Address', 'العنوان'],
+  capacity: ['Capacity', 'السعة'],
+  stations: ['Stations', 'عدد المحطات'],
+  threshold: ['Threshold', 'العتبة'],
+  consent: ['Consent', 'الموافقة'],
+  challenge: ['Login challenge', 'رمز الدخول المؤقت'],
+  recovery_code: ['Recovery code', 'رمز الاسترداد'],
+  require_2fa_roles: ['Roles requiring two-factor authentication', 'الأدوار الملزمة بالتحقق بخطوتين'],
+  client_id: ['Client id', 'معرّف السجل على الجهاز'],
+  records: ['Records', 'السجلات'],
+  mappings: ['Mappings', 'الربط'],
+  variants: ['Spellings', 'الصيغ'],
+  create: ['New center', 'المركز الجديد'],
+  keep_id: ['Voter to keep', 'الناخب المُبقى عليه'],
+  ids: ['Ids', 'المعرّفات'],
+  voted: ['Voted', 'صوّت'],
+  voter_id: ['Voter', 'الناخب'],
+  page: ['Page', 'الصفحة'],
+  size: ['Page size', 'حجم الصفحة'],
+  search: ['Search', 'البحث'],
+  q: ['Search', 'البحث'],
+  from: ['From', 'من تاريخ'],
+  to: ['To', 'إلى تاريخ'],
+  created_from: ['Registered from', 'تاريخ التسجيل من'],
+  created_to: ['Registered until', 'تاريخ التسجيل إلى'],
+  age_min: ['Minimum age', 'العمر الأدنى'],
+  age_max: ['Maximum age', 'العمر الأقصى'],
+  missing: ['Missing fields', 'الحقول الناقصة'],
+  sort: ['Sort by', 'الترتيب حسب'],
+  order: ['Order', 'اتجاه الترتيب'],
+  cursor: ['Page cursor', 'مؤشر الصفحة'],
+  format: ['Format', 'الصيغة'],
+  columns: ['Columns', 'الأعمدة'],
+  scope: ['Scope', 'النطاق'],
+  interval: ['Interval', 'الفترة'],
+  id: ['Id', 'المعرّف'],
+  by: ['Group by', 'التجميع حسب'],
+  status: ['Status', 'الحالة'],
+  min_score: ['Minimum score', 'الحد الأدنى للتشابه'],
+  reassign_to: ['Reassign to', 'النقل إلى'],
+  user_id: ['User', 'المستخدم'],
+  success: ['Result', 'النتيجة'],
+  suspicious: ['Suspicious', 'مشبوه'],
+  ip: ['IP address', 'عنوان IP'],
+  entity: ['Entity', 'نوع السجل'],
+  entity_id: ['Entity id', 'معرّف السجل'],
+  action: ['Action', 'الإجراء'],
+  actor: ['Actor', 'المنفّذ'],
+  limit: ['Limit', 'الحد'],
+  mapping: ['Column mapping', 'ربط الأعمدة'],
+  confirm: ['Confirmation', 'التأكيد'],
+  sid: ['Session', 'الجلسة'],
+  file: ['File', 'الملف'],
+  language: ['Language', 'اللغة'],
+  numerals: ['Digits', 'الأرقام']
+};
+
+// Best supported language of an Accept-Language header ("ar-IQ,ar;q=0.9,en;q=0.8")
+function pickLanguage(header) {
+  const ranked = String(header || '').split(',')
+    .map((part, i) => {
+      const [tag, ...attrs] = part.trim().split(';');
+      const q = attrs.map(a => /^\s*q=([\d.]+)\s*$/.exec(a)).find(Boolean);
+      return { lang: tag.trim().toLowerCase().split('-')[0], q: q ? parseFloat(q[1]) : 1, i };
+    })
+    .filter(x => x.q > 0 && LANGUAGES.includes(x.lang))
+    .sort((a, b) => b.q - a.q || a.i - b.i);
+  return ranked.length ? ranked[0].lang : DEFAULT_LANGUAGE;
+}
+
+function label(lang, field) {
+  const key = String(field ?? '').replace(/^.*\./, '').replace(/\[\d+\]$/, '');
+  const pair = LABELS[key];
+  return pair ? pair[lang === 'ar' ? 1 : 0] : key;
+}
+
+function format(lang, { field, code, params = {} }) {
+  const template = MESSAGES[lang][code] || MESSAGES[lang].type_object;
+  const values = {
+    ...params,
+    field: label(lang, field),
+    other: params.other != null ? label(lang, params.other) : '',
+    choices: Array.isArray(params.choices) ? params.choices.join(lang === 'ar' ? '، ' : ', ') : ''
+  };
+  return template.replace(/\{(\w+)\}/g, (m, k) => (values[k] != null ? String(values[k]) : m));
+}
+
+// Errors with their message in `lang`
+function localize(lang, errors) {
+  const l = LANGUAGES.includes(lang) ? lang : DEFAULT_LANGUAGE;
+  return errors.map(e => ({
+    field: e.field,
+    code: e.code,
+    ...(e.params && { params: e.params }),
+    msg: format(l, e)
+  }));
+}
+
+// Text of an API error code in `lang`
+function errorMessage(lang, code, params = {}) {
+  const l = LANGUAGES.includes(lang) ? lang : DEFAULT_LANGUAGE;
+  const template = ERRORS[l][code] || ERRORS[DEFAULT_LANGUAGE][code] || code;
+  const values = { ...params, ...(params.field != null && { field: label(l, params.field) }) };
+  return template.replace(/\{(\w+)\}/g, (m, k) => (values[k] != null ? String(values[k]) : m));
+}
+
+// Report text for `key` in `lang`
+function reportText(lang, key, params = {}) {
+  const pair = REPORT_TEXTS[key];
+  const text = pair ? pair[lang === 'ar' ? 1 : 0] : key;
+  return text.replace(/\{(\w+)\}/g, (m, k) => (params[k] != null ? String(params[k]) : m));
+}
+
+module.exports = { LANGUAGES, pickLanguage, localize, errorMessage, reportText };
@@ -0,0 +1,156 @@
+/**
+ * Versioned schema migrations
+ * - Migrations live in server/migrations as NNN_description.js and export
+ *   `up(db)`, where db has run/get/all/ensureColumn helpers
+ * - Applied versions are recorded in schema_migrations; each migration runs in
+ *   its own transaction, so a failure leaves the database at the last good version
+ * - checkSchema() compares a database with the schema the migrations produce
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+
+const MIGRATIONS_DIR = path.resolve(__dirname, '..', 'migrations');
+const FILE_RE = /^(\d+)_([\w-]+)\.js$/;
+
+// Promise helpers over a sqlite3.Database
+function helpers(db) {
+  const run = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) { err ? reject(err) : resolve(this); });
+  });
+  const get = (sql, params = []) => new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+  });
+  const all = (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+  });
+  // Add a column to an existing table if an older database lacks it
+  async function ensureColumn(table, column, ddl) {
+    const cols = await all(`PRAGMA table_info(${table})`);
+    if (!cols.some(c => c.name === column)) {
+      await run(`ALTER TABLE ${table} ADD COLUMN ${column} ${ddl}`);
+    }
+  }
+  return { run, get, all, ensureColumn };
+}
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const list = fs.readdirSync(dir)
+    .map(file => ({ file, m: FILE_RE.exec(file) }))
+    .filter(x => x.m)
+    .map(({ file, m }) => ({ version: parseInt(m[1], 10), name: m[2], file, up: require(path.join(dir, file)).up }))
+    .sort((a, b) => a.version - b.version);
+  for (let i = 1; i < list.length; i++) {
+    if (list[i].version === list[i - 1].version) {
+      throw new Error(`Duplicate migration version ${list[i].version}: ${list[i - 1].file}, ${list[i].file}`);
+    }
+  }
+  return list;
+}
+
+async function ensureTable(h) {
+  await h.run(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+  )`);
+}
+
+// Every known migration with its applied_at (null while pending). Read-only:
+// a database that was never migrated simply has nothing applied.
+async function status(db, migrations = loadMigrations()) {
+  const h = helpers(db);
+  const tracked = await h.get(`SELECT name FROM sqlite_master WHERE type='table' AND name='schema_migrations'`);
+  const rows = tracked ? await h.all(`SELECT version, applied_at FROM schema_migrations`) : [];
+  const applied = new Map(rows.map(r => [r.version, r.applied_at]));
+  const known = new Set(migrations.map(m => m.version));
+  return {
+    migrations: migrations.map(m => ({ version: m.version, name: m.name, applied_at: applied.get(m.version) || null })),
+    // Applied by a newer build than this one
+    unknown: [...applied.keys()].filter(v => !known.has(v)).sort((a, b) => a - b)
+  };
+}
+
+/**
+ * Apply pending migrations in order. Returns the versions applied.
+ * @param {{ log?: Function, to?: number }} opts stop after version `to`
+ */
+async function migrate(db, { log = () => {}, to = Infinity } = {}, migrations = loadMigrations()) {
+  const h = helpers(db);
+  await ensureTable(h);
+  const applied = new Set((await status(db, migrations)).migrations.filter(m => m.applied_at).map(m => m.version));
+  const pending = migrations.filter(m => m.version <= to && !applied.has(m.version));
+  const done = [];
+  for (const m of pending) {
+    await h.run('BEGIN IMMEDIATE');
+    try {
+      await m.up(h);
+      await h.run(`INSERT INTO schema_migrations(version, name) VALUES (?, ?)`, [m.version, m.name]);
+      await h.run('COMMIT');
+    } catch (e) {
+      await h.run('ROLLBACK').catch(() => {});
+      e.message = `Migration ${m.file} failed: ${e.message}`;
+      throw e;
+    }
+    log(`Applied migration ${m.file}`);
+    done.push(m.version);
+  }
+  return done;
+}
+
+async function describe(db) {
+  const h = helpers(db);
+  const objects = await h.all(`
+    SELECT type, name, tbl_name FROM sqlite_master
+    WHERE name NOT LIKE 'sqlite_%' AND name <> 'schema_migrations'`);
+  const out = { tables: new Map(), index: new Set(), view: new Set(), trigger: new Set() };
+  for (const o of objects) {
+    if (o.type === 'table') {
+      out.tables.set(o.name, (await h.all(`PRAGMA table_info(${o.name})`)).map(c => c.name));
+    } else {
+      out[o.type].add(o.name);
+    }
+  }
+  return out;
+}
+
+/**
+ * Compare `db` with a scratch database built by running every migration.
+ * Returns { errors, warnings }: errors are missing objects or pending
+ * migrations, warnings are leftovers the migrations do not know about.
+ */
+async function checkSchema(db, migrations = loadMigrations()) {
+  const scratch = new sqlite3.Database(':memory:');
+  try {
+    await migrate(scratch, {}, migrations);
+    const want = await describe(scratch);
+    const have = await describe(db);
+    const errors = [];
+    const warnings = [];
+
+    const { migrations: list, unknown } = await status(db, migrations);
+    const pending = list.filter(m => !m.applied_at).map(m => m.version);
+    if (pending.length) errors.push(`pending migrations: ${pending.join(', ')}`);
+    if (unknown.length) warnings.push(`applied migrations unknown to this build: ${unknown.join(', ')}`);
+
+    for (const [table, cols] of want.tables) {
+      const got = have.tables.get(table);
+      if (!got) { errors.push(`missing table ${table}`); continue; }
+      cols.filter(c => !got.includes(c)).forEach(c => errors.push(`missing column ${table}.${c}`));
+      got.filter(c => !cols.includes(c)).forEach(c => warnings.push(`extra column ${table}.${c}`));
+    }
+    for (const table of have.tables.keys()) {
+      if (!want.tables.has(table)) warnings.push(`extra table ${table}`);
+    }
+    for (const type of ['index', 'view', 'trigger']) {
+      want[type].forEach(n => { if (!have[type].has(n)) errors.push(`missing ${type} ${n}`); });
+      have[type].forEach(n => { if (!want[type].has(n)) warnings.push(`extra ${type} ${n}`); });
+    }
+    return { errors, warnings };
+  } finally {
+    scratch.close();
+  }
+}
+
+module.exports = { MIGRATIONS_DIR, helpers, loadMigrations, status, migrate, checkSchema };
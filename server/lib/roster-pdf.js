@@ -0,0 +1,139 @@
+/**
+ * Printable voter roster (PDF)
+ * - A4 pages, right-to-left table, one section per polling center
+ * - Streams straight to the response; pages are not buffered in memory
+ * - Arabic is shaped by fontkit; mixed Arabic/Latin/digit cells are split
+ *   into direction runs so numbers and Latin names are not drawn reversed
+ */
+
+const PDFDocument = require('pdfkit');
+
+const FONT = require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans.ttf');
+const FONT_BOLD = require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf');
+
+const MARGIN = 30;
+const ROW_H = 20;
+const FONT_SIZE = 9;
+
+const RTL_CHAR = /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/;
+const LTR_CHAR = /[A-Za-z0-9\u00C0-\u024F]/;
+
+// Split text into runs in visual (left-to-right) order for an RTL line.
+// Each run is drawn separately; fontkit reverses glyphs inside Arabic runs.
+// Neutral characters (spaces, punctuation) join the surrounding run when both
+// sides agree, otherwise they follow the RTL paragraph direction.
+function visualRuns(text) {
+  const s = String(text ?? '');
+  if (!RTL_CHAR.test(s)) return [s];
+
+  const cls = [...s].map(ch => (RTL_CHAR.test(ch) ? 'r' : LTR_CHAR.test(ch) ? 'l' : 'n'));
+  const chars = [...s];
+  for (let i = 0; i < cls.length; i++) {
+    if (cls[i] !== 'n') continue;
+    let j = i;
+    while (j < cls.length && cls[j] === 'n') j++;
+    const before = i > 0 ? cls[i - 1] : 'r';
+    const after = j < cls.length ? cls[j] : 'r';
+    const c = before === after ? before : 'r';
+    for (let k = i; k < j; k++) cls[k] = c;
+    i = j - 1;
+  }
+
+  const runs = [];
+  chars.forEach((ch, i) => {
+    const last = runs[runs.length - 1];
+    if (last && last.dir === cls[i]) last.text += ch;
+    else runs.push({ dir: cls[i], text: ch });
+  });
+  // pdfkit drops spaces inside shaped RTL text, so RTL runs are emitted word
+  // by word (in visual order) with the spaces as separate runs
+  return runs.reverse().flatMap(r => (r.dir === 'r' ? r.text.split(/( +)/).filter(Boolean).reverse() : [r.text]));
+}
+
+function createRoster(stream, { title, columns }) {
+  const doc = new PDFDocument({ size: 'A4', margin: MARGIN, info: { Title: title } });
+  doc.pipe(stream);
+  doc.registerFont('body', FONT);
+  doc.registerFont('bold', FONT_BOLD);
+
+  const pageW = doc.page.width - MARGIN * 2;
+  const totalWeight = columns.reduce((n, c) => n + (c.weight || 1), 0);
+  const widths = columns.map(c => (pageW * (c.weight || 1)) / totalWeight);
+
+  let pageNo = 0;
+  let y = 0;
+  let group = '';
+
+  // Draw text right-aligned inside [x, x+w], truncating if it does not fit
+  function cell(text, x, w, font = 'body') {
+    doc.font(font).fontSize(FONT_SIZE);
+    let s = String(text ?? '');
+    const fits = str => doc.widthOfString(str) <= w - 6;
+    if (!fits(s)) {
+      while (s.length && !fits(s + '…')) s = s.slice(0, -1);
+      s += '…';
+    }
+    const runs = visualRuns(s);
+    let cx = x + w - 3 - runs.reduce((n, r) => n + doc.widthOfString(r), 0);
+    for (const r of runs) {
+      doc.text(r, cx, y + 5, { lineBreak: false });
+      cx += doc.widthOfString(r);
+    }
+  }
+
+  function headerRow() {
+    let x = MARGIN + pageW;
+    doc.rect(MARGIN, y, pageW, ROW_H).fill('#e8eef5');
+    doc.fillColor('#000');
+    columns.forEach((c, i) => {
+      x -= widths[i];
+      cell(c.label, x, widths[i], 'bold');
+    });
+    y += ROW_H;
+  }
+
+  function newPage() {
+    if (pageNo > 0) doc.addPage();
+    pageNo++;
+    y = MARGIN;
+    doc.fillColor('#000');
+    const titleLine = group ? `${title} — ${group}` : title;
+    doc.font('bold').fontSize(13);
+    const runs = visualRuns(titleLine);
+    let cx = MARGIN + pageW - runs.reduce((n, r) => n + doc.widthOfString(r), 0);
+    for (const r of runs) {
+      doc.text(r, cx, y, { lineBreak: false });
+      cx += doc.widthOfString(r);
+    }
+    doc.font('body').fontSize(8).fillColor('#555')
+      .text(`${pageNo}`, MARGIN, doc.page.height - MARGIN - 10, { width: pageW, align: 'center', lineBreak: false });
+    doc.fillColor('#000');
+    y += 26;
+    headerRow();
+  }
+
+  return {
+    // Start a new section (always on a fresh page)
+    group(name) {
+      group = name;
+      newPage();
+    },
+    row(values) {
+      if (!pageNo || y + ROW_H > doc.page.height - MARGIN - 16) newPage();
+      let x = MARGIN + pageW;
+      values.forEach((v, i) => {
+        x -= widths[i];
+        cell(v, x, widths[i]);
+      });
+      doc.moveTo(MARGIN, y + ROW_H).lineTo(MARGIN + pageW, y + ROW_H)
+        .lineWidth(0.5).strokeColor('#bbb').stroke();
+      y += ROW_H;
+    },
+    end() {
+      if (!pageNo) newPage();
+      doc.end();
+    }
+  };
+}
+
+module.exports = { createRoster, visualRuns };
@@ -0,0 +1,50 @@
+/**
+ * Login sessions
+ * - Every login creates a row in `sessions`; short-lived access JWTs carry its
+ *   id (sid), so revoking the row signs that device out within one request
+ * - Refresh tokens are "<sid>.<secret>"; only a hash of the secret is stored
+ *   and it changes on every refresh (rotation). Presenting an old secret
+ *   outside a short grace period means the token was copied: the session is
+ *   revoked.
+ */
+
+const crypto = require('crypto');
+
+function newSid() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+// { token, hash }: the token goes in the cookie, the hash in the database
+function newRefreshToken(sid) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return { token: `${sid}.${secret}`, hash: hashSecret(secret) };
+}
+
+// -> { sid, hash } or null
+function parseRefreshToken(token) {
+  const m = /^([0-9a-f]{32})\.([\w-]{20,})$/.exec(String(token || ''));
+  return m ? { sid: m[1], hash: hashSecret(m[2]) } : null;
+}
+
+// Short "Browser on OS" label for the sessions list
+function deviceLabel(ua) {
+  const s = String(ua || '');
+  if (!s) return 'Unknown device';
+  const browser = [
+    [/Edg\//, 'Edge'], [/OPR\/|Opera/, 'Opera'], [/SamsungBrowser/, 'Samsung Internet'],
+    [/Firefox\//, 'Firefox'], [/Chrome\//, 'Chrome'], [/Safari\//, 'Safari'],
+    [/curl\//, 'curl']
+  ].find(([re]) => re.test(s));
+  const os = [
+    [/Android/, 'Android'], [/iPhone|iPad|iPod/, 'iOS'], [/Windows/, 'Windows'],
+    [/Mac OS X|Macintosh/, 'macOS'], [/CrOS/, 'ChromeOS'], [/Linux/, 'Linux']
+  ].find(([re]) => re.test(s));
+  if (!browser && !os) return s.slice(0, 60);
+  return [browser ? browser[1] : 'Browser', os ? `on ${os[1]}` : ''].join(' ').trim();
+}
+
+module.exports = { newSid, newRefreshToken, parseRefreshToken, deviceLabel };
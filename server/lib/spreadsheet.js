@@ -0,0 +1,106 @@
+/**
+ * Spreadsheet helpers for voter import/export
+ * - Parses CSV (RFC 4180 quoting, UTF-8 BOM, comma/semicolon/tab) and XLSX
+ * - Returns plain arrays of rows so callers can apply a column mapping
+ * - Formats CSV lines for streaming exports
+ */
+
+const ExcelJS = require('exceljs');
+
+// Pick the delimiter that appears most often in the header line
+function sniffDelimiter(text) {
+  const firstLine = text.slice(0, text.indexOf('\n') === -1 ? text.length : text.indexOf('\n'));
+  let best = ',';
+  let bestCount = 0;
+  for (const d of [',', ';', '\t']) {
+    const n = firstLine.split(d).length - 1;
+    if (n > bestCount) { best = d; bestCount = n; }
+  }
+  return best;
+}
+
+function parseCsv(text) {
+  text = String(text).replace(/^\uFEFF/, '');
+  const delim = sniffDelimiter(text);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delim) {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      rows.push(row); row = [];
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(c => String(c).trim() !== ''));
+}
+
+// Flatten ExcelJS cell values (rich text, formulas, hyperlinks) to primitives
+function cellValue(v) {
+  if (v == null) return '';
+  if (v instanceof Date) return v;
+  if (typeof v === 'object') {
+    if (Array.isArray(v.richText)) return v.richText.map(t => t.text).join('');
+    if ('result' in v) return cellValue(v.result);
+    if ('text' in v) return cellValue(v.text);
+    return '';
+  }
+  return v;
+}
+
+async function parseXlsx(buffer) {
+  const wb = new ExcelJS.Workbook();
+  await wb.xlsx.load(buffer);
+  const ws = wb.worksheets[0];
+  if (!ws) return [];
+  const rows = [];
+  ws.eachRow({ includeEmpty: false }, (r) => {
+    // row.values is 1-based; drop the empty slot at index 0
+    const vals = Array.isArray(r.values) ? r.values.slice(1) : [];
+    rows.push(Array.from(vals, cellValue));
+  });
+  return rows;
+}
+
+/**
+ * Read an uploaded file into rows (first row = header).
+ * @param {Buffer} buffer
+ * @param {string} filename used to tell CSV from XLSX
+ */
+async function readRows(buffer, filename = '') {
+  if (/\.xlsx$/i.test(filename)) return parseXlsx(buffer);
+  if (/\.(csv|txt)$/i.test(filename)) return parseCsv(buffer.toString('utf8'));
+  // XLSX files are zip archives ("PK" magic)
+  if (buffer[0] === 0x50 && buffer[1] === 0x4b) return parseXlsx(buffer);
+  return parseCsv(buffer.toString('utf8'));
+}
+
+// Text that spreadsheet apps would read as a formula (=, +, -, @, tab, CR)
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvEscape(v) {
+  if (v == null) return '';
+  // Names and centers are typed by users: a leading ' keeps them plain text
+  const s = typeof v === 'string' && FORMULA_START.test(v) ? `'${v}` : String(v);
+  return /[",;\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function csvLine(values) {
+  return values.map(csvEscape).join(',') + '\r\n';
+}
+
+module.exports = { parseCsv, readRows, csvLine };
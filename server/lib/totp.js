@@ -0,0 +1,132 @@
+/**
+ * Time-based one-time passwords (RFC 6238) for two-factor login
+ * - 6 digits, 30 second steps, HMAC-SHA1: what Google Authenticator, Authy,
+ *   Microsoft Authenticator etc. expect from an otpauth:// QR code
+ * - verify() returns the matched time step so callers can refuse a code that
+ *   was already used (replay inside the same 30 seconds)
+ * - Secrets are stored sealed with AES-256-GCM, recovery codes as hashes
+ */
+
+const crypto = require('crypto');
+
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = '';
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  const clean = String(str || '').toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const ch of clean) {
+    const idx = ALPHABET.indexOf(ch);
+    if (idx < 0) throw new Error('Invalid base32 secret');
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+// 160-bit secret, base32 as authenticator apps expect it
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function hotp(secret, counter) {
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+  const h = crypto.createHmac('sha1', base32Decode(secret)).update(msg).digest();
+  const offset = h[h.length - 1] & 15;
+  const code = (h.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(code).padStart(DIGITS, '0');
+}
+
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Check a code against the steps around `now` (±window, for clock drift).
+ * @param {{ window?: number, now?: number, after?: number }} opts
+ *   after: last step already used; codes from that step or earlier are refused
+ * @returns {number|null} the matched step
+ */
+function verify(secret, code, { window = 1, now = Date.now(), after = -1 } = {}) {
+  const given = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(given)) return null;
+  const step = currentStep(now);
+  for (let s = step - window; s <= step + window; s++) {
+    if (s <= after) continue;
+    const want = hotp(secret, s);
+    if (crypto.timingSafeEqual(Buffer.from(want), Buffer.from(given))) return s;
+  }
+  return null;
+}
+
+function otpauthUrl({ secret, account, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const q = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS) });
+  return `otpauth://totp/${label}?${q}`;
+}
+
+/* Recovery codes: xxxxx-xxxxx from the base32 alphabet (50 bits each) */
+
+function generateRecoveryCodes(n = 10) {
+  return Array.from({ length: n }, () => {
+    const s = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+    return `${s.slice(0, 5)}-${s.slice(5)}`;
+  });
+}
+
+// Case, spaces and the dash do not matter when a code is typed back
+function hashRecoveryCode(code) {
+  const clean = String(code || '').toLowerCase().replace(/[\s-]/g, '');
+  return crypto.createHash('sha256').update(clean).digest('hex');
+}
+
+/* Sealing secrets at rest */
+
+function sealKey(keyMaterial) {
+  return crypto.createHash('sha256').update(`totp:${keyMaterial}`).digest();
+}
+
+// iv.tag.ciphertext, base64url each
+function seal(plain, keyMaterial) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', sealKey(keyMaterial), iv);
+  const data = Buffer.concat([cipher.update(String(plain), 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map(b => b.toString('base64url')).join('.');
+}
+
+function unseal(sealed, keyMaterial) {
+  const [iv, tag, data] = String(sealed || '').split('.').map(s => Buffer.from(s, 'base64url'));
+  if (!iv || !tag || !data) throw new Error('Malformed sealed secret');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', sealKey(keyMaterial), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+  base32Encode, base32Decode, generateSecret, hotp, currentStep, verify, otpauthUrl,
+  generateRecoveryCodes, hashRecoveryCode, seal, unseal
+};
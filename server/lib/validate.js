@@ -0,0 +1,277 @@
+/**
+ * Request validation
+ * - Schemas are plain objects of rules built with `v`, e.g.
+ *   { full_name: v.string().max(120).required(), dob: v.date().past() }
+ * - Values are cleaned on the way in: text is trimmed, numbers and dates are
+ *   parsed from strings (Arabic-Indic digits included), '' counts as empty
+ *   and unknown fields are dropped
+ * - Every problem is reported as { field, code, params }; lib/messages.js
+ *   turns the codes into Arabic or English messages
+ */
+
+const { westernDigits } = require('./arabic');
+const { pickLanguage, localize } = require('./messages');
+
+const EMAIL = /^[^\s@]+@[^\s@.]+(\.[^\s@.]+)*$/;
+
+const ok = value => ({ value });
+const fail = (code, params) => ({ code, params });
+const digits = raw => (typeof raw === 'string' ? westernDigits(raw).trim() : '');
+const today = () => new Date().toISOString().slice(0, 10);
+
+// YYYY-MM-DD (also with / or .) or DD/MM/YYYY -> 'YYYY-MM-DD', or null
+function parseDate(raw) {
+  const s = digits(raw);
+  let m;
+  let y, mo, d;
+  if ((m = s.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/))) [, y, mo, d] = m.map(Number);
+  else if ((m = s.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/))) [, d, mo, y] = m.map(Number);
+  else return null;
+  const dt = new Date(Date.UTC(y, mo - 1, d));
+  if (dt.getUTCFullYear() !== y || dt.getUTCMonth() !== mo - 1 || dt.getUTCDate() !== d) return null;
+  return dt.toISOString().slice(0, 10);
+}
+
+const PARSERS = {
+  string(raw, r) {
+    if (typeof raw !== 'string' && typeof raw !== 'number') return fail('type_string');
+    return ok(r.keepSpaces ? String(raw) : String(raw).trim());
+  },
+  int(raw) {
+    const n = typeof raw === 'number' ? raw : (/^[+-]?\d+$/.test(digits(raw)) ? Number(digits(raw)) : NaN);
+    return Number.isSafeInteger(n) ? ok(n) : fail('type_integer');
+  },
+  number(raw) {
+    const n = typeof raw === 'number' ? raw : (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(digits(raw)) ? Number(digits(raw)) : NaN);
+    return Number.isFinite(n) ? ok(n) : fail('type_number');
+  },
+  bool(raw) {
+    if (typeof raw === 'boolean') return ok(raw);
+    const s = typeof raw === 'number' ? String(raw) : digits(raw).toLowerCase();
+    if (['1', 'true', 'on', 'yes'].includes(s)) return ok(true);
+    if (['0', 'false', 'off', 'no'].includes(s)) return ok(false);
+    return fail('type_boolean');
+  },
+  date(raw) {
+    const d = parseDate(raw);
+    return d ? ok(d) : fail('invalid_date');
+  },
+  array(raw) {
+    return Array.isArray(raw) ? ok(raw) : fail('type_array');
+  },
+  object(raw) {
+    return raw && typeof raw === 'object' && !Array.isArray(raw) ? ok(raw) : fail('type_object');
+  },
+  any(raw) {
+    return ok(raw);
+  }
+};
+
+// What min()/max() measure for each type, and the codes they fail with
+const LIMITS = {
+  string: [s => s.length, 'too_short', 'too_long'],
+  int: [n => n, 'too_small', 'too_large'],
+  number: [n => n, 'too_small', 'too_large'],
+  array: [a => a.length, 'too_few', 'too_many'],
+  date: [d => d, 'date_too_early', 'date_too_late']
+};
+
+class Rule {
+  constructor(type) {
+    this.type = type;
+    this.isRequired = false;
+    this.allowEmpty = true;
+    this.keepSpaces = false;
+    this.fallback = undefined;
+    this.tests = [];
+    this.table = null;
+    this.checks = [];
+  }
+
+  // Must be present and not empty
+  required() {
+    this.isRequired = true;
+    this.allowEmpty = false;
+    return this;
+  }
+
+  // May be left out, but not sent empty (partial updates of required columns)
+  notEmpty() {
+    this.allowEmpty = false;
+    return this;
+  }
+
+  // Used when the field is missing or empty
+  default(value) {
+    this.fallback = value;
+    return this;
+  }
+
+  // Keep leading/trailing spaces (passwords)
+  raw() {
+    this.keepSpaces = true;
+    return this;
+  }
+
+  min(n) {
+    const [measure, code] = LIMITS[this.type];
+    return this.test(x => measure(x) >= n, code, { min: n });
+  }
+
+  max(n) {
+    const [measure, , code] = LIMITS[this.type];
+    return this.test(x => measure(x) <= n, code, { max: n });
+  }
+
+  // Dates only: not after today
+  past() {
+    return this.test(d => d <= today(), 'date_in_future');
+  }
+
+  // Extra condition on the parsed value; fn returns true when it holds
+  test(fn, code, params) {
+    this.tests.push(x => (fn(x) ? null : fail(code, params)));
+    return this;
+  }
+
+  // The value is the id of a row in `table` (see createValidator's exists)
+  ref(table) {
+    this.table = table;
+    return this;
+  }
+
+  // Objects only: cross-field rule run once every field is valid.
+  // fn(value, req) returns (or resolves to) a list of { field, code, params }.
+  check(fn) {
+    this.checks.push(fn);
+    return this;
+  }
+}
+
+function rule(type, extra) {
+  return Object.assign(new Rule(type), extra);
+}
+
+const v = {
+  string: () => rule('string'),
+  int: () => rule('int'),
+  // Positive row id
+  id: () => rule('int').min(1),
+  number: () => rule('number'),
+  bool: () => rule('bool'),
+  date: () => rule('date'),
+  email: () => rule('string').max(254).test(s => EMAIL.test(s), 'invalid_email'),
+  oneOf: choices => rule('string').test(s => choices.includes(s), 'invalid_choice', { choices }),
+  array: item => rule('array', { item }),
+  object: shape => rule('object', { shape }),
+  any: () => rule('any')
+};
+
+const join = (path, key) => (path ? `${path}.${key}` : key);
+
+/**
+ * @param {{
+ *   exists: (table: string, id: number) => Promise<boolean>,
+ *   failure: (req: object, res: object, error: Error) => void
+ * }} options
+ *   exists() backs the .ref() checks; failure() answers when a check itself throws
+ */
+function createValidator({ exists, failure }) {
+  // -> cleaned value; problems are pushed to errors
+  async function checkValue(r, raw, field, errors, req) {
+    const empty = raw === undefined || raw === null
+      || (typeof raw === 'string' && (r.keepSpaces ? raw : raw.trim()) === '');
+    if (empty) {
+      if (r.fallback !== undefined) return r.fallback;
+      if (r.isRequired || (raw !== undefined && !r.allowEmpty)) errors.push({ field, code: 'required' });
+      return raw === undefined ? undefined : null;
+    }
+    const parsed = PARSERS[r.type](raw, r);
+    if (parsed.code) {
+      errors.push({ field, code: parsed.code, ...(parsed.params && { params: parsed.params }) });
+      return undefined;
+    }
+    let value = parsed.value;
+    for (const t of r.tests) {
+      const bad = t(value);
+      if (bad) {
+        errors.push({ field, code: bad.code, ...(bad.params && { params: bad.params }) });
+        return undefined;
+      }
+    }
+
+    if (r.type === 'array' && r.item) {
+      const out = [];
+      for (let i = 0; i < value.length; i++) out.push(await checkValue(r.item, value[i], `${field}[${i}]`, errors, req));
+      value = out;
+    }
+    if (r.type === 'object' && r.shape) {
+      const before = errors.length;
+      const out = {};
+      for (const [key, fr] of Object.entries(r.shape)) {
+        const x = await checkValue(fr, value[key], join(field, key), errors, req);
+        if (x !== undefined) out[key] = x;
+      }
+      value = out;
+      if (errors.length === before) {
+        for (const fn of r.checks) {
+          for (const e of (await fn(value, req)) || []) errors.push({ ...e, field: join(field, e.field) });
+        }
+      }
+    }
+
+    if (r.table && !(await exists(r.table, value))) {
+      errors.push({ field, code: 'not_found' });
+      return undefined;
+    }
+    return value;
+  }
+
+  // Validate input against a schema (a rule or a plain object of rules)
+  async function check(schema, input, req = null) {
+    const errors = [];
+    const value = await checkValue(schema instanceof Rule ? schema : v.object(schema), input ?? {}, '', errors, req);
+    return { value, errors };
+  }
+
+  // Localized copy of the errors for this request's language
+  function describe(req, errors) {
+    return localize(pickLanguage(req.get('accept-language')), errors);
+  }
+
+  // 400 with the field errors; `msg` repeats the first one for older pages
+  function invalid(req, res, errors, status = 400) {
+    const list = describe(req, errors);
+    return res.status(status).json({ ok: false, code: 'VALIDATION_FAILED', msg: list[0]?.msg, errors: list });
+  }
+
+  /**
+   * Middleware checking req.body / req.query / req.params. On success they
+   * are replaced with the cleaned values (params are merged, Express owns them).
+   */
+  function validate(parts) {
+    const entries = Object.entries(parts);
+    return async (req, res, next) => {
+      try {
+        const errors = [];
+        const cleaned = {};
+        for (const [part, schema] of entries) {
+          const r = await check(schema, req[part], req);
+          errors.push(...r.errors);
+          cleaned[part] = r.value;
+        }
+        if (errors.length) return invalid(req, res, errors);
+        if (cleaned.body) req.body = cleaned.body;
+        if (cleaned.query) req.query = cleaned.query;
+        if (cleaned.params) Object.assign(req.params, cleaned.params);
+        next();
+      } catch (e) {
+        failure(req, res, e);
+      }
+    };
+  }
+
+  return { check, validate, invalid, describe };
+}
+
+module.exports = { v, createValidator };
@@ -0,0 +1,88 @@
+/**
+ * Sorting and cursor pagination of the voter list
+ * - Sort keys map to SQL over `voters v` joined with candidates c,
+ *   assistants a and districts d; empty values sort as the lowest
+ * - Ties are broken by id, so the order is total and a page can start right
+ *   after the last row of the previous one (keyset pagination): pages do not
+ *   shift or repeat rows while voters are being added or deleted
+ * - Cursors are opaque to clients (base64url JSON) and remember the sort they
+ *   were made for
+ * - Searches go through the voters_fts index (migrations/008_voter_search.js);
+ *   the "relevance" sort needs it joined and matched in the same query
+ */
+
+const { normalizeName, normalizeCard, westernDigits } = require('./arabic');
+
+// Names weigh most, then cards, then polling centers
+const RELEVANCE = '-bm25(voters_fts, 10.0, 5.0, 1.0)';
+// Longer searches are cut to this many words
+const MAX_TERMS = 8;
+
+const SORTS = {
+  id: 'v.id',
+  full_name: 'v.full_name',
+  dob: `IFNULL(v.dob,'')`,
+  electoral_card: `IFNULL(v.electoral_card,'')`,
+  candidate_id: 'v.candidate_id',
+  assistant_id: 'IFNULL(v.assistant_id,0)',
+  district_id: 'IFNULL(v.district_id,0)',
+  polling_center: `IFNULL(v.polling_center,'')`,
+  created_at: 'v.created_at',
+  verified_at: `IFNULL(v.verified_at,'')`,
+  voted_at: `IFNULL(v.voted_at,'')`,
+  candidate: `IFNULL(c.name,'')`,
+  assistant: `IFNULL(a.name,'')`,
+  district: `IFNULL(d.name,'')`,
+  relevance: RELEVANCE
+};
+const SORT_KEYS = Object.keys(SORTS);
+const ORDERS = ['asc', 'desc'];
+
+/**
+ * Search text -> FTS5 query, or null when nothing searchable is left. Every
+ * word must start a word of the name, card or center, in any order
+ * ("حسن علي" finds "علي حسن"). Words with digits are read as cards.
+ */
+function matchQuery(text) {
+  const words = westernDigits(text).split(/\s+/).filter(Boolean);
+  const cards = words.filter(w => /\d/.test(w)).map(w => normalizeName(normalizeCard(w)));
+  // Names are normalized together so "عبد الله" still folds to "عبدالله"
+  const name = normalizeName(words.filter(w => !/\d/.test(w)).join(' '));
+  const terms = [...new Set([name, ...cards].join(' ').split(' ').filter(Boolean))].slice(0, MAX_TERMS);
+  return terms.length ? terms.map(t => `"${t}"*`).join(' ') : null;
+}
+
+// -> 'opaque text' pointing just after `row` (which carries the _key column)
+function encodeCursor(sort, order, row) {
+  return Buffer.from(JSON.stringify([sort, order, row._key, row.id])).toString('base64url');
+}
+
+// -> { sort, order, key, id }, or null when the text is not one of our cursors
+function decodeCursor(text) {
+  try {
+    const [sort, order, key, id] = JSON.parse(Buffer.from(String(text), 'base64url').toString('utf8'));
+    if (!SORTS[sort] || !ORDERS.includes(order) || !Number.isSafeInteger(id)) return null;
+    if (typeof key !== 'string' && typeof key !== 'number') return null;
+    return { sort, order, key, id };
+  } catch {
+    return null;
+  }
+}
+
+// ORDER BY clause, and the sort value selected as _key for the next cursor
+function ordering(sort, order) {
+  const dir = order === 'asc' ? 'ASC' : 'DESC';
+  return { key: SORTS[sort], sql: `${SORTS[sort]} ${dir}, v.id ${dir}` };
+}
+
+// WHERE condition for the rows after the cursor
+function after(cursor) {
+  const expr = SORTS[cursor.sort];
+  const op = cursor.order === 'asc' ? '>' : '<';
+  return {
+    sql: `(${expr} ${op} ? OR (${expr} = ? AND v.id ${op} ?))`,
+    params: [cursor.key, cursor.key, cursor.id]
+  };
+}
+
+module.exports = { SORT_KEYS, ORDERS, matchQuery, encodeCursor, decodeCursor, ordering, after };
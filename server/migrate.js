@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+/**
+ * Schema migrations CLI
+ *   node server/migrate.js status [--db file]    list applied / pending migrations
+ *   node server/migrate.js up [--to N] [--db file]   apply pending migrations
+ *   node server/migrate.js check [--db file]     compare a database with the expected schema
+ * The database defaults to the one the server uses (DB_PATH, DATA_DIR or the repo copy).
+ * `check` exits with 1 when something is missing or migrations are pending.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const sqlite3 = require('sqlite3');
+const { status, migrate, checkSchema } = require('./lib/migrate');
+
+function defaultDbFile() {
+  if (process.env.DB_PATH) return process.env.DB_PATH;
+  if (process.env.DATA_DIR) return path.join(process.env.DATA_DIR, 'votes.db');
+  return path.resolve(__dirname, '..', 'database', 'votes.db');
+}
+
+function parseArgs(argv) {
+  const args = { command: 'status', db: defaultDbFile(), to: Infinity };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--db') args.db = argv[++i];
+    else if (a === '--to') args.to = parseInt(argv[++i], 10);
+    else if (!a.startsWith('-')) args.command = a;
+    else throw new Error(`Unknown option ${a}`);
+  }
+  if (Number.isNaN(args.to)) throw new Error('--to needs a version number');
+  return args;
+}
+
+function open(file, mode) {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(file, mode, err => (err ? reject(err) : resolve(db)));
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!['status', 'up', 'check'].includes(args.command)) throw new Error(`Unknown command ${args.command}`);
+  if (!fs.existsSync(args.db)) throw new Error(`Database not found: ${args.db}`);
+
+  const db = await open(args.db, args.command === 'up' ? sqlite3.OPEN_READWRITE : sqlite3.OPEN_READONLY);
+  console.log(`Database: ${args.db}`);
+  try {
+    if (args.command === 'status') {
+      const s = await status(db);
+      for (const m of s.migrations) {
+        console.log(`  ${String(m.version).padStart(3, '0')} ${m.name.padEnd(28)} ${m.applied_at || 'pending'}`);
+      }
+      if (s.unknown.length) console.log(`  applied by a newer build: ${s.unknown.join(', ')}`);
+      return 0;
+    }
+
+    if (args.command === 'up') {
+      const done = await migrate(db, { log: m => console.log(`  ${m}`), to: args.to });
+      console.log(done.length ? `${done.length} migration(s) applied` : 'Already up to date');
+      return 0;
+    }
+
+    const { errors, warnings } = await checkSchema(db);
+    errors.forEach(e => console.log(`  ERROR   ${e}`));
+    warnings.forEach(w => console.log(`  WARNING ${w}`));
+    console.log(errors.length ? 'Schema does not match' : 'Schema OK');
+    return errors.length ? 1 : 0;
+  } finally {
+    db.close();
+  }
+}
+
+main()
+  .then(code => { process.exitCode = code; })
+  .catch(e => { console.error(e.message); process.exitCode = 2; });
@@ -0,0 +1,205 @@
+/**
+ * Baseline: the schema as ensureSchema() used to build it. Every statement is
+ * idempotent so databases created before migrations existed (including the
+ * repo copy in database/votes.db) adopt it without losing data.
+ */
+
+const { normalizeName } = require('../lib/arabic');
+
+async function up({ run, all, ensureColumn }) {
+  await run(`CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    email TEXT UNIQUE NOT NULL,
+    password_hash TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'admin' CHECK (role IN ('admin','candidate','assistant')),
+    full_name TEXT,
+    candidate_id INTEGER,
+    assistant_id INTEGER,
+    is_active INTEGER NOT NULL DEFAULT 1,
+    must_change_password INTEGER NOT NULL DEFAULT 0,
+    token_version INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(candidate_id) REFERENCES candidates(id),
+    FOREIGN KEY(assistant_id) REFERENCES assistants(id)
+  )`);
+
+  await run(`CREATE TABLE IF NOT EXISTS party (
+    id INTEGER PRIMARY KEY CHECK (id = 1),
+    threshold INTEGER NOT NULL DEFAULT 0
+  )`);
+
+  await run(`CREATE TABLE IF NOT EXISTS governorates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE
+  )`);
+
+  await run(`CREATE TABLE IF NOT EXISTS districts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    governorate_id INTEGER,
+    name TEXT NOT NULL,
+    official_voters INTEGER NOT NULL DEFAULT 0,
+    FOREIGN KEY(governorate_id) REFERENCES governorates(id)
+  )`);
+
+  await run(`CREATE TABLE IF NOT EXISTS polling_centers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    district_id INTEGER NOT NULL,
+    code TEXT NOT NULL UNIQUE,
+    name TEXT NOT NULL,
+    name_norm TEXT,
+    address TEXT,
+    capacity INTEGER,
+    stations INTEGER,
+    created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(district_id) REFERENCES districts(id)
+  )`);
+
+  await run(`CREATE TABLE IF NOT EXISTS candidates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    district_id INTEGER,
+    target INTEGER DEFAULT 0,
+    FOREIGN KEY(district_id) REFERENCES districts(id)
+  )`);
+
+  await run(`CREATE TABLE IF NOT EXISTS assistants (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    candidate_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    phone TEXT,
+    area_tags TEXT,
+    created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(candidate_id) REFERENCES candidates(id)
+  )`);
+
+  await run(`CREATE TABLE IF NOT EXISTS voters (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    candidate_id INTEGER NOT NULL,
+    assistant_id INTEGER,
+    full_name TEXT NOT NULL,
+    dob TEXT,
+    district_id INTEGER,
+    polling_center TEXT,
+    polling_center_id INTEGER,
+    electoral_card TEXT,
+    import_batch_id INTEGER,
+    created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    deleted_at TEXT,
+    deleted_by INTEGER,
+    name_norm TEXT,
+    merged_into INTEGER,
+    verified_at TEXT,
+    consent_at TEXT,
+    client_id TEXT,
+    voted_at TEXT,
+    voted_by INTEGER,
+    FOREIGN KEY(candidate_id) REFERENCES candidates(id),
+    FOREIGN KEY(polling_center_id) REFERENCES polling_centers(id)
+  )`);
+
+  // Possible duplicate voters waiting for review (voter_a < voter_b)
+  await run(`CREATE TABLE IF NOT EXISTS voter_duplicates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    voter_a INTEGER NOT NULL,
+    voter_b INTEGER NOT NULL,
+    score REAL NOT NULL,
+    reasons TEXT,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending','merged','dismissed')),
+    kept_id INTEGER,
+    first_candidate_id INTEGER,
+    reviewed_by INTEGER,
+    reviewed_at TEXT,
+    created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(voter_a, voter_b)
+  )`);
+
+  // Spreadsheet imports: a dry-run stages every row, commit inserts the valid ones
+  await run(`CREATE TABLE IF NOT EXISTS import_batches (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    candidate_id INTEGER,
+    filename TEXT,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending','committed','rolled_back')),
+    total_rows INTEGER NOT NULL DEFAULT 0,
+    valid_rows INTEGER NOT NULL DEFAULT 0,
+    inserted_rows INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    committed_at TEXT,
+    rolled_back_at TEXT,
+    FOREIGN KEY(user_id) REFERENCES users(id)
+  )`);
+
+  await run(`CREATE TABLE IF NOT EXISTS import_rows (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    batch_id INTEGER NOT NULL,
+    row_no INTEGER NOT NULL,
+    status TEXT NOT NULL,
+    errors TEXT,
+    data TEXT NOT NULL,
+    voter_id INTEGER,
+    FOREIGN KEY(batch_id) REFERENCES import_batches(id)
+  )`);
+  await run(`CREATE INDEX IF NOT EXISTS idx_import_rows_batch ON import_rows(batch_id, row_no)`);
+
+  // Append-only trail of every mutation; triggers reject edits and deletes
+  await run(`CREATE TABLE IF NOT EXISTS audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    actor_id INTEGER,
+    actor_email TEXT,
+    action TEXT NOT NULL,
+    entity TEXT NOT NULL,
+    entity_id INTEGER,
+    before_json TEXT,
+    after_json TEXT,
+    ip TEXT,
+    created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await run(`CREATE INDEX IF NOT EXISTS idx_audit_entity ON audit_log(entity, entity_id)`);
+  await run(`CREATE INDEX IF NOT EXISTS idx_audit_created ON audit_log(created_at)`);
+  await run(`CREATE TRIGGER IF NOT EXISTS trg_audit_no_update BEFORE UPDATE ON audit_log
+    BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END`);
+  await run(`CREATE TRIGGER IF NOT EXISTS trg_audit_no_delete BEFORE DELETE ON audit_log
+    BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END`);
+
+  await ensureColumn('districts', 'governorate_id', 'INTEGER REFERENCES governorates(id)');
+  await ensureColumn('districts', 'official_voters', 'INTEGER NOT NULL DEFAULT 0');
+
+  // Older databases predate role links and account state on users
+  await ensureColumn('users', 'full_name', 'TEXT');
+  await ensureColumn('users', 'candidate_id', 'INTEGER REFERENCES candidates(id)');
+  await ensureColumn('users', 'assistant_id', 'INTEGER REFERENCES assistants(id)');
+  await ensureColumn('users', 'is_active', 'INTEGER NOT NULL DEFAULT 1');
+  await ensureColumn('users', 'must_change_password', 'INTEGER NOT NULL DEFAULT 0');
+  await ensureColumn('users', 'token_version', 'INTEGER NOT NULL DEFAULT 0');
+
+  await ensureColumn('voters', 'import_batch_id', 'INTEGER');
+  await ensureColumn('voters', 'deleted_at', 'TEXT');
+  await ensureColumn('voters', 'deleted_by', 'INTEGER');
+  await ensureColumn('voters', 'name_norm', 'TEXT');
+  await ensureColumn('voters', 'merged_into', 'INTEGER');
+  await ensureColumn('voters', 'verified_at', 'TEXT');
+  await ensureColumn('voters', 'consent_at', 'TEXT');
+  await ensureColumn('voters', 'client_id', 'TEXT');
+  await ensureColumn('voters', 'voted_at', 'TEXT');
+  await ensureColumn('voters', 'voted_by', 'INTEGER');
+  await ensureColumn('voters', 'polling_center_id', 'INTEGER REFERENCES polling_centers(id)');
+
+  await run(`CREATE INDEX IF NOT EXISTS idx_voters_card ON voters(electoral_card)`);
+  await run(`CREATE INDEX IF NOT EXISTS idx_voters_import ON voters(import_batch_id)`);
+  await run(`CREATE INDEX IF NOT EXISTS idx_voters_deleted ON voters(deleted_at)`);
+  await run(`CREATE INDEX IF NOT EXISTS idx_voters_name_norm ON voters(name_norm)`);
+  await run(`CREATE INDEX IF NOT EXISTS idx_voters_center ON voters(polling_center)`);
+  await run(`CREATE INDEX IF NOT EXISTS idx_voters_center_id ON voters(polling_center_id)`);
+  await run(`CREATE INDEX IF NOT EXISTS idx_centers_district ON polling_centers(district_id, name_norm)`);
+  await run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_voters_client_id ON voters(client_id) WHERE client_id IS NOT NULL`);
+  await run(`CREATE INDEX IF NOT EXISTS idx_voter_dups_status ON voter_duplicates(status, score)`);
+
+  // Backfill normalized names for rows written before name_norm existed
+  const unnormalized = await all(`SELECT id, full_name FROM voters WHERE name_norm IS NULL`);
+  for (const v of unnormalized) {
+    await run(`UPDATE voters SET name_norm=? WHERE id=?`, [normalizeName(v.full_name), v.id]);
+  }
+  await run(`CREATE INDEX IF NOT EXISTS idx_voters_name_dob ON voters(full_name, dob)`);
+}
+
+module.exports = { up };
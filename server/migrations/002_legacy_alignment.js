@@ -0,0 +1,62 @@
+/**
+ * Bring the repo copy (database/votes.db, from the old build) and databases
+ * created by ensureSchema() to the same shape:
+ * - party/candidates get the columns the old build had (name, campaign dates,
+ *   logo) so neither side is missing anything
+ * - the unique electoral card index the repo copy has is created everywhere
+ * - the old reporting views are rebuilt so they skip deleted voters
+ */
+
+const VIEWS = {
+  vw_candidate_progress: `
+    SELECT c.id AS candidate_id, c.name, d.name AS district, c.target,
+           COUNT(v.id) AS supporters,
+           ROUND(CASE WHEN c.target>0 THEN 100.0*COUNT(v.id)/c.target ELSE 0 END,1) AS pct
+    FROM candidates c
+    LEFT JOIN districts d ON d.id=c.district_id
+    LEFT JOIN voters v ON v.candidate_id=c.id AND v.deleted_at IS NULL
+    GROUP BY c.id`,
+  vw_weekly_candidate: `
+    SELECT candidate_id, strftime('%Y-W%W', created_at) AS yweek, COUNT(*) AS supporters
+    FROM voters WHERE deleted_at IS NULL
+    GROUP BY candidate_id, yweek`,
+  vw_weekly_party: `
+    SELECT strftime('%Y-W%W', created_at) AS yweek, COUNT(*) AS supporters
+    FROM voters WHERE deleted_at IS NULL
+    GROUP BY yweek`,
+  vw_party_by_district: `
+    SELECT d.id AS district_id, d.name AS district, d.official_voters,
+           COUNT(v.id) AS supporters
+    FROM districts d
+    LEFT JOIN voters v ON v.district_id=d.id AND v.deleted_at IS NULL
+    GROUP BY d.id`
+};
+
+async function up({ run, get, ensureColumn }) {
+  await ensureColumn('party', 'name', `TEXT NOT NULL DEFAULT ''`);
+  await ensureColumn('party', 'start_date', 'TEXT');
+  await ensureColumn('party', 'end_date', 'TEXT');
+  await ensureColumn('party', 'logo_path', 'TEXT');
+
+  await ensureColumn('candidates', 'start_date', 'TEXT');
+  await ensureColumn('candidates', 'end_date', 'TEXT');
+  // ALTER TABLE cannot add a column with a non-constant default
+  await ensureColumn('candidates', 'created_at', 'TEXT');
+
+  const clash = await get(`
+    SELECT electoral_card, COUNT(*) AS n FROM voters
+    WHERE electoral_card IS NOT NULL AND electoral_card <> ''
+    GROUP BY electoral_card HAVING n > 1 LIMIT 1`);
+  if (clash) {
+    throw new Error(`electoral card ${clash.electoral_card} is used by ${clash.n} voters; merge or fix them first`);
+  }
+  await run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_voters_card_unique
+    ON voters(electoral_card) WHERE electoral_card IS NOT NULL AND electoral_card <> ''`);
+
+  for (const [name, sql] of Object.entries(VIEWS)) {
+    await run(`DROP VIEW IF EXISTS ${name}`);
+    await run(`CREATE VIEW ${name} AS ${sql}`);
+  }
+}
+
+module.exports = { up };
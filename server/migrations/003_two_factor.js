@@ -0,0 +1,33 @@
+/**
+ * Two-factor login (TOTP)
+ * - users.totp_secret is the sealed secret once enrollment is confirmed;
+ *   totp_pending_secret holds a new one until the first code checks out
+ * - totp_last_step remembers the last code used so it cannot be replayed
+ * - recovery codes are stored hashed and marked when used
+ * - settings is a small key/value table for admin options (require_2fa_roles)
+ */
+
+async function up({ run, ensureColumn }) {
+  await ensureColumn('users', 'totp_secret', 'TEXT');
+  await ensureColumn('users', 'totp_pending_secret', 'TEXT');
+  await ensureColumn('users', 'totp_enabled_at', 'TEXT');
+  await ensureColumn('users', 'totp_last_step', 'INTEGER');
+
+  await run(`CREATE TABLE IF NOT EXISTS user_recovery_codes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    code_hash TEXT NOT NULL,
+    used_at TEXT,
+    created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(user_id) REFERENCES users(id)
+  )`);
+  await run(`CREATE INDEX IF NOT EXISTS idx_recovery_codes_user ON user_recovery_codes(user_id)`);
+
+  await run(`CREATE TABLE IF NOT EXISTS settings (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL,
+    updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+  )`);
+}
+
+module.exports = { up };
@@ -0,0 +1,33 @@
+/**
+ * Server-side sessions with rotating refresh tokens
+ * The repo copy already has an unused `sessions(sid, user_id, created_at)`
+ * table from the old build, so the table is created in that shape and the
+ * new columns are added to both.
+ * - token_version: the user's token_version at login; bumping the user's
+ *   (password reset, role change, disabling...) ends the session
+ * - prev_refresh_hash/rotated_at: the refresh token replaced last, accepted for
+ *   a few seconds so parallel requests do not look like token theft
+ */
+
+async function up({ run, ensureColumn }) {
+  await run(`CREATE TABLE IF NOT EXISTS sessions (
+    sid TEXT PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  )`);
+  await ensureColumn('sessions', 'token_version', 'INTEGER NOT NULL DEFAULT 0');
+  await ensureColumn('sessions', 'refresh_hash', 'TEXT');
+  await ensureColumn('sessions', 'prev_refresh_hash', 'TEXT');
+  await ensureColumn('sessions', 'rotated_at', 'TEXT');
+  await ensureColumn('sessions', 'expires_at', 'TEXT');
+  await ensureColumn('sessions', 'last_seen_at', 'TEXT');
+  await ensureColumn('sessions', 'ip', 'TEXT');
+  await ensureColumn('sessions', 'user_agent', 'TEXT');
+  await ensureColumn('sessions', 'device', 'TEXT');
+  await ensureColumn('sessions', 'revoked_at', 'TEXT');
+  await ensureColumn('sessions', 'revoked_reason', 'TEXT');
+  await run(`CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id)`);
+}
+
+module.exports = { up };
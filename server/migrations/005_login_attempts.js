@@ -0,0 +1,28 @@
+/**
+ * Login attempts and account lockout
+ * - users.failed_logins counts failures since the last successful login;
+ *   locked_until is set once it passes the threshold (lib/login-policy.js)
+ * - login_attempts keeps every attempt, including unknown emails, with the
+ *   flags raised on suspicious successes (new IP, right after failures)
+ */
+
+async function up({ run, ensureColumn }) {
+  await ensureColumn('users', 'failed_logins', 'INTEGER NOT NULL DEFAULT 0');
+  await ensureColumn('users', 'locked_until', 'TEXT');
+
+  await run(`CREATE TABLE IF NOT EXISTS login_attempts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    email TEXT NOT NULL,
+    user_id INTEGER,
+    success INTEGER NOT NULL DEFAULT 0,
+    reason TEXT,
+    flags TEXT,
+    ip TEXT,
+    user_agent TEXT,
+    created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await run(`CREATE INDEX IF NOT EXISTS idx_login_attempts_user ON login_attempts(user_id, created_at)`);
+  await run(`CREATE INDEX IF NOT EXISTS idx_login_attempts_created ON login_attempts(created_at)`);
+}
+
+module.exports = { up };
@@ -0,0 +1,12 @@
+/**
+ * Per-user display preferences
+ * - users.language is the UI language ('ar' or 'en'); NULL follows the browser
+ * - users.numerals picks the digits on dashboards: 'latn' (0-9) or 'arab' (٠-٩)
+ */
+
+async function up({ ensureColumn }) {
+  await ensureColumn('users', 'language', 'TEXT');
+  await ensureColumn('users', 'numerals', 'TEXT');
+}
+
+module.exports = { up };
@@ -0,0 +1,15 @@
+/**
+ * Indexes for the voter list filters and sorts (lib/voter-query.js)
+ * - Candidates and assistants page through their own voters by id
+ * - District, registration date and date of birth (age) are filtered on
+ */
+
+async function up({ run }) {
+  await run(`CREATE INDEX IF NOT EXISTS idx_voters_candidate ON voters(candidate_id, id)`);
+  await run(`CREATE INDEX IF NOT EXISTS idx_voters_assistant ON voters(assistant_id, id)`);
+  await run(`CREATE INDEX IF NOT EXISTS idx_voters_district ON voters(district_id)`);
+  await run(`CREATE INDEX IF NOT EXISTS idx_voters_created ON voters(created_at)`);
+  await run(`CREATE INDEX IF NOT EXISTS idx_voters_dob ON voters(dob)`);
+}
+
+module.exports = { up };
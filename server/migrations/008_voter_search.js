@@ -0,0 +1,68 @@
+/**
+ * Full-text search over voters (SQLite FTS5)
+ * - voters_fts has one row per voter (rowid = voters.id) with the normalized
+ *   name, the electoral card and the polling center
+ * - Triggers keep it in step with every insert, update and delete, so the
+ *   write paths do not have to know about it
+ * - SQL cannot call normalizeName() (lib/arabic.js), so the name comes from
+ *   voters.name_norm, a listed center from polling_centers.name_norm, and
+ *   cards and free-text centers are folded here for the same letter variants
+ */
+
+// [from, to] pairs applied with nested REPLACE(); mirrors FOLD in
+// lib/arabic.js. SQLite's parser gives up at about 30 levels, so free-text
+// centers only get the letter variants (diacritics are rare in center names).
+const LETTERS = [
+  ['آ', 'ا'], ['أ', 'ا'], ['إ', 'ا'], ['ٱ', 'ا'],
+  ['ى', 'ي'], ['ة', 'ه'], ['ؤ', 'و'], ['ئ', 'ي'],
+  ['ء', ''], ['ی', 'ي'], ['ک', 'ك'], ['ـ', '']
+];
+// Arabic-Indic digits -> 0-9
+const DIGITS = Array.from({ length: 10 }, (_, i) => [String.fromCharCode(0x0660 + i), String(i)]);
+// Cards are matched without separators, like normalizeCard()
+const SEPARATORS = [' ', '-', '_', '/', '.'].map(c => [c, '']);
+
+function fold(expr, pairs) {
+  return pairs.reduce((sql, [from, to]) => `REPLACE(${sql}, '${from}', '${to}')`, expr);
+}
+
+const card = row => fold(`IFNULL(${row}.electoral_card, '')`, [...DIGITS, ...SEPARATORS]);
+const center = row => `IFNULL(
+  (SELECT pc.name_norm FROM polling_centers pc WHERE pc.id = ${row}.polling_center_id),
+  ${fold(`IFNULL(${row}.polling_center, '')`, LETTERS)})`;
+
+const insert = row => `
+  INSERT INTO voters_fts(rowid, name, card, center)
+  VALUES (${row}.id, IFNULL(${row}.name_norm, ''), ${card(row)}, ${center(row)});`;
+
+async function up({ run }) {
+  await run(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS voters_fts USING fts5(
+      name, card, center,
+      tokenize = 'unicode61 remove_diacritics 2'
+    )`);
+
+  await run(`
+    CREATE TRIGGER IF NOT EXISTS voters_fts_insert AFTER INSERT ON voters BEGIN
+      ${insert('NEW')}
+    END`);
+  await run(`
+    CREATE TRIGGER IF NOT EXISTS voters_fts_update
+    AFTER UPDATE OF full_name, name_norm, electoral_card, polling_center, polling_center_id ON voters BEGIN
+      DELETE FROM voters_fts WHERE rowid = OLD.id;
+      ${insert('NEW')}
+    END`);
+  await run(`
+    CREATE TRIGGER IF NOT EXISTS voters_fts_delete AFTER DELETE ON voters BEGIN
+      DELETE FROM voters_fts WHERE rowid = OLD.id;
+    END`);
+
+  // Index the voters already on the roll
+  await run(`DELETE FROM voters_fts`);
+  await run(`
+    INSERT INTO voters_fts(rowid, name, card, center)
+    SELECT v.id, IFNULL(v.name_norm, ''), ${card('v')}, ${center('v')}
+    FROM voters v`);
+}
+
+module.exports = { up };
@@ -0,0 +1,21 @@
+/**
+ * Who entered each voter, so offline replays are matched per user
+ * - voters.created_by is the user whose request inserted the row; older rows
+ *   take it from their 'create' entry in the audit log
+ * - client_id (generated on the device) is unique per user, not globally:
+ *   one user's id can no longer settle or reveal another user's voter
+ */
+
+async function up({ run, ensureColumn }) {
+  await ensureColumn('voters', 'created_by', 'INTEGER');
+  await run(`
+    UPDATE voters SET created_by = (
+      SELECT a.actor_id FROM audit_log a
+      WHERE a.entity = 'voter' AND a.action = 'create' AND a.entity_id = voters.id
+      ORDER BY a.id LIMIT 1)
+    WHERE created_by IS NULL`);
+  await run(`DROP INDEX IF EXISTS idx_voters_client_id`);
+  await run(`CREATE UNIQUE INDEX idx_voters_client_id ON voters(created_by, client_id) WHERE client_id IS NOT NULL`);
+}
+
+module.exports = { up };
@@ -0,0 +1,154 @@
+/**
+ * Request-level checks of per-user scoping
+ * - Starts app.js in a temporary DATA_DIR, on its own copy of the repo database
+ * - Signs in as the admin and two assistants of the same candidate
+ * - Assistants only see and edit the voters they entered, whatever ids they send
+ * - Offline sync replays are idempotent per user; another user's client_id is a conflict
+ *
+ * Run with `npm test` (node --test).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_PASSWORD } = require('../lib/login-policy');
+
+const NEW_PASSWORD = 'Zx9longpass1';
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.unref();
+    srv.on('error', reject);
+    srv.listen(0, () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+// Resolves once the server prints its address; rejects if it exits first
+function startServer(env) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'app.js')], {
+      env: { ...process.env, ...env },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let log = '';
+    const onData = (chunk) => {
+      log += chunk;
+      if (log.includes('Server →')) resolve(child);
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    child.on('exit', code => reject(new Error(`app.js exited (${code}):\n${log}`)));
+  });
+}
+
+// fetch with a cookie jar, one per signed-in user
+function client(base) {
+  const jar = new Map();
+  return async function request(method, url, body) {
+    const res = await fetch(base + url, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept-Language': 'en',
+        Cookie: [...jar].map(([k, val]) => `${k}=${val}`).join('; ')
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    for (const line of res.headers.getSetCookie()) {
+      const [pair] = line.split(';');
+      const at = pair.indexOf('=');
+      jar.set(pair.slice(0, at), pair.slice(at + 1));
+    }
+    return { status: res.status, body: await res.json() };
+  };
+}
+
+// Sign in, replacing the temporary password the account was created with
+async function signIn(base, email, password) {
+  const request = client(base);
+  let r = await request('POST', '/api/auth/login', { email, password });
+  assert.equal(r.body.ok, true, `login ${email}: ${r.body.msg}`);
+  r = await request('POST', '/api/auth/change-password', { current_password: password, new_password: NEW_PASSWORD });
+  assert.equal(r.body.ok, true, `change password ${email}: ${r.body.msg}`);
+  r = await request('POST', '/api/auth/login', { email, password: NEW_PASSWORD });
+  assert.equal(r.body.ok, true, `login ${email}: ${r.body.msg}`);
+  return request;
+}
+
+test('per-user scoping', async (t) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cv-test-'));
+  const port = await freePort();
+  const server = await startServer({ DATA_DIR: dataDir, DB_PATH: '', PORT: String(port), BACKUP_INTERVAL_HOURS: '0' });
+  t.after(() => {
+    server.kill();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+  const base = `http://127.0.0.1:${port}`;
+
+  const admin = await signIn(base, 'admin@local', DEFAULT_PASSWORD);
+  const { body: { candidates } } = await admin('GET', '/api/candidates');
+  const [cand, other] = candidates;
+
+  async function assistantUser(name, candidateId) {
+    const a = await admin('POST', '/api/assistants', { candidate_id: candidateId, name });
+    assert.equal(a.body.ok, true, a.body.msg);
+    const email = `${name}@test.local`;
+    const u = await admin('POST', '/api/admin/users', { email, role: 'assistant', assistant_id: a.body.id });
+    assert.equal(u.body.ok, true, u.body.msg);
+    return { id: a.body.id, request: await signIn(base, email, u.body.temp_password) };
+  }
+  const first = await assistantUser('first', cand.id);
+  const second = await assistantUser('second', cand.id);
+  const visibleTo = async (who, id) => (await who.request('GET', '/api/voters?size=100')).body.items.some(x => x.id === id);
+
+  await t.test('an assistant registers voters only under their own candidate and assistant', async () => {
+    const r = await first.request('POST', '/api/voters', {
+      full_name: 'Scoped Voter', candidate_id: other.id, assistant_id: second.id
+    });
+    assert.equal(r.body.ok, true, r.body.msg);
+    const { body: { items } } = await admin('GET', '/api/voters?size=100');
+    const voter = items.find(x => x.id === r.body.id);
+    assert.equal(voter.candidate_id, cand.id);
+    assert.equal(voter.assistant_id, first.id);
+  });
+
+  await t.test('an assistant cannot see or edit another assistant\'s voters', async () => {
+    const r = await first.request('POST', '/api/voters', { full_name: 'First Only' });
+    assert.equal(r.body.ok, true, r.body.msg);
+    assert.equal(await visibleTo(first, r.body.id), true);
+    assert.equal(await visibleTo(second, r.body.id), false);
+
+    const edit = await second.request('PUT', `/api/voters/${r.body.id}`, { full_name: 'Taken Over' });
+    assert.equal(edit.status, 403);
+    assert.equal(edit.body.code, 'FORBIDDEN');
+  });
+
+  await t.test('sync replays are idempotent for the same user', async () => {
+    const record = { client_id: 'device-1-rec-1', full_name: 'Synced Voter' };
+    const once = await first.request('POST', '/api/voters/sync', { records: [record] });
+    assert.equal(once.body.results[0].status, 'created');
+    const again = await first.request('POST', '/api/voters/sync', { records: [record] });
+    assert.equal(again.body.results[0].status, 'already_synced');
+    assert.equal(again.body.results[0].id, once.body.results[0].id);
+  });
+
+  await t.test('another user\'s client_id is a conflict and reveals nothing', async () => {
+    const record = { client_id: 'device-1-rec-2', full_name: 'Owned By First' };
+    const mine = await first.request('POST', '/api/voters/sync', { records: [record] });
+    assert.equal(mine.body.results[0].status, 'created');
+
+    const theirs = await second.request('POST', '/api/voters/sync', { records: [{ ...record, full_name: 'Claimed' }] });
+    const result = theirs.body.results[0];
+    assert.equal(result.status, 'conflict');
+    assert.equal(result.id, undefined);
+    assert.equal(await visibleTo(second, mine.body.results[0].id), false);
+  });
+});